@@ -0,0 +1,2407 @@
+// ==================================================================================================
+// ==== Constants ===================================================================================
+// ==================================================================================================
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
+var RADIUS = 10;
+var COOLDOWN_DIST = 2 * RADIUS;
+var TIMESTEP = 1 / 30; // Default simulation timestep, seconds (velocities are px per second)
+var BOLTZMANN = 900; // Kinetic energy (mass * px²/s²) per unit temperature, avg kinetic energy per particle is kT
+var AREA_UNIT = 10000; // px² in one unit of volume, keeps volume and pressure values readable
+var PISTON_SPEED = 15; // Max piston speed (px per second) when moving to a new volume, slow enough to stay near equilibrium
+var MIN_PISTON_POS = 100; // Smallest container width
+var PRESSURE_WINDOW = 2; // Seconds pressure is averaged over
+var RATE_WINDOW = 5; // Seconds reaction rates are averaged over
+var EQUILIBRIUM_TOLERANCE = 0.2; // Max difference between fwd and rev rates (fraction of their mean) to count as balanced
+var MIN_EQUILIBRIUM_EVENTS = 20; // Events needed in rate window before rates can count as balanced
+var EQUILIBRIUM_AVERAGE_TIME = 5; // Seconds, time constant of the running average of Q used to estimate K
+var MIN_FIT_POINTS = 5; // Count records needed in a window to fit it
+var INITIAL_RATE_FRACTION = 0.1; // Start of fit window used for initial rate
+var PLATEAU_FRACTION = 0.25; // End of fit window averaged for equilibrium counts
+var COMPARTMENT_CELL_SIZE = 10; // px, resolution of the map used to split container into compartments
+var MAX_RAND_POS_TRIES = 100; // Attempts to find a random position outside obstacles
+var RECORDING_INTERVAL = 1; // Default seconds between recorded snapshots
+var RECORDING_CAPACITY = 600; // Snapshots kept before oldest are dropped
+var THERMOSTAT_MODES = ["isothermal", "adiabatic", "heat-bath"];
+var SCENARIO_VERSION = 1; // Bump when saved scenario format changes
+// Colors given to new species, in order
+var SPECIES_COLORS = ["blue", "red", "orange", "green", "purple", "teal", "brown", "magenta"];
+var Vector = /** @class */ (function () {
+    function Vector(x, y) {
+        if (x === void 0) { x = 1; }
+        if (y === void 0) { y = 1; }
+        this.x = x;
+        this.y = y;
+    }
+    Vector.prototype.getCopy = function () {
+        return new Vector(this.x, this.y);
+    };
+    Vector.prototype.getMagnitude = function () {
+        return Math.sqrt((Math.pow(this.x, 2)) + (Math.pow(this.y, 2)));
+    };
+    Vector.prototype.getScaled = function (scaler) {
+        return new Vector(scaler * this.x, scaler * this.y);
+    };
+    Vector.prototype.getNeg = function () {
+        return this.getScaled(-1);
+    };
+    Vector.prototype.getAddition = function (other) {
+        return new Vector(this.x + other.x, this.y + other.y);
+    };
+    Vector.prototype.getDifference = function (other) {
+        return new Vector(other.x - this.x, other.y - this.y);
+    };
+    Vector.prototype.getDot = function (other) {
+        return this.x * other.x + this.y * other.y;
+    };
+    Vector.prototype.getNormalized = function () {
+        var mag = this.getMagnitude();
+        // Return <0,0> if input is zero vector
+        if (mag === 0) {
+            return new Vector(0, 0);
+        }
+        return new Vector(this.x / mag, this.y / mag);
+    };
+    // Input: angle in radians
+    Vector.prototype.getRotated = function (theta) {
+        var x = this.x * Math.cos(theta) - this.y * Math.sin(theta);
+        var y = this.x * Math.sin(theta) + this.y * Math.cos(theta);
+        return new Vector(x, y);
+    };
+    return Vector;
+}());
+var Particle = /** @class */ (function () {
+    function Particle(formula, color, radius, pos, temperature, vel, mass) {
+        if (vel === void 0) { vel = new Vector(0, 0); }
+        if (mass === void 0) { mass = 1; }
+        this.mass = 1;
+        this.state = "active";
+        this.cooldownDist = 0;
+        this.formula = formula;
+        this.color = color;
+        this.radius = radius;
+        this.pos = pos;
+        this.vel = vel;
+        this.temperature = temperature;
+        this.mass = mass;
+    }
+    // Walls re-sample velocity at bath temperature if bath is given, otherwise bounce elastically
+    // Right wall is the piston, moving at pistonVel. Returns impulse the particle gave to the walls
+    Particle.prototype.update = function (canvas, dt, bath, pistonVel) {
+        if (dt === void 0) { dt = TIMESTEP; }
+        if (bath === void 0) { bath = null; }
+        if (pistonVel === void 0) { pistonVel = 0; }
+        var newVel = this.vel.getCopy();
+        var newPos = this.pos.getAddition(this.vel.getScaled(dt));
+        // Only the change in velocity normal to a wall pushes on it, heat bath walls resample the tangential part too
+        var impulse = 0;
+        // Keep particle in bounds, only bounce if moving into the wall
+        if (newPos.x - this.radius < 0) {
+            newPos.x = this.radius;
+            newVel.x = Math.abs(newVel.x);
+            if (bath !== null) {
+                newVel = getWallVel(new Vector(1, 0), this.mass, bath);
+            }
+            impulse += this.mass * Math.abs(newVel.x - this.vel.x);
+        }
+        if (newPos.x + this.radius > canvas.width) {
+            newPos.x = canvas.width - this.radius;
+            // Bounce off piston in its moving frame
+            if (newVel.x > pistonVel) {
+                newVel.x = 2 * pistonVel - newVel.x;
+            }
+            if (bath !== null) {
+                newVel = getWallVel(new Vector(-1, 0), this.mass, bath).getAddition(new Vector(pistonVel, 0));
+            }
+            impulse += this.mass * Math.abs(newVel.x - this.vel.x);
+        }
+        if (newPos.y - this.radius < 0) {
+            newPos.y = this.radius;
+            newVel.y = Math.abs(newVel.y);
+            if (bath !== null) {
+                newVel = getWallVel(new Vector(0, 1), this.mass, bath);
+            }
+            impulse += this.mass * Math.abs(newVel.y - this.vel.y);
+        }
+        if (newPos.y + this.radius > canvas.height) {
+            newPos.y = canvas.height - this.radius;
+            newVel.y = -Math.abs(newVel.y);
+            if (bath !== null) {
+                newVel = getWallVel(new Vector(0, -1), this.mass, bath);
+            }
+            impulse += this.mass * Math.abs(newVel.y - this.vel.y);
+        }
+        this.pos = newPos;
+        this.vel = newVel;
+        // Reduce cooldown distance
+        if (this.cooldownDist > 0) {
+            this.cooldownDist -= this.vel.getMagnitude() * dt;
+        }
+        // Set active if cooldown ends, removed particles stay removed until purged
+        if (this.state !== "removed" && (this.cooldownDist <= 0 || this.state === "active")) {
+            this.cooldownDist = 0;
+            this.state = "active";
+        }
+        return impulse;
+    };
+    Particle.prototype.getKineticEnergy = function () {
+        return 0.5 * this.mass * Math.pow(this.vel.getMagnitude(), 2);
+    };
+    Particle.prototype.draw = function (context) {
+        context.beginPath();
+        // Draw Circle
+        context.fillStyle = this.color;
+        context.arc(this.pos.x, this.pos.y, this.radius, 0, 2 * Math.PI);
+        context.font = "14px Arial";
+        context.fill();
+        // Draw Formula
+        context.textBaseline = "middle";
+        context.textAlign = "center";
+        context.fillStyle = "white";
+        context.fillText(this.formula, this.pos.x, this.pos.y);
+    };
+    return Particle;
+}());
+var Reaction = /** @class */ (function () {
+    function Reaction(name, reactantList, productsList, isReversible, fwdActivationEnergy, revActivationEnergy, enthalpy) {
+        if (isReversible === void 0) { isReversible = false; }
+        if (fwdActivationEnergy === void 0) { fwdActivationEnergy = 0; }
+        if (revActivationEnergy === void 0) { revActivationEnergy = 0; }
+        if (enthalpy === void 0) { enthalpy = 0; }
+        // Must take part in the collision in both directions, but aren't consumed or produced
+        this.catalysts = [];
+        // Name of mechanism this is an elementary step of, empty if standalone
+        this.mechanism = "";
+        this.enabled = true;
+        // Mass action rate constants for rate equations, null to fit them from recorded events
+        this.fwdRateConstant = null;
+        this.revRateConstant = null;
+        // Per particle rate (1/s) of spontaneous unimolecular reaction, null to react on collision instead
+        this.fwdSpontaneousRate = null;
+        this.revSpontaneousRate = null;
+        this.name = name;
+        this.reactants = reactantList;
+        this.products = productsList;
+        this.reversible = isReversible;
+        this.fwdActivationEnergy = fwdActivationEnergy;
+        this.revActivationEnergy = revActivationEnergy;
+        this.enthalpy = enthalpy;
+    }
+    Reaction.prototype.getFormula = function () {
+        var output = "";
+        // Reactants
+        for (var _i = 0, _a = this.reactants; _i < _a.length; _i++) {
+            var reactant = _a[_i];
+            output += getCoeffString(reactant.molCoeff) + reactant.formula + " + ";
+        }
+        // Single/double arrow
+        output = output.substring(0, output.length - 2);
+        if (this.reversible) {
+            output += "<=> ";
+        }
+        else {
+            output += "-> ";
+        }
+        // Products
+        for (var _b = 0, _c = this.products; _b < _c.length; _b++) {
+            var product = _c[_b];
+            output += getCoeffString(product.molCoeff) + product.formula + " + ";
+        }
+        output = output.substring(0, output.length - 2);
+        // Catalysts
+        if (this.catalysts.length > 0) {
+            output += "[" + this.catalysts.map(function (catalyst) {
+                return getCoeffString(catalyst.molCoeff) + catalyst.formula;
+            }).join(" + ") + "]";
+        }
+        return output;
+    };
+    // Returns list of consumed particles if rxn successful, returns null if unsuccessful
+    Reaction.prototype.getFwdConsumedParticles = function (intersectingParticles) {
+        var consumedParticles = [];
+        var _loop_1 = function (molFormula) {
+            var formula = molFormula.formula;
+            var minAmount = molFormula.molCoeff;
+            // List of particles that are available, not already consumed, and has correct formula
+            var matchingParticles = intersectingParticles.filter(function (particle) {
+                return (particle.state === "active" && particle.formula === formula && consumedParticles.indexOf(particle) === -1);
+            });
+            // Return false if not enough of species
+            if (matchingParticles.length < minAmount) {
+                return { value: null };
+            }
+            // Consume proper amount of particles
+            consumedParticles.push.apply(consumedParticles, matchingParticles.slice(0, minAmount));
+        };
+        for (var _i = 0, _a = this.reactants; _i < _a.length; _i++) {
+            var molFormula = _a[_i];
+            var state_1 = _loop_1(molFormula);
+            if (typeof state_1 === "object")
+                return state_1.value;
+        }
+        return consumedParticles;
+    };
+    Reaction.prototype.getFwdProducedParticles = function (reactionLocation, simulation) {
+        var producedParticles = [];
+        for (var _i = 0, _a = this.products; _i < _a.length; _i++) {
+            var molFormula = _a[_i];
+            var formula = molFormula.formula;
+            var coeff = molFormula.molCoeff;
+            for (var i = 0; i < coeff; i++) {
+                producedParticles.push(simulation.createParticle(formula, reactionLocation, COOLDOWN_DIST));
+            }
+        }
+        return producedParticles;
+    };
+    // Returns list of consumed particles if rxn successful, returns null if unsuccessful
+    Reaction.prototype.getRevConsumedParticles = function (intersectingParticles) {
+        var consumedParticles = [];
+        var _loop_2 = function (molFormula) {
+            var formula = molFormula.formula;
+            var minAmount = molFormula.molCoeff;
+            // List of particles that are available, not already consumed, and has correct formula
+            var matchingParticles = intersectingParticles.filter(function (particle) {
+                return (particle.state === "active" && particle.formula === formula && consumedParticles.indexOf(particle) === -1);
+            });
+            // Return false if not enough of species
+            if (matchingParticles.length < minAmount) {
+                return { value: null };
+            }
+            // Consume proper amount of particles
+            consumedParticles.push.apply(consumedParticles, matchingParticles.slice(0, minAmount));
+        };
+        for (var _i = 0, _a = this.products; _i < _a.length; _i++) {
+            var molFormula = _a[_i];
+            var state_2 = _loop_2(molFormula);
+            if (typeof state_2 === "object")
+                return state_2.value;
+        }
+        return consumedParticles;
+    };
+    // Returns catalyst particles taking part alongside consumed particles, null if any are missing
+    Reaction.prototype.getCatalystParticles = function (intersectingParticles, consumedParticles) {
+        var catalystParticles = [];
+        var _loop_3 = function (molFormula) {
+            var formula = molFormula.formula;
+            // Available particles of catalyst that aren't reacting themselves
+            var matchingParticles = intersectingParticles.filter(function (particle) {
+                return (particle.state === "active" && particle.formula === formula && consumedParticles.indexOf(particle) === -1 && catalystParticles.indexOf(particle) === -1);
+            });
+            if (matchingParticles.length < molFormula.molCoeff) {
+                return { value: null };
+            }
+            catalystParticles.push.apply(catalystParticles, matchingParticles.slice(0, molFormula.molCoeff));
+        };
+        for (var _i = 0, _a = this.catalysts; _i < _a.length; _i++) {
+            var molFormula = _a[_i];
+            var state_3 = _loop_3(molFormula);
+            if (typeof state_3 === "object")
+                return state_3.value;
+        }
+        return catalystParticles;
+    };
+    Reaction.prototype.getRevProducedParticles = function (reactionLocation, simulation) {
+        var producedParticles = [];
+        for (var _i = 0, _a = this.reactants; _i < _a.length; _i++) {
+            var molFormula = _a[_i];
+            var formula = molFormula.formula;
+            var coeff = molFormula.molCoeff;
+            for (var i = 0; i < coeff; i++) {
+                producedParticles.push(simulation.createParticle(formula, reactionLocation, COOLDOWN_DIST));
+            }
+        }
+        return producedParticles;
+    };
+    // Replaces consumed particles with products, returns false if endothermic rxn lacks energy
+    Reaction.prototype.completeReaction = function (consumed, direction, simulation) {
+        var _a;
+        var location = getAvgPos(consumed);
+        var produced = direction === "forward" ? this.getFwdProducedParticles(location, simulation) : this.getRevProducedParticles(location, simulation);
+        // Products take reactants' kinetic energy plus released heat, reverse rxn releases the opposite of forward enthalpy
+        var releasedEnergy = (direction === "forward" ? -this.enthalpy : this.enthalpy) * BOLTZMANN;
+        if (!transferKineticEnergy(consumed, produced, releasedEnergy)) {
+            return false;
+        }
+        // Remove consumed particles
+        removeParticles(consumed);
+        // Add produced particles
+        (_a = simulation.particleCreationQueue).push.apply(_a, produced);
+        simulation.recordReactionEvent(this, direction, location);
+        return true;
+    };
+    // Attepts both fwd and rev rxns, returns products if successful
+    Reaction.prototype.attemptReaction = function (intersectingParticles, simulation) {
+        // Attempt forward reaction (only if collision can overcome activation energy), spontaneous directions don't need collisions
+        var fwdConsumed = this.fwdSpontaneousRate === null ? this.getFwdConsumedParticles(intersectingParticles) : null;
+        if (fwdConsumed !== null && this.canOvercomeBarrier(intersectingParticles, fwdConsumed, this.fwdActivationEnergy)) {
+            if (this.completeReaction(fwdConsumed, "forward", simulation)) {
+                return true;
+            }
+        }
+        // Attempt reverse reaction if reversible (fwd failed)
+        var revConsumed = this.revSpontaneousRate === null ? this.getRevConsumedParticles(intersectingParticles) : null;
+        if (this.reversible && revConsumed !== null && this.canOvercomeBarrier(intersectingParticles, revConsumed, this.revActivationEnergy)) {
+            if (this.completeReaction(revConsumed, "reverse", simulation)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    // True if catalysts are present and collision with them has at least activation energy
+    Reaction.prototype.canOvercomeBarrier = function (intersectingParticles, consumed, activationEnergy) {
+        var catalystParticles = this.getCatalystParticles(intersectingParticles, consumed);
+        if (catalystParticles === null) {
+            return false;
+        }
+        var colliding = consumed.concat(catalystParticles);
+        if (colliding.length > 1) {
+            return getCollisionEnergy(colliding) >= activationEnergy * BOLTZMANN;
+        }
+        // A lone particle is activated by colliding with any other particle, it can't collide with itself
+        for (var _i = 0, intersectingParticles_1 = intersectingParticles; _i < intersectingParticles_1.length; _i++) {
+            var partner = intersectingParticles_1[_i];
+            if (partner !== colliding[0] && partner.state === "active" && isOverlapping(colliding[0], partner) && getCollisionEnergy([colliding[0], partner]) >= activationEnergy * BOLTZMANN) {
+                return true;
+            }
+        }
+        return false;
+    };
+    // True if side consumed in direction is a single uncatalyzed particle, so it can react on its own
+    Reaction.prototype.isUnimolecular = function (direction) {
+        var consumed = direction === "forward" ? this.reactants : this.products;
+        return consumed.length === 1 && consumed[0].molCoeff === 1 && this.catalysts.length === 0;
+    };
+    Reaction.prototype.getSpontaneousRate = function (direction) {
+        return direction === "forward" ? this.fwdSpontaneousRate : this.revSpontaneousRate;
+    };
+    // Sets per particle rate (1/s) of spontaneous reaction, null to react on collision, throws error if not allowed
+    Reaction.prototype.setSpontaneousRate = function (direction, rate) {
+        if (rate !== null) {
+            if (direction === "reverse" && !this.reversible) {
+                throw new Error("Irreversible reaction has no reverse direction");
+            }
+            if (!this.isUnimolecular(direction)) {
+                throw new Error("Only reactions consuming a single particle can be spontaneous");
+            }
+            if (!(rate >= 0) || !isFinite(rate)) {
+                throw new Error("Spontaneous rate must be a positive number");
+            }
+        }
+        if (direction === "forward") {
+            this.fwdSpontaneousRate = rate;
+        }
+        else {
+            this.revSpontaneousRate = rate;
+        }
+    };
+    // Reacts particle on its own with probability 1 - e^(-k dt), so counts decay exponentially
+    Reaction.prototype.attemptSpontaneousReaction = function (particle, direction, dt, simulation) {
+        var rate = this.getSpontaneousRate(direction);
+        var consumed = direction === "forward" ? this.reactants : this.products;
+        // Cooldown only stops products recolliding, so fresh products can still react on their own
+        if (rate === null || particle.state === "removed" || particle.formula !== consumed[0].formula) {
+            return false;
+        }
+        if (simulation.random.next() >= 1 - Math.exp(-rate * dt)) {
+            return false;
+        }
+        return this.completeReaction([particle], direction, simulation);
+    };
+    return Reaction;
+}());
+// Uniform grid of particle indices, rebuilt every step so neighbours can be found without checking every pair
+var SpatialGrid = /** @class */ (function () {
+    // cellSize must be at least the largest interaction distance
+    function SpatialGrid(dimensions, cellSize) {
+        this.cells = [];
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.ceil(dimensions.width / cellSize));
+        this.rows = Math.max(1, Math.ceil(dimensions.height / cellSize));
+        for (var i = 0; i < this.columns * this.rows; i++) {
+            this.cells.push([]);
+        }
+    }
+    SpatialGrid.prototype.getColumn = function (pos) {
+        return bound(Math.floor(pos.x / this.cellSize), 0, this.columns - 1);
+    };
+    SpatialGrid.prototype.getRow = function (pos) {
+        return bound(Math.floor(pos.y / this.cellSize), 0, this.rows - 1);
+    };
+    SpatialGrid.prototype.insert = function (index, pos) {
+        this.cells[this.getRow(pos) * this.columns + this.getColumn(pos)].push(index);
+    };
+    // Returns indices in the cell containing pos and its 8 neighbours
+    SpatialGrid.prototype.getNearby = function (pos) {
+        var column = this.getColumn(pos);
+        var row = this.getRow(pos);
+        var nearby = [];
+        for (var r = Math.max(0, row - 1); r <= Math.min(this.rows - 1, row + 1); r++) {
+            for (var c = Math.max(0, column - 1); c <= Math.min(this.columns - 1, column + 1); c++) {
+                nearby.push.apply(nearby, this.cells[r * this.columns + c]);
+            }
+        }
+        return nearby;
+    };
+    return SpatialGrid;
+}());
+// Small fast counter PRNG (sfc32), seedable so runs can be repeated exactly
+var Random = /** @class */ (function () {
+    function Random(seed) {
+        this.a = 0x9E3779B9;
+        this.b = 0x243F6A88;
+        this.c = 0xB7E15162;
+        this.d = seed >>> 0;
+        // Mix seed into state
+        for (var i = 0; i < 15; i++) {
+            this.next();
+        }
+    }
+    // Random float from 0 (inclusive) to 1 (exclusive)
+    Random.prototype.next = function () {
+        var t = (((this.a + this.b) | 0) + this.d) | 0;
+        this.d = (this.d + 1) | 0;
+        this.a = this.b ^ (this.b >>> 9);
+        this.b = (this.c + (this.c << 3)) | 0;
+        this.c = (this.c << 21) | (this.c >>> 11);
+        this.c = (this.c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+    Random.prototype.getState = function () {
+        return [this.a, this.b, this.c, this.d];
+    };
+    Random.prototype.setState = function (state) {
+        this.a = state[0];
+        this.b = state[1];
+        this.c = state[2];
+        this.d = state[3];
+    };
+    Random.prototype.getFloat = function (min, max) {
+        return this.next() * (max - min) + min;
+    };
+    // Random integer from min to max inclusive
+    Random.prototype.getInt = function (min, max) {
+        min = Math.ceil(min);
+        max = Math.floor(max);
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    };
+    // Normally distributed random number (Box-Muller transform)
+    Random.prototype.getNormal = function (mean, stdDev) {
+        if (mean === void 0) { mean = 0; }
+        if (stdDev === void 0) { stdDev = 1; }
+        var u1 = 1 - this.next(); // Avoid log(0)
+        var u2 = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    };
+    return Random;
+}());
+// ==== MATH FUNCTIONS ==================================
+function getDist(pos1, pos2) {
+    return Math.sqrt(Math.pow((pos1.x - pos2.x), 2) + Math.pow((pos1.y - pos2.y), 2));
+}
+// Faster than getDist when only comparing distances
+function getDistSquared(pos1, pos2) {
+    return Math.pow((pos1.x - pos2.x), 2) + Math.pow((pos1.y - pos2.y), 2);
+}
+// True if the two particles overlap
+function isOverlapping(particle1, particle2) {
+    return getDistSquared(particle1.pos, particle2.pos) < Math.pow((particle1.radius + particle2.radius), 2);
+}
+// Kinetic energy along the line of centers, summed over every approaching pair of particles
+function getCollisionEnergy(particles) {
+    var energy = 0;
+    for (var i = 0; i < particles.length; i++) {
+        for (var j = i + 1; j < particles.length; j++) {
+            var particle1 = particles[i];
+            var particle2 = particles[j];
+            var lineOfCenters = particle1.pos.getDifference(particle2.pos).getNormalized();
+            var relativeVel = particle1.vel.getDifference(particle2.vel);
+            // Ignore if particles are moving apart
+            var approachSpeed = -relativeVel.getDot(lineOfCenters);
+            if (approachSpeed <= 0) {
+                continue;
+            }
+            var reducedMass = (particle1.mass * particle2.mass) / (particle1.mass + particle2.mass);
+            energy += 0.5 * reducedMass * Math.pow(approachSpeed, 2);
+        }
+    }
+    return energy;
+}
+// Bounces two overlapping particles off each other, conserving momentum and kinetic energy
+function collideParticles(particle1, particle2) {
+    var delta = particle1.pos.getDifference(particle2.pos);
+    var dist = delta.getMagnitude();
+    var minDist = particle1.radius + particle2.radius;
+    // Ignore if not overlapping, or exactly on top of each other (no line of centers)
+    if (dist >= minDist || dist === 0) {
+        return;
+    }
+    var lineOfCenters = delta.getScaled(1 / dist);
+    var totalMass = particle1.mass + particle2.mass;
+    // Push particles apart, lighter particle moves further
+    var overlap = minDist - dist;
+    particle1.pos = particle1.pos.getAddition(lineOfCenters.getScaled(-overlap * particle2.mass / totalMass));
+    particle2.pos = particle2.pos.getAddition(lineOfCenters.getScaled(overlap * particle1.mass / totalMass));
+    // Only exchange momentum if particles are moving towards each other
+    var approachSpeed = -particle1.vel.getDifference(particle2.vel).getDot(lineOfCenters);
+    if (approachSpeed <= 0) {
+        return;
+    }
+    var impulse = 2 * approachSpeed / totalMass;
+    particle1.vel = particle1.vel.getAddition(lineOfCenters.getScaled(-impulse * particle2.mass));
+    particle2.vel = particle2.vel.getAddition(lineOfCenters.getScaled(impulse * particle1.mass));
+}
+function bound(value, min, max) {
+    return Math.max(Math.min(value, max), min);
+}
+// ==== PARSING FUNCTIONS ==================================
+// Coefficients of 1 are left out, like in a written equation
+function getCoeffString(molCoeff) {
+    return molCoeff === 1 ? "" : molCoeff.toString();
+}
+// Parses equations like "2A + B <=> C" or "A -> B + C", with optional catalysts like "A -> B [E]", throws error describing problem if invalid
+function parseReaction(name, equation, fwdActivationEnergy, revActivationEnergy, enthalpy) {
+    if (fwdActivationEnergy === void 0) { fwdActivationEnergy = 0; }
+    if (revActivationEnergy === void 0) { revActivationEnergy = 0; }
+    if (enthalpy === void 0) { enthalpy = 0; }
+    // Split off catalysts at end
+    var catalysts = [];
+    var catalystMatch = equation.match(/\[([^\]]*)\]\s*$/);
+    if (catalystMatch !== null) {
+        catalysts = parseReactionSide(catalystMatch[1], "catalyst");
+        equation = equation.substring(0, catalystMatch.index);
+    }
+    var arrowCount = equation.split("<=>").length - 1 + equation.split("->").length - 1;
+    if (arrowCount === 0) {
+        throw new Error("Missing arrow, use \"->\" or \"<=>\"");
+    }
+    if (arrowCount > 1) {
+        throw new Error("Equation can only have one arrow");
+    }
+    var reversible = equation.indexOf("<=>") !== -1;
+    var sides = equation.split(reversible ? "<=>" : "->");
+    var reactants = parseReactionSide(sides[0], "reactant");
+    var products = parseReactionSide(sides[1], "product");
+    // Catalyst that's also consumed or produced should be written as a reactant and product instead
+    for (var _i = 0, catalysts_1 = catalysts; _i < catalysts_1.length; _i++) {
+        var catalyst = catalysts_1[_i];
+        for (var _a = 0, _b = reactants.concat(products); _a < _b.length; _a++) {
+            var molFormula = _b[_a];
+            if (molFormula.formula === catalyst.formula) {
+                throw new Error("Catalyst \"".concat(catalyst.formula, "\" can't also be a reactant or product"));
+            }
+        }
+    }
+    var reaction = new Reaction(name, reactants, products, reversible, fwdActivationEnergy, revActivationEnergy, enthalpy);
+    reaction.catalysts = catalysts;
+    return reaction;
+}
+// Parses one side of an equation like "2A + B", combining repeated species
+function parseReactionSide(side, sideName) {
+    var output = [];
+    if (side.trim() === "") {
+        throw new Error("Missing ".concat(sideName, "s"));
+    }
+    var _loop_4 = function (rawTerm) {
+        var term = rawTerm.trim();
+        if (term === "") {
+            throw new Error("Missing ".concat(sideName, " in \"").concat(side.trim(), "\""));
+        }
+        var match = term.match(/^(\d*)\s*([A-Za-z][A-Za-z0-9_]*)$/);
+        if (match === null) {
+            // Give clearer message if it's the coefficient that's wrong
+            if (/^[-\d.]/.test(term)) {
+                throw new Error("Invalid coefficient in \"".concat(term, "\", must be a positive whole number"));
+            }
+            throw new Error("Invalid ".concat(sideName, " \"").concat(term, "\""));
+        }
+        var molCoeff = match[1] === "" ? 1 : parseInt(match[1], 10);
+        var formula = match[2];
+        if (molCoeff < 1) {
+            throw new Error("Invalid coefficient in \"".concat(term, "\", must be a positive whole number"));
+        }
+        // Combine with existing term if species is repeated
+        var existing = output.filter(function (molFormula) {
+            return molFormula.formula === formula;
+        });
+        if (existing.length > 0) {
+            existing[0].molCoeff += molCoeff;
+        }
+        else {
+            output.push({ formula: formula, molCoeff: molCoeff });
+        }
+    };
+    for (var _i = 0, _a = side.split("+"); _i < _a.length; _i++) {
+        var rawTerm = _a[_i];
+        _loop_4(rawTerm);
+    }
+    return output;
+}
+function getReactionData(reaction) {
+    return {
+        name: reaction.name,
+        equation: reaction.getFormula(),
+        enabled: reaction.enabled,
+        fwdActivationEnergy: reaction.fwdActivationEnergy,
+        revActivationEnergy: reaction.revActivationEnergy,
+        enthalpy: reaction.enthalpy,
+        fwdRateConstant: reaction.fwdRateConstant,
+        revRateConstant: reaction.revRateConstant,
+        fwdSpontaneousRate: reaction.fwdSpontaneousRate,
+        revSpontaneousRate: reaction.revSpontaneousRate,
+        mechanism: reaction.mechanism,
+    };
+}
+// Inverse of getReactionData, throws error if equation is invalid
+function createReactionFromData(data) {
+    var reaction = parseReaction(data.name, data.equation, data.fwdActivationEnergy, data.revActivationEnergy, data.enthalpy);
+    reaction.enabled = data.enabled;
+    reaction.mechanism = data.mechanism || "";
+    reaction.fwdRateConstant = data.fwdRateConstant === undefined ? null : data.fwdRateConstant;
+    reaction.revRateConstant = data.revRateConstant === undefined ? null : data.revRateConstant;
+    reaction.setSpontaneousRate("forward", data.fwdSpontaneousRate === undefined ? null : data.fwdSpontaneousRate);
+    reaction.setSpontaneousRate("reverse", data.revSpontaneousRate === undefined ? null : data.revSpontaneousRate);
+    return reaction;
+}
+function isFiniteNumber(value) {
+    return typeof value === "number" && isFinite(value);
+}
+// Throws error describing the first wall or obstacle that isn't well formed, so bad data fails on load instead of in step
+function validateWalls(walls, obstacles) {
+    if (walls !== undefined) {
+        if (!(walls instanceof Array)) {
+            throw new Error("Walls must be a list");
+        }
+        for (var _i = 0, walls_1 = walls; _i < walls_1.length; _i++) {
+            var wall = walls_1[_i];
+            if (typeof wall !== "object" || wall === null || !isFiniteNumber(wall.x1) || !isFiniteNumber(wall.y1) || !isFiniteNumber(wall.x2) || !isFiniteNumber(wall.y2)) {
+                throw new Error("Every wall needs numeric x1, y1, x2 and y2");
+            }
+            if (!(wall.permeable instanceof Array) || !wall.permeable.every(function (formula) { return typeof formula === "string"; })) {
+                throw new Error("Every wall needs a permeable list of formulas");
+            }
+        }
+    }
+    if (obstacles !== undefined) {
+        if (!(obstacles instanceof Array)) {
+            throw new Error("Obstacles must be a list");
+        }
+        for (var _a = 0, obstacles_1 = obstacles; _a < obstacles_1.length; _a++) {
+            var obstacle = obstacles_1[_a];
+            if (typeof obstacle !== "object" || obstacle === null || !isFiniteNumber(obstacle.x) || !isFiniteNumber(obstacle.y) || !isFiniteNumber(obstacle.width) || !isFiniteNumber(obstacle.height)) {
+                throw new Error("Every obstacle needs numeric x, y, width and height");
+            }
+        }
+    }
+}
+function validateSpecies(speciesList) {
+    for (var _i = 0, speciesList_1 = speciesList; _i < speciesList_1.length; _i++) {
+        var species = speciesList_1[_i];
+        if (typeof species !== "object" || species === null || typeof species.formula !== "string") {
+            throw new Error("Every species needs a formula");
+        }
+        for (var _a = 0, _b = ["mass", "radius"]; _a < _b.length; _a++) {
+            var property = _b[_a];
+            if (species[property] !== undefined && !(isFiniteNumber(species[property]) && species[property] > 0)) {
+                throw new Error("Species ".concat(species.formula, " needs a positive ").concat(property));
+            }
+        }
+    }
+}
+function validateReactions(reactions) {
+    for (var _i = 0, reactions_1 = reactions; _i < reactions_1.length; _i++) {
+        var reaction = reactions_1[_i];
+        if (typeof reaction !== "object" || reaction === null || typeof reaction.name !== "string" || typeof reaction.equation !== "string") {
+            throw new Error("Every reaction needs a name and equation");
+        }
+        for (var _a = 0, _b = ["fwdActivationEnergy", "revActivationEnergy", "enthalpy"]; _a < _b.length; _a++) {
+            var property = _b[_a];
+            if (!isFiniteNumber(reaction[property])) {
+                throw new Error("Reaction ".concat(reaction.name, " needs a numeric ").concat(property));
+            }
+        }
+        for (var _c = 0, _d = ["fwdRateConstant", "revRateConstant", "fwdSpontaneousRate", "revSpontaneousRate"]; _c < _d.length; _c++) {
+            var property = _d[_c];
+            if (reaction[property] !== undefined && reaction[property] !== null && !isFiniteNumber(reaction[property])) {
+                throw new Error("Reaction ".concat(reaction.name, " has a non-numeric ").concat(property));
+            }
+        }
+    }
+}
+// Throws error describing the first part of setup (e.g. from a shared link) that isn't well formed
+function validateSetup(data) {
+    if (typeof data !== "object" || data === null) {
+        throw new Error("Setup must be an object");
+    }
+    if (typeof data.name !== "string" || typeof data.description !== "string") {
+        throw new Error("Setup needs a name and description");
+    }
+    if (!isFiniteNumber(data.temperature) || data.temperature < 0 || !isFiniteNumber(data.seed)) {
+        throw new Error("Setup needs a non-negative temperature and a numeric seed");
+    }
+    if (!(data.species instanceof Array) || !(data.reactions instanceof Array) || typeof data.counts !== "object" || data.counts === null) {
+        throw new Error("Setup is missing species, reactions or counts");
+    }
+    validateSpecies(data.species);
+    validateReactions(data.reactions);
+    for (var formula in data.counts) {
+        if (!isFiniteNumber(data.counts[formula]) || data.counts[formula] < 0) {
+            throw new Error("Count of ".concat(formula, " must be a non-negative number"));
+        }
+    }
+    if (data.thermostat !== undefined && THERMOSTAT_MODES.indexOf(data.thermostat) === -1) {
+        throw new Error("Unknown thermostat: ".concat(data.thermostat));
+    }
+    if (data.volume !== undefined && !(isFiniteNumber(data.volume) && data.volume > 0)) {
+        throw new Error("Volume must be a positive number");
+    }
+    validateWalls(data.walls, data.obstacles);
+}
+// Throws error describing the first part of scenario (e.g. from a saved file) that isn't well formed
+function validateScenario(data) {
+    if (typeof data !== "object" || data === null) {
+        throw new Error("Scenario must be an object");
+    }
+    if (data.version !== SCENARIO_VERSION) {
+        throw new Error("Unsupported scenario version: ".concat(data.version));
+    }
+    if (typeof data.dimensions !== "object" || data.dimensions === null || !(data.species instanceof Array) || !(data.reactions instanceof Array) || !(data.particles instanceof Array)) {
+        throw new Error("Scenario is missing dimensions, species, reactions or particles");
+    }
+    if (!(isFiniteNumber(data.dimensions.width) && data.dimensions.width > 0 && isFiniteNumber(data.dimensions.height) && data.dimensions.height > 0)) {
+        throw new Error("Scenario dimensions must be positive numbers");
+    }
+    for (var _i = 0, _a = ["time", "temperature", "thermostatCoupling", "pistonPos", "pistonTarget"]; _i < _a.length; _i++) {
+        var property = _a[_i];
+        if (!isFiniteNumber(data[property])) {
+            throw new Error("Scenario needs a numeric ".concat(property));
+        }
+    }
+    if (THERMOSTAT_MODES.indexOf(data.thermostat) === -1) {
+        throw new Error("Unknown thermostat: ".concat(data.thermostat));
+    }
+    if (!(data.randomState instanceof Array) || data.randomState.length !== 4 || !data.randomState.every(isFiniteNumber)) {
+        throw new Error("Scenario needs a random state of 4 numbers");
+    }
+    validateSpecies(data.species);
+    validateReactions(data.reactions);
+    for (var _b = 0, _c = data.particles; _b < _c.length; _b++) {
+        var particle = _c[_b];
+        if (typeof particle !== "object" || particle === null || typeof particle.formula !== "string") {
+            throw new Error("Every particle needs a formula");
+        }
+        for (var _d = 0, _e = ["x", "y", "vx", "vy", "cooldownDist"]; _d < _e.length; _d++) {
+            var property = _e[_d];
+            if (!isFiniteNumber(particle[property])) {
+                throw new Error("Every particle needs a numeric ".concat(property));
+            }
+        }
+        if (PARTICLE_STATES.indexOf(particle.state) === -1) {
+            throw new Error("Unknown particle state: ".concat(particle.state));
+        }
+    }
+    for (var name_1 in data.reactionTotals) {
+        var totals = data.reactionTotals[name_1];
+        if (typeof totals !== "object" || totals === null || !isFiniteNumber(totals.forward) || !isFiniteNumber(totals.reverse)) {
+            throw new Error("Reaction totals of ".concat(name_1, " need numeric forward and reverse counts"));
+        }
+    }
+    for (var name_2 in data.equilibriumEstimates) {
+        if (!isFiniteNumber(data.equilibriumEstimates[name_2])) {
+            throw new Error("Equilibrium estimate of ".concat(name_2, " must be a number"));
+        }
+    }
+    validateWalls(data.walls, data.obstacles);
+}
+// ==== RATE EQUATIONS ==================================
+// First order rate constant (1/s) with given half-life
+function getRateFromHalfLife(halfLife) {
+    return Math.LN2 / halfLife;
+}
+// Product of concentration^coeff over species list, as in a mass action rate law
+function getMassActionTerm(molFormulas, concentrations) {
+    var term = 1;
+    for (var _i = 0, molFormulas_1 = molFormulas; _i < molFormulas_1.length; _i++) {
+        var molFormula = molFormulas_1[_i];
+        term *= Math.pow((concentrations[molFormula.formula] || 0), molFormula.molCoeff);
+    }
+    return term;
+}
+// d[X]/dt for every species, from mass action rate equations of each reaction
+function getMassActionDerivatives(concentrations, reactions, constants) {
+    var derivatives = {};
+    for (var formula in concentrations) {
+        derivatives[formula] = 0;
+    }
+    for (var i = 0; i < reactions.length; i++) {
+        var reaction = reactions[i];
+        // Catalysts appear in rate law of both directions, but cancel out of Q
+        var netRate = constants[i].forward * getMassActionTerm(reaction.reactants.concat(reaction.catalysts), concentrations);
+        if (reaction.reversible) {
+            netRate -= constants[i].reverse * getMassActionTerm(reaction.products.concat(reaction.catalysts), concentrations);
+        }
+        for (var _i = 0, _a = reaction.reactants; _i < _a.length; _i++) {
+            var reactant = _a[_i];
+            derivatives[reactant.formula] = (derivatives[reactant.formula] || 0) - reactant.molCoeff * netRate;
+        }
+        for (var _b = 0, _c = reaction.products; _b < _c.length; _b++) {
+            var product = _c[_b];
+            derivatives[product.formula] = (derivatives[product.formula] || 0) + product.molCoeff * netRate;
+        }
+    }
+    return derivatives;
+}
+// Returns a + b * scale for every species in a
+function getScaledSum(a, b, scale) {
+    var output = {};
+    for (var formula in a) {
+        output[formula] = a[formula] + (b[formula] || 0) * scale;
+    }
+    return output;
+}
+// Integrates rate equations with 4th order Runge-Kutta, returns concentrations (counts per unit volume) at every step (including start)
+function integrateMassAction(initial, reactions, constants, duration, dt) {
+    var output = [{ time: 0, counts: initial, volume: 1 }];
+    var current = initial;
+    for (var time = dt; time <= duration + dt / 2; time += dt) {
+        var k1 = getMassActionDerivatives(current, reactions, constants);
+        var k2 = getMassActionDerivatives(getScaledSum(current, k1, dt / 2), reactions, constants);
+        var k3 = getMassActionDerivatives(getScaledSum(current, k2, dt / 2), reactions, constants);
+        var k4 = getMassActionDerivatives(getScaledSum(current, k3, dt), reactions, constants);
+        var next = {};
+        for (var formula in current) {
+            var change = (k1[formula] + 2 * k2[formula] + 2 * k3[formula] + k4[formula]) * dt / 6;
+            // Concentrations can't go negative, even if step overshoots
+            next[formula] = Math.max(0, current[formula] + change);
+        }
+        current = next;
+        output.push({ time: time, counts: current, volume: 1 });
+    }
+    return output;
+}
+// ==== FITTING FUNCTIONS ==================================
+// Least squares line through points
+function fitLine(xs, ys) {
+    var n = xs.length;
+    var sumX = 0;
+    var sumY = 0;
+    for (var i = 0; i < n; i++) {
+        sumX += xs[i];
+        sumY += ys[i];
+    }
+    var meanX = sumX / n;
+    var meanY = sumY / n;
+    var sxx = 0;
+    var sxy = 0;
+    var syy = 0;
+    for (var i = 0; i < n; i++) {
+        sxx += Math.pow((xs[i] - meanX), 2);
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += Math.pow((ys[i] - meanY), 2);
+    }
+    var slope = sxx === 0 ? 0 : sxy / sxx;
+    // Flat data is perfectly fit by a flat line
+    var rSquared = syy === 0 ? 1 : sxy * sxy / (sxx * syy);
+    return { slope: slope, intercept: meanY - slope * meanX, rSquared: rSquared };
+}
+// Picks reaction order by which of [A], ln[A] or 1/[A] is most linear in time
+function fitReactionOrder(formula, times, concentrations) {
+    // ln and 1/x need nonzero concentrations
+    var nonzeroTimes = [];
+    var logs = [];
+    var inverses = [];
+    for (var i = 0; i < times.length; i++) {
+        if (concentrations[i] > 0) {
+            nonzeroTimes.push(times[i]);
+            logs.push(Math.log(concentrations[i]));
+            inverses.push(1 / concentrations[i]);
+        }
+    }
+    var fits = [fitLine(times, concentrations)];
+    if (nonzeroTimes.length >= MIN_FIT_POINTS) {
+        fits.push(fitLine(nonzeroTimes, logs), fitLine(nonzeroTimes, inverses));
+    }
+    var order = 0;
+    for (var i = 1; i < fits.length; i++) {
+        if (fits[i].rSquared > fits[order].rSquared) {
+            order = i;
+        }
+    }
+    // Zeroth and first order plots fall with slope -k, second order rises with slope k
+    var rateConstant = order === 2 ? fits[2].slope : -fits[order].slope;
+    var initial = concentrations[0];
+    var halfLife = Infinity;
+    if (rateConstant > 0) {
+        if (order === 0) {
+            halfLife = initial / (2 * rateConstant);
+        }
+        else if (order === 1) {
+            halfLife = Math.LN2 / rateConstant;
+        }
+        else if (initial > 0) {
+            halfLife = 1 / (rateConstant * initial);
+        }
+    }
+    // Method of initial rates, slope over start of window
+    var initialPoints = Math.max(2, Math.ceil(times.length * INITIAL_RATE_FRACTION));
+    var initialRate = -fitLine(times.slice(0, initialPoints), concentrations.slice(0, initialPoints)).slope;
+    var rSquared = fits.map(function (fit) {
+        return fit.rSquared;
+    });
+    while (rSquared.length < 3) {
+        rSquared.push(NaN);
+    }
+    return { formula: formula, order: order, rSquared: rSquared, rateConstant: rateConstant, halfLife: halfLife, initialRate: initialRate };
+}
+// ==== WALL FUNCTIONS ==================================
+// 2D cross product, positive if b is counterclockwise of a
+function getCross(a, b) {
+    return a.x * b.y - a.y * b.x;
+}
+// True if segment p1-p2 crosses segment q1-q2
+function isSegmentCrossing(p1, p2, q1, q2) {
+    var p = p1.getDifference(p2);
+    var q = q1.getDifference(q2);
+    var d1 = getCross(q, q1.getDifference(p1));
+    var d2 = getCross(q, q1.getDifference(p2));
+    var d3 = getCross(p, p1.getDifference(q1));
+    var d4 = getCross(p, p1.getDifference(q2));
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+function getClosestPointOnWall(pos, wall) {
+    var start = new Vector(wall.x1, wall.y1);
+    var direction = start.getDifference(new Vector(wall.x2, wall.y2));
+    var lengthSquared = direction.getDot(direction);
+    if (lengthSquared === 0) {
+        return start;
+    }
+    var t = bound(start.getDifference(pos).getDot(direction) / lengthSquared, 0, 1);
+    return start.getAddition(direction.getScaled(t));
+}
+// Four edges of obstacle as solid walls
+function getObstacleWalls(obstacle) {
+    var left = obstacle.x;
+    var right = obstacle.x + obstacle.width;
+    var top = obstacle.y;
+    var bottom = obstacle.y + obstacle.height;
+    return [
+        { x1: left, y1: top, x2: right, y2: top, permeable: [] },
+        { x1: right, y1: top, x2: right, y2: bottom, permeable: [] },
+        { x1: right, y1: bottom, x2: left, y2: bottom, permeable: [] },
+        { x1: left, y1: bottom, x2: left, y2: top, permeable: [] },
+    ];
+}
+function isInsideObstacle(pos, obstacle) {
+    return pos.x >= obstacle.x && pos.x <= obstacle.x + obstacle.width && pos.y >= obstacle.y && pos.y <= obstacle.y + obstacle.height;
+}
+// True if a wall that doesn't let both particles through lies between their centers, so they can't touch
+function isSeparatedByWall(particle1, particle2, walls) {
+    for (var _i = 0, walls_2 = walls; _i < walls_2.length; _i++) {
+        var wall = walls_2[_i];
+        if (wall.permeable.indexOf(particle1.formula) !== -1 && wall.permeable.indexOf(particle2.formula) !== -1) {
+            continue;
+        }
+        if (isSegmentCrossing(particle1.pos, particle2.pos, new Vector(wall.x1, wall.y1), new Vector(wall.x2, wall.y2))) {
+            return true;
+        }
+    }
+    return false;
+}
+// Bounces particle elastically off wall unless it's permeable to it, prevPos catches particles that jumped across in one step
+function collideWithWall(particle, prevPos, wall) {
+    if (wall.permeable.indexOf(particle.formula) !== -1) {
+        return;
+    }
+    var start = new Vector(wall.x1, wall.y1);
+    var end = new Vector(wall.x2, wall.y2);
+    var normal;
+    var contact;
+    if (isSegmentCrossing(prevPos, particle.pos, start, end)) {
+        // Send back to the side it came from, at the point it crossed
+        var direction = start.getDifference(end);
+        var movement = prevPos.getDifference(particle.pos);
+        var t = getCross(start.getDifference(prevPos), direction) / getCross(direction, movement);
+        contact = prevPos.getAddition(movement.getScaled(t));
+        normal = new Vector(-direction.y, direction.x).getNormalized();
+        if (getCross(direction, start.getDifference(prevPos)) < 0) {
+            normal = normal.getNeg();
+        }
+    }
+    else {
+        // Push out if overlapping
+        contact = getClosestPointOnWall(particle.pos, wall);
+        var offset = contact.getDifference(particle.pos);
+        var distance = offset.getMagnitude();
+        if (distance >= particle.radius || distance === 0) {
+            return;
+        }
+        normal = offset.getScaled(1 / distance);
+    }
+    particle.pos = contact.getAddition(normal.getScaled(particle.radius));
+    // Only bounce if moving into wall
+    var normalSpeed = particle.vel.getDot(normal);
+    if (normalSpeed < 0) {
+        particle.vel = particle.vel.getAddition(normal.getScaled(-2 * normalSpeed));
+    }
+}
+// ==== SIM FUNCTIONS ==================================
+// Builds spatial grid of all particles, with cells large enough to hold any overlapping pair
+function buildSpatialGrid(particles, dimensions) {
+    var maxRadius = RADIUS;
+    for (var _i = 0, particles_1 = particles; _i < particles_1.length; _i++) {
+        var particle = particles_1[_i];
+        maxRadius = Math.max(maxRadius, particle.radius);
+    }
+    var grid = new SpatialGrid(dimensions, 2 * maxRadius);
+    for (var i = 0; i < particles.length; i++) {
+        grid.insert(i, particles[i].pos);
+    }
+    return grid;
+}
+// Sets list of particles as "removed" state
+function removeParticles(particles) {
+    for (var _i = 0, particles_2 = particles; _i < particles_2.length; _i++) {
+        var particle = particles_2[_i];
+        particle.state = "removed";
+    }
+}
+// Sets products' velocities so kinetic energy equals reactants' plus releasedEnergy, momentum is only kept with 2+ products
+// Returns false (products unchanged) if there isn't enough energy for the products
+function transferKineticEnergy(reactants, products, releasedEnergy) {
+    var momentum = new Vector(0, 0);
+    var totalEnergy = releasedEnergy;
+    for (var _i = 0, reactants_1 = reactants; _i < reactants_1.length; _i++) {
+        var reactant = reactants_1[_i];
+        momentum = momentum.getAddition(reactant.vel.getScaled(reactant.mass));
+        totalEnergy += reactant.getKineticEnergy();
+    }
+    if (totalEnergy < 0) {
+        return false;
+    }
+    var productMass = 0;
+    for (var _a = 0, products_1 = products; _a < products_1.length; _a++) {
+        var product = products_1[_a];
+        productMass += product.mass;
+    }
+    var comVel = momentum.getScaled(1 / productMass);
+    // Single product has no relative motion to store energy in, so keep energy and only the momentum direction (magnitude isn't conserved)
+    if (products.length === 1) {
+        var direction = comVel.getMagnitude() === 0 ? products[0].vel.getNormalized() : comVel.getNormalized();
+        products[0].vel = direction.getScaled(Math.sqrt(2 * totalEnergy / products[0].mass));
+        return true;
+    }
+    // Energy left after moving products' center of mass
+    var internalEnergy = totalEnergy - 0.5 * productMass * Math.pow(comVel.getMagnitude(), 2);
+    if (internalEnergy < 0) {
+        return false;
+    }
+    // Use products' random thermal velocities for relative motion, after removing their net momentum
+    var productMomentum = new Vector(0, 0);
+    for (var _b = 0, products_2 = products; _b < products_2.length; _b++) {
+        var product = products_2[_b];
+        productMomentum = productMomentum.getAddition(product.vel.getScaled(product.mass));
+    }
+    var drift = productMomentum.getScaled(1 / productMass);
+    var relativeVels = [];
+    var relativeEnergy = 0;
+    for (var _c = 0, products_3 = products; _c < products_3.length; _c++) {
+        var product = products_3[_c];
+        var relativeVel = product.vel.getAddition(drift.getNeg());
+        relativeVels.push(relativeVel);
+        relativeEnergy += 0.5 * product.mass * Math.pow(relativeVel.getMagnitude(), 2);
+    }
+    // Scale relative motion to hold the internal energy
+    var scaler = relativeEnergy === 0 ? 0 : Math.sqrt(internalEnergy / relativeEnergy);
+    for (var i = 0; i < products.length; i++) {
+        products[i].vel = comVel.getAddition(relativeVels[i].getScaled(scaler));
+    }
+    return true;
+}
+// Velocity of particle leaving a heat bath wall, inwardNormal points into the container
+// Speed into container follows the flux-weighted (Rayleigh) distribution, speed along wall is normal
+function getWallVel(inwardNormal, mass, bath) {
+    var stdDev = Math.sqrt(BOLTZMANN * bath.temperature / mass);
+    var normalSpeed = stdDev * Math.sqrt(-2 * Math.log(1 - bath.random.next()));
+    var tangentSpeed = bath.random.getNormal(0, stdDev);
+    var tangent = new Vector(-inwardNormal.y, inwardNormal.x);
+    return inwardNormal.getScaled(normalSpeed).getAddition(tangent.getScaled(tangentSpeed));
+}
+function copyReactionTotals(totals) {
+    var copy = {};
+    for (var name_3 in totals) {
+        copy[name_3] = { forward: totals[name_3].forward, reverse: totals[name_3].reverse };
+    }
+    return copy;
+}
+function getAvgPos(particles) {
+    var length = particles.length;
+    // Return zero vector if list has no particles
+    if (length === 0) {
+        return new Vector(0, 0);
+    }
+    var totalX = 0;
+    var totalY = 0;
+    for (var _i = 0, particles_3 = particles; _i < particles_3.length; _i++) {
+        var particle = particles_3[_i];
+        totalX += particle.pos.x;
+        totalY += particle.pos.y;
+    }
+    return new Vector(totalX / length, totalY / length);
+}
+function countSpecies(particles, formula) {
+    var count = 0;
+    for (var _i = 0, particles_4 = particles; _i < particles_4.length; _i++) {
+        var particle = particles_4[_i];
+        if (particle.state !== "removed" && particle.formula === formula) {
+            count += 1;
+        }
+    }
+    return count;
+}
+// ==== TESTING FUNCTIONS ==================================
+function getAvgSpeed(particles) {
+    var totalSpeed = 0;
+    for (var _i = 0, particles_5 = particles; _i < particles_5.length; _i++) {
+        var particle = particles_5[_i];
+        totalSpeed += particle.vel.getMagnitude();
+    }
+    return totalSpeed / particles.length;
+}
+// ==== DISTRIBUTION FUNCTIONS ==================================
+// 2D Maxwell-Boltzmann probability density of speed (px/s), for particles of mass at temperature
+function getSpeedDensity(speed, mass, temperature) {
+    var kT = BOLTZMANN * temperature;
+    return mass * speed / kT * Math.exp(-mass * Math.pow(speed, 2) / (2 * kT));
+}
+// 2D Maxwell-Boltzmann probability density of kinetic energy (temperature units), the same for every mass
+function getEnergyDensity(energy, temperature) {
+    return Math.exp(-energy / temperature) / temperature;
+}
+// Expected fraction of particles with at least energy (temperature units), e^(-E/kT) in 2D
+function getFractionAboveEnergy(energy, temperature) {
+    return Math.exp(-energy / temperature);
+}
+// Number of values in each of binCount bins of binWidth starting at 0, values past the last bin go in it
+function getHistogram(values, binWidth, binCount) {
+    var bins = [];
+    for (var i = 0; i < binCount; i++) {
+        bins.push(0);
+    }
+    for (var _i = 0, values_1 = values; _i < values_1.length; _i++) {
+        var value = values_1[_i];
+        bins[bound(Math.floor(value / binWidth), 0, binCount - 1)]++;
+    }
+    return bins;
+}
+// ==================================================================================================
+// ==== Simulation ==================================================================================
+// ==================================================================================================
+// Holds all simulation state, without touching the DOM so it can also run in Node
+var Simulation = /** @class */ (function () {
+    function Simulation(config) {
+        this.time = 0;
+        this.thermostat = "isothermal";
+        this.thermostatCoupling = 0.5; // Isothermal relaxation time in seconds, larger is gentler
+        this.pistonVel = 0;
+        // Recent wall impulses per unit wall length, and the time each was collected over
+        this.pressureImpulses = [];
+        this.pressureTimes = [];
+        this.speciesList = []; // Registry of species, for color, label and UI reference
+        this.particleList = [];
+        this.particleCreationQueue = []; // Particles waiting to be added
+        this.reactionList = [];
+        // Every reaction event in time order, with totals and running K estimate for each reaction name
+        this.reactionEvents = [];
+        this.countHistory = []; // Counts after every step, never trimmed
+        this.reactionTotals = {};
+        this.equilibriumEstimates = {};
+        this.walls = [];
+        this.obstacles = [];
+        // Compartment index of each map cell (-1 if blocked), rebuilt when walls or piston cell change
+        this.compartmentMap = null;
+        this.compartmentMapPiston = -1;
+        this.compartmentTotal = 1;
+        this.dimensions = config.dimensions;
+        this.pistonPos = config.dimensions.width;
+        this.pistonTarget = config.dimensions.width;
+        if (config.volume !== undefined) {
+            this.setVolume(config.volume);
+            this.pistonPos = this.pistonTarget;
+        }
+        this.temperature = config.temperature === undefined ? 2 : config.temperature;
+        this.random = new Random(config.seed === undefined ? Date.now() : config.seed);
+        for (var _i = 0, _a = config.species || []; _i < _a.length; _i++) {
+            var speciesConfig = _a[_i];
+            this.registerSpecies(speciesConfig.formula, speciesConfig);
+        }
+        for (var _b = 0, _c = config.reactions || []; _b < _c.length; _b++) {
+            var reaction = _c[_b];
+            this.addReaction(reaction);
+        }
+        for (var _d = 0, _e = config.walls || []; _d < _e.length; _d++) {
+            var wall = _e[_d];
+            this.addWall(wall);
+        }
+        for (var _f = 0, _g = config.obstacles || []; _f < _g.length; _f++) {
+            var obstacle = _g[_f];
+            this.addObstacle(obstacle);
+        }
+        for (var formula in config.counts) {
+            this.changeConcentration(config.counts[formula], formula);
+        }
+        this.updateParticleList();
+        this.recordCounts();
+    }
+    // Rebuilds simulation from getScenario output, throws error if data is invalid
+    Simulation.fromScenario = function (data) {
+        validateScenario(data);
+        var simulation = new Simulation({
+            dimensions: data.dimensions,
+            temperature: data.temperature,
+            species: data.species,
+            reactions: data.reactions.map(createReactionFromData),
+        });
+        simulation.time = data.time;
+        simulation.thermostat = data.thermostat;
+        simulation.thermostatCoupling = data.thermostatCoupling;
+        simulation.pistonPos = data.pistonPos;
+        simulation.pistonTarget = data.pistonTarget;
+        simulation.random.setState(data.randomState);
+        for (var _i = 0, _a = data.walls || []; _i < _a.length; _i++) {
+            var wall = _a[_i];
+            simulation.addWall(wall);
+        }
+        for (var _b = 0, _c = data.obstacles || []; _b < _c.length; _b++) {
+            var obstacle = _c[_b];
+            simulation.addObstacle(obstacle);
+        }
+        for (var _d = 0, _e = data.particles; _d < _e.length; _d++) {
+            var snapshot = _e[_d];
+            var species = simulation.registerSpecies(snapshot.formula);
+            var particle = new Particle(snapshot.formula, species.color, species.radius, new Vector(snapshot.x, snapshot.y), data.temperature, new Vector(snapshot.vx, snapshot.vy), species.mass);
+            particle.state = snapshot.state;
+            particle.cooldownDist = snapshot.cooldownDist;
+            simulation.particleList.push(particle);
+        }
+        // Restart history from loaded state, reaction totals carry on
+        simulation.countHistory = [];
+        simulation.recordCounts();
+        simulation.reactionTotals = copyReactionTotals(data.reactionTotals || {});
+        simulation.equilibriumEstimates = __assign({}, data.equilibriumEstimates);
+        return simulation;
+    };
+    // Builds simulation from setup, throws error if setup is invalid
+    Simulation.fromSetup = function (data, dimensions) {
+        validateSetup(data);
+        var simulation = new Simulation({
+            dimensions: dimensions,
+            temperature: data.temperature,
+            seed: data.seed,
+            species: data.species,
+            reactions: data.reactions.map(createReactionFromData),
+            counts: data.counts,
+            walls: data.walls,
+            obstacles: data.obstacles,
+            volume: data.volume,
+        });
+        if (data.thermostat !== undefined) {
+            simulation.thermostat = data.thermostat;
+        }
+        return simulation;
+    };
+    // Current species, reactions, counts and settings as a setup, particles will be re-placed using seed
+    Simulation.prototype.getSetup = function (name, description, seed) {
+        return {
+            name: name,
+            description: description,
+            temperature: this.temperature,
+            seed: seed,
+            species: this.speciesList.map(function (species) {
+                return { formula: species.formula, color: species.color, label: species.label, mass: species.mass, radius: species.radius };
+            }),
+            reactions: this.reactionList.map(getReactionData),
+            counts: this.getCounts(),
+            thermostat: this.thermostat,
+            volume: this.getVolume(),
+            walls: this.walls.slice(),
+            obstacles: this.obstacles.slice(),
+        };
+    };
+    Simulation.prototype.getScenario = function () {
+        this.updateParticleList();
+        return {
+            version: SCENARIO_VERSION,
+            dimensions: { width: this.dimensions.width, height: this.dimensions.height },
+            time: this.time,
+            temperature: this.temperature,
+            thermostat: this.thermostat,
+            thermostatCoupling: this.thermostatCoupling,
+            pistonPos: this.pistonPos,
+            pistonTarget: this.pistonTarget,
+            randomState: this.random.getState(),
+            species: this.speciesList.map(function (species) {
+                return { formula: species.formula, color: species.color, label: species.label, mass: species.mass, radius: species.radius };
+            }),
+            reactions: this.reactionList.map(getReactionData),
+            particles: this.getSnapshot(),
+            walls: this.walls.slice(),
+            obstacles: this.obstacles.slice(),
+            reactionTotals: copyReactionTotals(this.reactionTotals),
+            equilibriumEstimates: __assign({}, this.equilibriumEstimates),
+        };
+    };
+    // ==== SPECIES ==================================
+    // Returns registered species, or null if formula isn't registered
+    Simulation.prototype.getSpecies = function (formula) {
+        for (var _i = 0, _a = this.speciesList; _i < _a.length; _i++) {
+            var species = _a[_i];
+            if (species.formula === formula) {
+                return species;
+            }
+        }
+        return null;
+    };
+    // Adds species to registry if not already there, unset properties use the next unused color and default size
+    Simulation.prototype.registerSpecies = function (formula, properties) {
+        if (properties === void 0) { properties = {}; }
+        var existing = this.getSpecies(formula);
+        if (existing !== null) {
+            return existing;
+        }
+        var species = {
+            formula: formula,
+            color: properties.color || SPECIES_COLORS[this.speciesList.length % SPECIES_COLORS.length],
+            label: properties.label || formula,
+            mass: properties.mass || 1,
+            radius: properties.radius || RADIUS,
+        };
+        this.speciesList.push(species);
+        return species;
+    };
+    // Registers every species used in reaction, returns true if any were new
+    Simulation.prototype.registerReactionSpecies = function (reaction) {
+        var speciesCount = this.speciesList.length;
+        for (var _i = 0, _a = reaction.reactants.concat(reaction.products, reaction.catalysts); _i < _a.length; _i++) {
+            var molFormula = _a[_i];
+            this.registerSpecies(molFormula.formula);
+        }
+        return this.speciesList.length !== speciesCount;
+    };
+    // ==== REACTIONS ==================================
+    // Adds reaction and registers its species, returns true if any species were new
+    Simulation.prototype.addReaction = function (reaction) {
+        this.reactionList.push(reaction);
+        return this.registerReactionSpecies(reaction);
+    };
+    // First of rxn1, rxn2, ... not taken by a reaction, now or in recorded events (totals are kept by name)
+    Simulation.prototype.getUnusedReactionName = function () {
+        var names = this.reactionList.map(function (reaction) {
+            return reaction.name;
+        });
+        for (var name_4 in this.reactionTotals) {
+            names.push(name_4);
+        }
+        var number = 1;
+        while (names.indexOf("rxn" + number) !== -1) {
+            number++;
+        }
+        return "rxn" + number;
+    };
+    // Names of mechanisms, in order of their first step
+    Simulation.prototype.getMechanismNames = function () {
+        var names = [];
+        for (var _i = 0, _a = this.reactionList; _i < _a.length; _i++) {
+            var reaction = _a[_i];
+            if (reaction.mechanism !== "" && names.indexOf(reaction.mechanism) === -1) {
+                names.push(reaction.mechanism);
+            }
+        }
+        return names;
+    };
+    Simulation.prototype.getMechanismSteps = function (mechanism) {
+        return this.reactionList.filter(function (reaction) {
+            return reaction.mechanism === mechanism;
+        });
+    };
+    // Net change in each species when every step runs forward once
+    Simulation.prototype.getMechanismChanges = function (mechanism) {
+        var changes = {};
+        for (var _i = 0, _a = this.getMechanismSteps(mechanism); _i < _a.length; _i++) {
+            var step = _a[_i];
+            for (var _b = 0, _c = step.reactants; _b < _c.length; _b++) {
+                var reactant = _c[_b];
+                changes[reactant.formula] = (changes[reactant.formula] || 0) - reactant.molCoeff;
+            }
+            for (var _d = 0, _e = step.products; _d < _e.length; _d++) {
+                var product = _e[_d];
+                changes[product.formula] = (changes[product.formula] || 0) + product.molCoeff;
+            }
+        }
+        return changes;
+    };
+    // Overall equation of mechanism, from net changes of its steps
+    Simulation.prototype.getMechanismEquation = function (mechanism) {
+        var changes = this.getMechanismChanges(mechanism);
+        var reactants = [];
+        var products = [];
+        for (var formula in changes) {
+            if (changes[formula] < 0) {
+                reactants.push(getCoeffString(-changes[formula]) + formula);
+            }
+            else if (changes[formula] > 0) {
+                products.push(getCoeffString(changes[formula]) + formula);
+            }
+        }
+        return reactants.join(" + ") + " -> " + products.join(" + ");
+    };
+    // Species made by one step and used up by a later one, so they cancel out of overall equation
+    // Species used up first and remade later are catalysts instead
+    Simulation.prototype.getIntermediates = function (mechanism) {
+        var changes = this.getMechanismChanges(mechanism);
+        var firstSeen = {};
+        for (var _i = 0, _a = this.getMechanismSteps(mechanism); _i < _a.length; _i++) {
+            var step = _a[_i];
+            for (var _b = 0, _c = step.reactants; _b < _c.length; _b++) {
+                var reactant = _c[_b];
+                if (!(reactant.formula in firstSeen)) {
+                    firstSeen[reactant.formula] = "reactant";
+                }
+            }
+            for (var _d = 0, _e = step.products; _d < _e.length; _d++) {
+                var product = _e[_d];
+                if (!(product.formula in firstSeen)) {
+                    firstSeen[product.formula] = "product";
+                }
+            }
+        }
+        var intermediates = [];
+        for (var formula in firstSeen) {
+            if (firstSeen[formula] === "product" && changes[formula] === 0) {
+                intermediates.push(formula);
+            }
+        }
+        return intermediates;
+    };
+    // Intermediates of every mechanism
+    Simulation.prototype.getAllIntermediates = function () {
+        var intermediates = [];
+        for (var _i = 0, _a = this.getMechanismNames(); _i < _a.length; _i++) {
+            var mechanism = _a[_i];
+            intermediates = intermediates.concat(this.getIntermediates(mechanism));
+        }
+        return intermediates;
+    };
+    Simulation.prototype.recordReactionEvent = function (reaction, direction, pos) {
+        this.reactionEvents.push({ reaction: reaction.name, direction: direction, time: this.time, x: pos.x, y: pos.y });
+        if (!(reaction.name in this.reactionTotals)) {
+            this.reactionTotals[reaction.name] = { forward: 0, reverse: 0 };
+        }
+        this.reactionTotals[reaction.name][direction]++;
+    };
+    Simulation.prototype.getReactionTotals = function (reaction) {
+        return this.reactionTotals[reaction.name] || { forward: 0, reverse: 0 };
+    };
+    // Event rates over the last window seconds
+    Simulation.prototype.getReactionRates = function (reaction, window) {
+        if (window === void 0) { window = RATE_WINDOW; }
+        var forward = 0;
+        var reverse = 0;
+        // Events are in time order, so only look back until window starts
+        for (var i = this.reactionEvents.length - 1; i >= 0; i--) {
+            var event_1 = this.reactionEvents[i];
+            if (event_1.time < this.time - window) {
+                break;
+            }
+            if (event_1.reaction !== reaction.name) {
+                continue;
+            }
+            if (event_1.direction === "forward") {
+                forward++;
+            }
+            else {
+                reverse++;
+            }
+        }
+        // Don't average over time that hasn't happened yet
+        var time = Math.min(window, this.time);
+        if (time === 0) {
+            return { forward: 0, reverse: 0, net: 0 };
+        }
+        return { forward: forward / time, reverse: reverse / time, net: (forward - reverse) / time };
+    };
+    // Fits mass action rate constants from event rates and avg concentrations over the last window seconds
+    // Direction is 0 if it has no events or its reactants were absent
+    Simulation.prototype.fitRateConstants = function (reaction, window) {
+        if (window === void 0) { window = RATE_WINDOW; }
+        var rates = this.getReactionRates(reaction, window);
+        var fwdTerm = 0;
+        var revTerm = 0;
+        var records = 0;
+        // Average rate law terms over the same window as the rates, times volume as event rate = k * term * volume
+        for (var i = this.countHistory.length - 1; i >= 0 && this.countHistory[i].time >= this.time - window; i--) {
+            var record = this.countHistory[i];
+            var concentrations = {};
+            for (var formula in record.counts) {
+                concentrations[formula] = record.counts[formula] / record.volume;
+            }
+            fwdTerm += getMassActionTerm(reaction.reactants.concat(reaction.catalysts), concentrations) * record.volume;
+            revTerm += getMassActionTerm(reaction.products.concat(reaction.catalysts), concentrations) * record.volume;
+            records++;
+        }
+        return {
+            forward: fwdTerm === 0 ? 0 : rates.forward / (fwdTerm / records),
+            reverse: revTerm === 0 ? 0 : rates.reverse / (revTerm / records),
+        };
+    };
+    // User set rate constants, then spontaneous rates (already first order constants), fitted where neither is set
+    Simulation.prototype.getRateConstants = function (reaction) {
+        var fitted = this.fitRateConstants(reaction);
+        var forward = reaction.fwdRateConstant === null ? reaction.fwdSpontaneousRate : reaction.fwdRateConstant;
+        var reverse = reaction.revRateConstant === null ? reaction.revSpontaneousRate : reaction.revRateConstant;
+        return {
+            forward: forward === null ? fitted.forward : forward,
+            reverse: reverse === null ? fitted.reverse : reverse,
+        };
+    };
+    // Counts predicted by mass action rate equations of enabled reactions, starting from current counts
+    Simulation.prototype.predictCounts = function (duration, dt) {
+        if (dt === void 0) { dt = TIMESTEP; }
+        var volume = this.getVolume();
+        var reactions = this.reactionList.filter(function (reaction) {
+            return reaction.enabled;
+        });
+        var constants = [];
+        for (var _i = 0, reactions_2 = reactions; _i < reactions_2.length; _i++) {
+            var reaction = reactions_2[_i];
+            constants.push(this.getRateConstants(reaction));
+        }
+        var initial = {};
+        var counts = this.getCounts();
+        for (var formula in counts) {
+            initial[formula] = counts[formula] / volume;
+        }
+        // Convert back to counts, and to sim time
+        var startTime = this.time;
+        return integrateMassAction(initial, reactions, constants, duration, dt).map(function (record) {
+            var predictedCounts = {};
+            for (var formula in record.counts) {
+                predictedCounts[formula] = record.counts[formula] * volume;
+            }
+            return { time: startTime + record.time, counts: predictedCounts, volume: volume };
+        });
+    };
+    // Fits reaction order, k and half-life of each reactant, and K from the plateau, over recorded counts from start to end
+    Simulation.prototype.analyzeWindow = function (reaction, start, end) {
+        var records = this.countHistory.filter(function (record) {
+            return record.time >= start && record.time <= end;
+        });
+        if (records.length < MIN_FIT_POINTS) {
+            throw new Error("Need at least ".concat(MIN_FIT_POINTS, " recorded points between ").concat(start, " s and ").concat(end, " s"));
+        }
+        var times = records.map(function (record) {
+            return record.time;
+        });
+        var reactants = [];
+        var _loop_5 = function (reactant) {
+            var concentrations = records.map(function (record) {
+                return (record.counts[reactant.formula] || 0) / record.volume;
+            });
+            reactants.push(fitReactionOrder(reactant.formula, times, concentrations));
+        };
+        for (var _i = 0, _a = reaction.reactants; _i < _a.length; _i++) {
+            var reactant = _a[_i];
+            _loop_5(reactant);
+        }
+        // Apparent orders of coupled reactants can't be summed (A + B at equal [A] and [B] each look second order),
+        // so overall order comes from fitting their total concentration
+        var totalConcentrations = records.map(function (record) {
+            var total = 0;
+            for (var _i = 0, _a = reaction.reactants; _i < _a.length; _i++) {
+                var reactant = _a[_i];
+                total += (record.counts[reactant.formula] || 0) / record.volume;
+            }
+            return total;
+        });
+        var reactantFormulas = reaction.reactants.map(function (reactant) {
+            return reactant.formula;
+        });
+        var overallOrder = fitReactionOrder(reactantFormulas.join(" + "), times, totalConcentrations).order;
+        // Average Q over end of window, where counts should have levelled off
+        var equilibriumConstant = null;
+        if (reaction.reversible) {
+            var plateau = records.slice(Math.floor(records.length * (1 - PLATEAU_FRACTION)));
+            var quotientSum = 0;
+            for (var _b = 0, plateau_1 = plateau; _b < plateau_1.length; _b++) {
+                var record = plateau_1[_b];
+                var concentrations = {};
+                for (var formula in record.counts) {
+                    concentrations[formula] = record.counts[formula] / record.volume;
+                }
+                quotientSum += getMassActionTerm(reaction.products, concentrations) / getMassActionTerm(reaction.reactants, concentrations);
+            }
+            var quotient = quotientSum / plateau.length;
+            equilibriumConstant = isFinite(quotient) ? quotient : null;
+        }
+        return {
+            reaction: reaction.name,
+            start: times[0],
+            end: times[times.length - 1],
+            points: records.length,
+            reactants: reactants,
+            overallOrder: overallOrder,
+            equilibriumConstant: equilibriumConstant,
+        };
+    };
+    // Q = [products]^coeff / [reactants]^coeff, Infinity if a reactant has run out, NaN (undefined) if a product has too
+    Simulation.prototype.getReactionQuotient = function (reaction) {
+        var quotient = 1;
+        for (var _i = 0, _a = reaction.products; _i < _a.length; _i++) {
+            var product = _a[_i];
+            quotient *= Math.pow(this.getConcentration(product.formula), product.molCoeff);
+        }
+        for (var _b = 0, _c = reaction.reactants; _b < _c.length; _b++) {
+            var reactant = _c[_b];
+            quotient /= Math.pow(this.getConcentration(reactant.formula), reactant.molCoeff);
+        }
+        return quotient;
+    };
+    // True if reversible reaction's fwd and rev rates have balanced
+    Simulation.prototype.isAtEquilibrium = function (reaction) {
+        if (!reaction.reversible) {
+            return false;
+        }
+        var rates = this.getReactionRates(reaction);
+        var eventCount = (rates.forward + rates.reverse) * Math.min(RATE_WINDOW, this.time);
+        if (eventCount < MIN_EQUILIBRIUM_EVENTS) {
+            return false;
+        }
+        return Math.abs(rates.net) <= EQUILIBRIUM_TOLERANCE * (rates.forward + rates.reverse) / 2;
+    };
+    // Estimated K (running average of Q while at equilibrium), null if never at equilibrium
+    Simulation.prototype.getEquilibriumConstant = function (reaction) {
+        if (reaction.name in this.equilibriumEstimates) {
+            return this.equilibriumEstimates[reaction.name];
+        }
+        return null;
+    };
+    Simulation.prototype.updateEquilibriumEstimates = function (dt) {
+        for (var _i = 0, _a = this.reactionList; _i < _a.length; _i++) {
+            var reaction = _a[_i];
+            var quotient = this.getReactionQuotient(reaction);
+            if (!this.isAtEquilibrium(reaction) || !isFinite(quotient)) {
+                continue;
+            }
+            // Start from current Q, then average
+            if (!(reaction.name in this.equilibriumEstimates)) {
+                this.equilibriumEstimates[reaction.name] = quotient;
+                continue;
+            }
+            var estimate = this.equilibriumEstimates[reaction.name];
+            this.equilibriumEstimates[reaction.name] = estimate + (quotient - estimate) * Math.min(1, dt / EQUILIBRIUM_AVERAGE_TIME);
+        }
+    };
+    // Gives every particle its chance to react on its own, independent of collisions
+    Simulation.prototype.attemptSpontaneousReactions = function (dt) {
+        var directions = ["forward", "reverse"];
+        for (var _i = 0, _a = this.particleList; _i < _a.length; _i++) {
+            var particle = _a[_i];
+            if (particle.state === "removed") {
+                continue;
+            }
+            for (var _b = 0, _c = this.reactionList; _b < _c.length; _b++) {
+                var reaction = _c[_b];
+                if (!reaction.enabled) {
+                    continue;
+                }
+                var reacted = false;
+                for (var _d = 0, directions_1 = directions; _d < directions_1.length; _d++) {
+                    var direction = directions_1[_d];
+                    if (reaction.attemptSpontaneousReaction(particle, direction, dt, this)) {
+                        reacted = true;
+                        break;
+                    }
+                }
+                if (reacted) {
+                    break;
+                }
+            }
+        }
+    };
+    // ==== WALLS ==================================
+    Simulation.prototype.addWall = function (wall) {
+        this.walls.push(wall);
+        this.compartmentMap = null;
+    };
+    // Adds obstacle, removing particles trapped inside it
+    Simulation.prototype.addObstacle = function (obstacle) {
+        this.obstacles.push(obstacle);
+        this.compartmentMap = null;
+        removeParticles(this.particleList.filter(function (particle) {
+            return isInsideObstacle(particle.pos, obstacle);
+        }));
+        this.updateParticleList();
+    };
+    Simulation.prototype.clearWalls = function () {
+        this.walls = [];
+        this.obstacles = [];
+        this.compartmentMap = null;
+    };
+    // Walls and obstacle edges particles bounce off
+    Simulation.prototype.getAllWalls = function () {
+        var walls = this.walls;
+        for (var _i = 0, _a = this.obstacles; _i < _a.length; _i++) {
+            var obstacle = _a[_i];
+            walls = walls.concat(getObstacleWalls(obstacle));
+        }
+        return walls;
+    };
+    Simulation.prototype.isInsideObstacles = function (pos) {
+        for (var _i = 0, _a = this.obstacles; _i < _a.length; _i++) {
+            var obstacle = _a[_i];
+            if (isInsideObstacle(pos, obstacle)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    // Flood fills map cells, neighbouring cells share a compartment unless a wall or membrane lies between them
+    Simulation.prototype.getCompartmentMap = function () {
+        var columns = Math.ceil(this.dimensions.width / COMPARTMENT_CELL_SIZE);
+        var rows = Math.ceil(this.dimensions.height / COMPARTMENT_CELL_SIZE);
+        var pistonColumn = Math.floor(this.pistonPos / COMPARTMENT_CELL_SIZE);
+        if (this.compartmentMap !== null && this.compartmentMapPiston === pistonColumn) {
+            return this.compartmentMap;
+        }
+        var walls = this.walls;
+        var getCenter = function (cell) {
+            return new Vector((cell % columns + 0.5) * COMPARTMENT_CELL_SIZE, (Math.floor(cell / columns) + 0.5) * COMPARTMENT_CELL_SIZE);
+        };
+        var isBlocked = function (pos1, pos2) {
+            for (var _i = 0, walls_3 = walls; _i < walls_3.length; _i++) {
+                var wall = walls_3[_i];
+                if (isSegmentCrossing(pos1, pos2, new Vector(wall.x1, wall.y1), new Vector(wall.x2, wall.y2))) {
+                    return true;
+                }
+            }
+            return false;
+        };
+        // Cells outside container or inside obstacles aren't part of any compartment
+        var map = [];
+        for (var cell = 0; cell < columns * rows; cell++) {
+            var center = getCenter(cell);
+            map.push(center.x > this.pistonPos || this.isInsideObstacles(center) ? -1 : -2);
+        }
+        var compartment = 0;
+        for (var firstCell = 0; firstCell < map.length; firstCell++) {
+            if (map[firstCell] !== -2) {
+                continue;
+            }
+            map[firstCell] = compartment;
+            var stack = [firstCell];
+            while (stack.length > 0) {
+                var cell = stack.pop();
+                var column = cell % columns;
+                var neighbours = [];
+                if (column > 0) {
+                    neighbours.push(cell - 1);
+                }
+                if (column < columns - 1) {
+                    neighbours.push(cell + 1);
+                }
+                if (cell >= columns) {
+                    neighbours.push(cell - columns);
+                }
+                if (cell + columns < map.length) {
+                    neighbours.push(cell + columns);
+                }
+                for (var _i = 0, neighbours_1 = neighbours; _i < neighbours_1.length; _i++) {
+                    var neighbour = neighbours_1[_i];
+                    if (map[neighbour] === -2 && !isBlocked(getCenter(cell), getCenter(neighbour))) {
+                        map[neighbour] = compartment;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+            compartment++;
+        }
+        this.compartmentMap = map;
+        this.compartmentMapPiston = pistonColumn;
+        this.compartmentTotal = Math.max(1, compartment);
+        return map;
+    };
+    Simulation.prototype.getCompartmentTotal = function () {
+        this.getCompartmentMap();
+        return this.compartmentTotal;
+    };
+    // Index of compartment containing pos, -1 if none
+    Simulation.prototype.getCompartment = function (pos) {
+        var columns = Math.ceil(this.dimensions.width / COMPARTMENT_CELL_SIZE);
+        var rows = Math.ceil(this.dimensions.height / COMPARTMENT_CELL_SIZE);
+        var column = bound(Math.floor(pos.x / COMPARTMENT_CELL_SIZE), 0, columns - 1);
+        var row = bound(Math.floor(pos.y / COMPARTMENT_CELL_SIZE), 0, rows - 1);
+        return this.getCompartmentMap()[row * columns + column];
+    };
+    // Average position of each compartment's cells, for labelling
+    Simulation.prototype.getCompartmentCenters = function () {
+        var map = this.getCompartmentMap();
+        var columns = Math.ceil(this.dimensions.width / COMPARTMENT_CELL_SIZE);
+        var sums = [];
+        var cellCounts = [];
+        for (var i = 0; i < this.compartmentTotal; i++) {
+            sums.push(new Vector(0, 0));
+            cellCounts.push(0);
+        }
+        for (var cell = 0; cell < map.length; cell++) {
+            if (map[cell] < 0) {
+                continue;
+            }
+            sums[map[cell]] = sums[map[cell]].getAddition(new Vector((cell % columns + 0.5) * COMPARTMENT_CELL_SIZE, (Math.floor(cell / columns) + 0.5) * COMPARTMENT_CELL_SIZE));
+            cellCounts[map[cell]]++;
+        }
+        return sums.map(function (sum, i) {
+            return sum.getScaled(1 / Math.max(1, cellCounts[i]));
+        });
+    };
+    // Number of particles of each registered species in each compartment
+    Simulation.prototype.getCompartmentCounts = function () {
+        var total = this.getCompartmentTotal();
+        var compartmentCounts = [];
+        for (var i = 0; i < total; i++) {
+            var counts = {};
+            for (var _i = 0, _a = this.speciesList; _i < _a.length; _i++) {
+                var species = _a[_i];
+                counts[species.formula] = 0;
+            }
+            compartmentCounts.push(counts);
+        }
+        for (var _b = 0, _c = this.particleList; _b < _c.length; _b++) {
+            var particle = _c[_b];
+            var compartment = this.getCompartment(particle.pos);
+            if (particle.state !== "removed" && compartment >= 0 && particle.formula in compartmentCounts[compartment]) {
+                compartmentCounts[compartment][particle.formula]++;
+            }
+        }
+        return compartmentCounts;
+    };
+    // ==== PARTICLES ==================================
+    // Random position in container, avoiding obstacles if possible
+    Simulation.prototype.getRandPos = function () {
+        var pos = new Vector(0, 0);
+        for (var i = 0; i < MAX_RAND_POS_TRIES; i++) {
+            pos = new Vector(this.random.getInt(0, this.pistonPos), this.random.getInt(0, this.dimensions.height));
+            if (!this.isInsideObstacles(pos)) {
+                break;
+            }
+        }
+        return pos;
+    };
+    // Random velocity from 2D Maxwell-Boltzmann distribution (each component is normal with variance kT/m)
+    Simulation.prototype.getMaxwellBoltzmannVel = function (mass, temperature) {
+        var stdDev = Math.sqrt(BOLTZMANN * temperature / mass);
+        return new Vector(this.random.getNormal(0, stdDev), this.random.getNormal(0, stdDev));
+    };
+    // Creates particle at container temperature, it still needs to be added to particleCreationQueue
+    // Registers formula if it's new, so particles always get their species' color, mass and radius
+    Simulation.prototype.createParticle = function (formula, pos, cooldownDist) {
+        if (cooldownDist === void 0) { cooldownDist = 0; }
+        var species = this.registerSpecies(formula);
+        var vel = this.getMaxwellBoltzmannVel(species.mass, this.temperature);
+        var particle = new Particle(formula, species.color, species.radius, pos, this.temperature, vel, species.mass);
+        if (cooldownDist !== 0) {
+            particle.state = "cooldown";
+            particle.cooldownDist = cooldownDist;
+        }
+        return particle;
+    };
+    // BUG: VERY INACCURATE, many "removed particles" make it past filter
+    Simulation.prototype.changeConcentration = function (targetAmount, formula) {
+        var speciesParticles = this.particleList.concat(this.particleCreationQueue).filter(function (particle) {
+            return (particle.state !== "removed" && particle.formula === formula);
+        });
+        // If already have target number of species particles
+        if (speciesParticles.length === targetAmount) {
+            return;
+        }
+        // If have more than target number of species particles, remove particles until equal
+        while (speciesParticles.length > targetAmount) {
+            speciesParticles[0].state = "removed";
+            speciesParticles.shift();
+        }
+        // If have less than target number of species particles, add particles until equal
+        while (speciesParticles.length < targetAmount) {
+            var particle = this.createParticle(formula, this.getRandPos());
+            // Add new particle to creation queue
+            speciesParticles.push(particle);
+            this.particleCreationQueue.push(particle);
+        }
+    };
+    // Adds particles at random points within radius of center, kept inside container
+    // Added straight to particle list so they show while paused
+    Simulation.prototype.sprayParticles = function (formula, center, radius, amount) {
+        for (var i = 0; i < amount; i++) {
+            // Square root spreads points evenly over the disc instead of bunching at center
+            var offset = new Vector(radius * Math.sqrt(this.random.getFloat(0, 1)), 0).getRotated(this.random.getFloat(0, 2 * Math.PI));
+            var pos = new Vector(bound(center.x + offset.x, 0, this.pistonPos), bound(center.y + offset.y, 0, this.dimensions.height));
+            if (this.isInsideObstacles(pos)) {
+                continue;
+            }
+            this.particleList.push(this.createParticle(formula, pos));
+        }
+    };
+    // Removes particles with centers within radius of pos, returns number removed
+    Simulation.prototype.eraseParticles = function (pos, radius) {
+        var erased = this.particleList.filter(function (particle) {
+            return particle.state !== "removed" && getDistSquared(particle.pos, pos) <= Math.pow(radius, 2);
+        });
+        removeParticles(erased);
+        this.updateParticleList();
+        return erased.length;
+    };
+    // Topmost particle covering pos, null if none
+    Simulation.prototype.getParticleAt = function (pos) {
+        for (var i = this.particleList.length - 1; i >= 0; i--) {
+            var particle = this.particleList[i];
+            if (particle.state !== "removed" && getDistSquared(particle.pos, pos) <= Math.pow(particle.radius, 2)) {
+                return particle;
+            }
+        }
+        return null;
+    };
+    // Piston moves towards new volume at PISTON_SPEED, pushing particles with it
+    Simulation.prototype.setVolume = function (volume) {
+        this.pistonTarget = bound(volume * AREA_UNIT / this.dimensions.height, MIN_PISTON_POS, this.dimensions.width);
+    };
+    Simulation.prototype.movePiston = function (dt) {
+        var maxMove = PISTON_SPEED * dt;
+        var move = bound(this.pistonTarget - this.pistonPos, -maxMove, maxMove);
+        this.pistonPos += move;
+        this.pistonVel = move / dt;
+    };
+    // Sets bath temperature, particles reach it through the thermostat instead of being reset
+    Simulation.prototype.changeTemperature = function (temperature) {
+        this.temperature = temperature;
+    };
+    // Berendsen thermostat, rescales all velocities so measured temp relaxes towards bath temp
+    Simulation.prototype.applyThermostat = function (dt) {
+        if (this.thermostat !== "isothermal") {
+            return;
+        }
+        var measuredTemperature = this.getKineticTemperature();
+        // Ignore if nothing is moving, scaling can't help
+        if (measuredTemperature === 0) {
+            return;
+        }
+        var coupling = Math.min(1, dt / Math.max(this.thermostatCoupling, dt));
+        var speedScaler = Math.sqrt(Math.max(0, 1 + coupling * (this.temperature / measuredTemperature - 1)));
+        for (var _i = 0, _a = this.particleList; _i < _a.length; _i++) {
+            var particle = _a[_i];
+            particle.vel = particle.vel.getScaled(speedScaler);
+        }
+    };
+    // Adds queued particles and deletes removed ones
+    Simulation.prototype.updateParticleList = function () {
+        var _a;
+        // Add queue particles
+        (_a = this.particleList).push.apply(_a, this.particleCreationQueue);
+        this.particleCreationQueue.length = 0; // Clears queue
+        // Update particle states
+        var i = 0;
+        while (i < this.particleList.length) {
+            var particle = this.particleList[i];
+            // Delete particle if state is "removed"
+            if (particle.state === "removed") {
+                this.particleList.splice(i, 1);
+                continue;
+            }
+            i++;
+        }
+    };
+    // ==== QUERIES ==================================
+    Simulation.prototype.countSpecies = function (formula) {
+        return countSpecies(this.particleList, formula);
+    };
+    // Temperature measured from particle kinetic energies (2D, so avg kinetic energy per particle is kT)
+    Simulation.prototype.getKineticTemperature = function () {
+        // No particles to measure, use container temperature
+        if (this.particleList.length === 0) {
+            return this.temperature;
+        }
+        var totalEnergy = 0;
+        for (var _i = 0, _a = this.particleList; _i < _a.length; _i++) {
+            var particle = _a[_i];
+            totalEnergy += particle.getKineticEnergy();
+        }
+        return totalEnergy / (this.particleList.length * BOLTZMANN);
+    };
+    // Speeds (px/s) of particles of formula, or of every particle if formula is null
+    Simulation.prototype.getSpeeds = function (formula) {
+        if (formula === void 0) { formula = null; }
+        return this.particleList.filter(function (particle) {
+            return particle.state !== "removed" && (formula === null || particle.formula === formula);
+        }).map(function (particle) {
+            return particle.vel.getMagnitude();
+        });
+    };
+    // Kinetic energies (temperature units) of particles of formula, or of every particle if formula is null
+    Simulation.prototype.getKineticEnergies = function (formula) {
+        if (formula === void 0) { formula = null; }
+        return this.particleList.filter(function (particle) {
+            return particle.state !== "removed" && (formula === null || particle.formula === formula);
+        }).map(function (particle) {
+            return particle.getKineticEnergy() / BOLTZMANN;
+        });
+    };
+    // Current container, bounded by the piston
+    Simulation.prototype.getContainer = function () {
+        return { width: this.pistonPos, height: this.dimensions.height };
+    };
+    Simulation.prototype.getVolume = function () {
+        return this.pistonPos * this.dimensions.height / AREA_UNIT;
+    };
+    // Time averaged pressure from wall impulses (2D, so force per unit wall length)
+    Simulation.prototype.getPressure = function () {
+        var totalImpulse = 0;
+        var totalTime = 0;
+        for (var i = 0; i < this.pressureImpulses.length; i++) {
+            totalImpulse += this.pressureImpulses[i];
+            totalTime += this.pressureTimes[i];
+        }
+        if (totalTime === 0) {
+            return 0;
+        }
+        // Per AREA_UNIT to match getVolume, and in temperature units so PV = NT for an ideal gas
+        return totalImpulse / totalTime * AREA_UNIT / BOLTZMANN;
+    };
+    // Particles per unit volume
+    Simulation.prototype.getConcentration = function (formula) {
+        return this.countSpecies(formula) / this.getVolume();
+    };
+    // Number of particles of each registered species
+    Simulation.prototype.getCounts = function () {
+        var counts = {};
+        for (var _i = 0, _a = this.speciesList; _i < _a.length; _i++) {
+            var species = _a[_i];
+            counts[species.formula] = this.countSpecies(species.formula);
+        }
+        return counts;
+    };
+    Simulation.prototype.recordCounts = function () {
+        var record = { time: this.time, counts: this.getCounts(), volume: this.getVolume() };
+        if (this.getCompartmentTotal() > 1) {
+            record.compartments = this.getCompartmentCounts();
+        }
+        this.countHistory.push(record);
+    };
+    // Full count history as CSV, one column per registered species
+    Simulation.prototype.getHistoryCSV = function () {
+        var formulas = this.speciesList.map(function (species) {
+            return species.formula;
+        });
+        var lines = ["time," + formulas.join(",")];
+        var _loop_6 = function (record) {
+            // Blank if species wasn't registered yet
+            var counts = formulas.map(function (formula) {
+                return formula in record.counts ? record.counts[formula].toString() : "";
+            });
+            lines.push(record.time.toFixed(4) + "," + counts.join(","));
+        };
+        for (var _i = 0, _a = this.countHistory; _i < _a.length; _i++) {
+            var record = _a[_i];
+            _loop_6(record);
+        }
+        return lines.join("\n");
+    };
+    Simulation.prototype.getSnapshot = function () {
+        return this.particleList.map(function (particle) {
+            return {
+                formula: particle.formula,
+                x: particle.pos.x,
+                y: particle.pos.y,
+                vx: particle.vel.x,
+                vy: particle.vel.y,
+                state: particle.state,
+                cooldownDist: particle.cooldownDist,
+            };
+        });
+    };
+    // Takes other's history up to time, so a simulation rebuilt from other's past snapshot carries on its records
+    Simulation.prototype.copyHistory = function (other, time) {
+        var isBefore = function (record) {
+            return record.time <= time;
+        };
+        this.countHistory = other.countHistory.filter(isBefore);
+        // Events are stamped with the time their step started, so ones at time haven't happened yet
+        // Totals and K estimates came with the snapshot
+        this.reactionEvents = other.reactionEvents.filter(function (event) {
+            return event.time < time;
+        });
+        // Make sure current counts end the history
+        if (this.countHistory.length === 0 || this.countHistory[this.countHistory.length - 1].time !== this.time) {
+            this.recordCounts();
+        }
+    };
+    // ==== STEP ==================================
+    // Advances simulation by dt seconds
+    Simulation.prototype.step = function (dt) {
+        if (dt === void 0) { dt = TIMESTEP; }
+        // Purge particles removed and add particles queued since last step
+        this.updateParticleList();
+        var particleList = this.particleList;
+        this.movePiston(dt);
+        // Update particle movements, walls only exchange heat in heat bath mode
+        var bath = this.thermostat === "heat-bath" ? { temperature: this.temperature, random: this.random } : null;
+        var container = this.getContainer();
+        var walls = this.getAllWalls();
+        var wallImpulse = 0;
+        for (var _i = 0, particleList_1 = particleList; _i < particleList_1.length; _i++) {
+            var particle = particleList_1[_i];
+            var prevPos = particle.pos;
+            wallImpulse += particle.update(container, dt, bath, this.pistonVel);
+            // Internal walls are elastic, and don't count towards pressure
+            for (var _a = 0, walls_4 = walls; _a < walls_4.length; _a++) {
+                var wall = walls_4[_a];
+                collideWithWall(particle, prevPos, wall);
+            }
+        }
+        // Keep recent impulses for pressure
+        this.pressureImpulses.push(wallImpulse / (2 * (container.width + container.height)));
+        this.pressureTimes.push(dt);
+        var windowTime = 0;
+        for (var _b = 0, _c = this.pressureTimes; _b < _c.length; _b++) {
+            var time = _c[_b];
+            windowTime += time;
+        }
+        while (windowTime > PRESSURE_WINDOW) {
+            this.pressureImpulses.shift();
+            windowTime -= this.pressureTimes.shift();
+        }
+        // Find neighbours for both reactions and collisions
+        var grid = buildSpatialGrid(particleList, this.dimensions);
+        // Check reactable collisions
+        for (var _d = 0, particleList_2 = particleList; _d < particleList_2.length; _d++) {
+            var particle1 = particleList_2[_d];
+            // Ignore if not active
+            if (particle1.state !== "active") {
+                continue;
+            }
+            // Find intersecting and available particles
+            var availableParticles = [particle1];
+            for (var _e = 0, _f = grid.getNearby(particle1.pos); _e < _f.length; _e++) {
+                var j = _f[_e];
+                var particle2 = particleList[j];
+                // Ignore if same particle
+                if (particle2 === particle1) {
+                    continue;
+                }
+                // Ignore if not active
+                if (particle2.state !== "active") {
+                    continue;
+                }
+                // Check if particles overlap, without a wall between them
+                if (isOverlapping(particle1, particle2) && !isSeparatedByWall(particle1, particle2, walls)) {
+                    availableParticles.push(particle2);
+                }
+            }
+            // Check available reactions
+            for (var _g = 0, _h = this.reactionList; _g < _h.length; _g++) {
+                var reaction = _h[_g];
+                if (!reaction.enabled) {
+                    continue;
+                }
+                if (reaction.attemptReaction(availableParticles, this)) {
+                    break;
+                }
+            }
+        }
+        this.attemptSpontaneousReactions(dt);
+        // Bounce remaining overlapping particles off each other
+        for (var i = 0; i < particleList.length; i++) {
+            var particle1 = particleList[i];
+            // Ignore if reacted
+            if (particle1.state === "removed") {
+                continue;
+            }
+            for (var _j = 0, _k = grid.getNearby(particle1.pos); _j < _k.length; _j++) {
+                var j = _k[_j];
+                var particle2 = particleList[j];
+                // Only handle each pair once
+                if (j <= i || particle2.state === "removed") {
+                    continue;
+                }
+                if (isOverlapping(particle1, particle2) && !isSeparatedByWall(particle1, particle2, walls)) {
+                    collideParticles(particle1, particle2);
+                }
+            }
+        }
+        this.updateParticleList();
+        this.applyThermostat(dt);
+        this.time += dt;
+        this.updateEquilibriumEstimates(dt);
+        this.recordCounts();
+    };
+    return Simulation;
+}());
+// ==================================================================================================
+// ==== Recording ===================================================================================
+// ==================================================================================================
+var PARTICLE_STATES = ["active", "cooldown", "removed"];
+function packScenario(data) {
+    var particles = data.particles;
+    var values = new Float64Array(particles.length * 5);
+    var states = new Uint8Array(particles.length);
+    for (var i = 0; i < particles.length; i++) {
+        var particle = particles[i];
+        values.set([particle.x, particle.y, particle.vx, particle.vy, particle.cooldownDist], i * 5);
+        states[i] = PARTICLE_STATES.indexOf(particle.state);
+    }
+    return {
+        scenario: __assign(__assign({}, data), { particles: [] }),
+        formulas: particles.map(function (particle) {
+            return particle.formula;
+        }),
+        values: values,
+        states: states,
+    };
+}
+function unpackScenario(compact) {
+    var values = compact.values;
+    var particles = compact.formulas.map(function (formula, i) {
+        return {
+            formula: formula,
+            x: values[i * 5],
+            y: values[i * 5 + 1],
+            vx: values[i * 5 + 2],
+            vy: values[i * 5 + 3],
+            cooldownDist: values[i * 5 + 4],
+            state: PARTICLE_STATES[compact.states[i]],
+        };
+    });
+    return __assign(__assign({}, compact.scenario), { particles: particles });
+}
+// Ring buffer of snapshots taken every interval seconds, any moment in between is rebuilt by stepping forward from the one before
+// Steps are deterministic (seeded random is saved too), but changes made from outside between steps are not replayed,
+// so rebuilt states only match the original run if a snapshot is forced after every such change
+var Recording = /** @class */ (function () {
+    function Recording(interval, capacity) {
+        if (interval === void 0) { interval = RECORDING_INTERVAL; }
+        if (capacity === void 0) { capacity = RECORDING_CAPACITY; }
+        this.snapshots = [];
+        this.interval = interval;
+        this.capacity = capacity;
+    }
+    // Snapshots simulation if interval has passed since last snapshot, or always if forced (after the user changed it)
+    Recording.prototype.record = function (simulation, force) {
+        if (force === void 0) { force = false; }
+        var last = this.snapshots[this.snapshots.length - 1];
+        // Half step tolerance so rounding in sim time doesn't skip a snapshot
+        if (!force && last !== undefined && simulation.time - last.scenario.time < this.interval - TIMESTEP / 2) {
+            return;
+        }
+        // A change at the time of the last snapshot replaces it, replays should start from the changed state
+        if (last !== undefined && Math.abs(simulation.time - last.scenario.time) < TIMESTEP / 2) {
+            this.snapshots.pop();
+        }
+        this.snapshots.push(packScenario(simulation.getScenario()));
+        if (this.snapshots.length > this.capacity) {
+            this.snapshots.shift();
+        }
+    };
+    Recording.prototype.getStartTime = function () {
+        return this.snapshots.length === 0 ? 0 : this.snapshots[0].scenario.time;
+    };
+    // Simulation as it was at time, throws error if time is before the recording
+    Recording.prototype.getSimulationAt = function (time, dt) {
+        if (dt === void 0) { dt = TIMESTEP; }
+        var snapshot = null;
+        for (var _i = 0, _a = this.snapshots; _i < _a.length; _i++) {
+            var candidate = _a[_i];
+            if (candidate.scenario.time > time) {
+                break;
+            }
+            snapshot = candidate;
+        }
+        if (snapshot === null) {
+            throw new Error("Nothing recorded at ".concat(time.toFixed(2), " s"));
+        }
+        var simulation = Simulation.fromScenario(unpackScenario(snapshot));
+        while (simulation.time < time - dt / 2) {
+            simulation.step(dt);
+        }
+        return simulation;
+    };
+    // Drops snapshots after time, so a run branched from time records over them
+    Recording.prototype.truncate = function (time) {
+        this.snapshots = this.snapshots.filter(function (snapshot) {
+            return snapshot.scenario.time <= time;
+        });
+    };
+    Recording.prototype.clear = function () {
+        this.snapshots = [];
+    };
+    return Recording;
+}());
+// ==================================================================================================
+// ==== Presets =====================================================================================
+// ==================================================================================================
+// Built-in experiments, first one is loaded on start
+var PRESETS = [
+    {
+        name: "Simple equilibrium",
+        description: "2A <=> 2B settles where forward and reverse rates balance. Watch Q approach K in the rate table.",
+        temperature: 2,
+        seed: 1,
+        species: [{ formula: "A" }, { formula: "B" }],
+        reactions: [{ name: "rxn1", equation: "2A <=> 2B", enabled: true, fwdActivationEnergy: 1, revActivationEnergy: 1.5, enthalpy: -0.5 }],
+        counts: { A: 100 },
+    },
+    {
+        name: "Le Chatelier: temperature shift",
+        description: "Exothermic 2A <=> B. Once at equilibrium, raise the temperature and the equilibrium shifts back towards A.",
+        temperature: 2,
+        seed: 2,
+        species: [{ formula: "A" }, { formula: "B", mass: 2, radius: 13 }],
+        reactions: [{ name: "rxn1", equation: "2A <=> B", enabled: true, fwdActivationEnergy: 1, revActivationEnergy: 4, enthalpy: -3 }],
+        counts: { A: 120 },
+    },
+    {
+        name: "First-order decay",
+        description: "Each A decays to B on its own with a 5 s half-life, giving an exponential curve. Fit ln[A] to find k.",
+        temperature: 2,
+        seed: 3,
+        species: [{ formula: "A" }, { formula: "B" }],
+        reactions: [{ name: "rxn1", equation: "A -> B", enabled: true, fwdActivationEnergy: 0, revActivationEnergy: 0, enthalpy: 0, fwdSpontaneousRate: Math.LN2 / 5 }],
+        counts: { A: 200 },
+    },
+    {
+        name: "Catalyzed vs uncatalyzed",
+        description: "A -> B needs a collision with Ea 10, but collisions with catalyst E only need Ea 2, so the catalyzed path is much faster. Disable either reaction to compare rates.",
+        temperature: 2,
+        seed: 4,
+        species: [{ formula: "A" }, { formula: "B" }, { formula: "E", radius: 15 }],
+        reactions: [
+            { name: "rxn1", equation: "A -> B", enabled: true, fwdActivationEnergy: 10, revActivationEnergy: 0, enthalpy: 0 },
+            { name: "rxn2", equation: "A -> B [E]", enabled: true, fwdActivationEnergy: 2, revActivationEnergy: 0, enthalpy: 0 },
+        ],
+        counts: { A: 150, E: 10 },
+    },
+    {
+        name: "Second-order dimerization",
+        description: "Pairs of A combine into A2. The rate depends on [A]², so 1/[A] rises linearly with time.",
+        temperature: 2,
+        seed: 5,
+        species: [{ formula: "A" }, { formula: "A2", mass: 2, radius: 13 }],
+        reactions: [{ name: "rxn1", equation: "2A -> A2", enabled: true, fwdActivationEnergy: 0.5, revActivationEnergy: 0, enthalpy: 0 }],
+        counts: { A: 200 },
+    },
+];
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = { Vector: Vector, Particle: Particle, Reaction: Reaction, SpatialGrid: SpatialGrid, Random: Random, Simulation: Simulation, Recording: Recording, packScenario: packScenario, unpackScenario: unpackScenario, PRESETS: PRESETS, parseReaction: parseReaction, getReactionData: getReactionData, createReactionFromData: createReactionFromData, getRateFromHalfLife: getRateFromHalfLife, integrateMassAction: integrateMassAction, fitLine: fitLine, fitReactionOrder: fitReactionOrder, countSpecies: countSpecies, getAvgSpeed: getAvgSpeed, getSpeedDensity: getSpeedDensity, getEnergyDensity: getEnergyDensity, getFractionAboveEnergy: getFractionAboveEnergy, getHistogram: getHistogram };
+}
@@ -0,0 +1,3013 @@
+// ==================================================================================================
+// ==== Constants ===================================================================================
+// ==================================================================================================
+
+const RADIUS = 10;
+const COOLDOWN_DIST = 2*RADIUS;
+const TIMESTEP = 1 / 30; // Default simulation timestep, seconds (velocities are px per second)
+const BOLTZMANN = 900; // Kinetic energy (mass * px²/s²) per unit temperature, avg kinetic energy per particle is kT
+const AREA_UNIT = 10000; // px² in one unit of volume, keeps volume and pressure values readable
+
+const PISTON_SPEED = 15; // Max piston speed (px per second) when moving to a new volume, slow enough to stay near equilibrium
+const MIN_PISTON_POS = 100; // Smallest container width
+const PRESSURE_WINDOW = 2; // Seconds pressure is averaged over
+
+const RATE_WINDOW = 5; // Seconds reaction rates are averaged over
+const EQUILIBRIUM_TOLERANCE = 0.2; // Max difference between fwd and rev rates (fraction of their mean) to count as balanced
+const MIN_EQUILIBRIUM_EVENTS = 20; // Events needed in rate window before rates can count as balanced
+const EQUILIBRIUM_AVERAGE_TIME = 5; // Seconds, time constant of the running average of Q used to estimate K
+
+const MIN_FIT_POINTS = 5; // Count records needed in a window to fit it
+const INITIAL_RATE_FRACTION = 0.1; // Start of fit window used for initial rate
+const PLATEAU_FRACTION = 0.25; // End of fit window averaged for equilibrium counts
+
+const COMPARTMENT_CELL_SIZE = 10; // px, resolution of the map used to split container into compartments
+const MAX_RAND_POS_TRIES = 100; // Attempts to find a random position outside obstacles
+
+const RECORDING_INTERVAL = 1; // Default seconds between recorded snapshots
+const RECORDING_CAPACITY = 600; // Snapshots kept before oldest are dropped
+
+const THERMOSTAT_MODES: thermostatMode[] = ["isothermal", "adiabatic", "heat-bath"];
+const SCENARIO_VERSION = 1; // Bump when saved scenario format changes
+
+// Colors given to new species, in order
+const SPECIES_COLORS = ["blue", "red", "orange", "green", "purple", "teal", "brown", "magenta"];
+
+
+// ==================================================================================================
+// ==== Classes =====================================================================================
+// ==================================================================================================
+
+type dimensions = {
+  height: number
+  width: number
+}
+
+type molFormula = {
+  formula: string
+  molCoeff: number
+}
+
+type species = {
+  formula: string
+  color: string
+  label: string
+  mass: number
+  radius: number
+}
+
+type simulationConfig = {
+  dimensions: dimensions
+  species?: ({formula: string} & Partial<species>)[]
+  reactions?: Reaction[]
+  temperature?: number
+  seed?: number
+  counts?: {[key: string]: number} // Initial number of particles of each species, at random positions
+  walls?: wall[]
+  obstacles?: obstacle[]
+  volume?: number // Starting container volume, full canvas if not given
+}
+
+// Line segment wall inside container, membranes only let listed species through
+type wall = {
+  x1: number
+  y1: number
+  x2: number
+  y2: number
+  permeable: string[] // Formulas that pass through, empty for solid wall
+}
+
+// Solid axis aligned rectangle inside container
+type obstacle = {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+type thermostatMode = "isothermal" | "adiabatic" | "heat-bath"
+
+// Walls at fixed temperature that re-sample velocities of bouncing particles
+type heatBath = {
+  temperature: number
+  random: Random
+}
+
+type reactionDirection = "forward" | "reverse"
+
+type reactionEvent = {
+  reaction: string // Reaction name
+  direction: reactionDirection
+  time: number
+  x: number
+  y: number
+}
+
+// Mass action rate constants, rate = k * product of concentration^coeff
+type rateConstants = {
+  forward: number
+  reverse: number
+}
+
+type reactionRates = {
+  forward: number // Events per second
+  reverse: number
+  net: number
+}
+
+type particleSnapshot = {
+  formula: string
+  x: number
+  y: number
+  vx: number
+  vy: number
+  state: particleState
+  cooldownDist: number
+}
+
+// Least squares line y = slope * x + intercept
+type linearFit = {
+  slope: number
+  intercept: number
+  rSquared: number // 1 is a perfect fit
+}
+
+// Integrated rate law fit for one reactant, -d[A]/dt = k[A]^order
+type orderFit = {
+  formula: string
+  order: number // 0, 1 or 2, whichever linearization fits best
+  rSquared: number[] // For [A], ln[A] and 1/[A] vs time, NaN if it couldn't be fitted
+  rateConstant: number
+  halfLife: number
+  initialRate: number // -d[A]/dt at start of window
+}
+
+// Kinetics fitted from recorded counts over part of the history
+type windowAnalysis = {
+  reaction: string // Reaction name
+  start: number
+  end: number
+  points: number
+  reactants: orderFit[]
+  overallOrder: number // From total reactant concentration, apparent orders of coupled reactants don't add up
+  equilibriumConstant: number | null // Q averaged over plateau at end of window, null if irreversible or undefined
+}
+
+// Counts of each species at one point in sim time
+type countRecord = {
+  time: number
+  counts: {[key: string]: number}
+  volume: number // Container volume at the time, so past counts convert to the concentrations they were
+  compartments?: {[key: string]: number}[] // Counts in each compartment, only recorded if walls split container
+}
+
+// Reaction as plain data, for saving
+type reactionData = {
+  name: string
+  equation: string
+  enabled: boolean
+  fwdActivationEnergy: number
+  revActivationEnergy: number
+  enthalpy: number
+  fwdRateConstant?: number | null
+  revRateConstant?: number | null
+  fwdSpontaneousRate?: number | null
+  revSpontaneousRate?: number | null
+  mechanism?: string
+}
+
+type particleState = "active" | "cooldown" | "removed"
+
+// Number of events in each direction for each reaction name
+type reactionTotals = {[key: string]: {forward: number, reverse: number}}
+
+// Scenario with particle data packed into typed arrays, to keep recordings small
+type compactScenario = {
+  scenario: scenario // Particles left empty
+  formulas: string[]
+  values: Float64Array // x, y, vx, vy, cooldownDist of each particle
+  states: Uint8Array // Index into PARTICLE_STATES
+}
+
+// Experiment setup as plain data, small enough to share in a URL
+// Particles are placed from counts and seed, so the same setup always starts the same way
+type setup = {
+  name: string
+  description: string
+  temperature: number
+  seed: number
+  species: ({formula: string} & Partial<species>)[]
+  reactions: reactionData[]
+  counts: {[key: string]: number}
+  thermostat?: thermostatMode
+  volume?: number
+  walls?: wall[]
+  obstacles?: obstacle[]
+}
+
+// Full simulation state as plain data, for saving to file
+type scenario = {
+  version: number
+  dimensions: dimensions
+  time: number
+  temperature: number
+  thermostat: thermostatMode
+  thermostatCoupling: number
+  pistonPos: number
+  pistonTarget: number
+  randomState: number[]
+  species: species[]
+  reactions: reactionData[]
+  particles: particleSnapshot[]
+  walls?: wall[]
+  obstacles?: obstacle[]
+  reactionTotals?: reactionTotals // Events so far, so replays from a snapshot keep counting
+  equilibriumEstimates?: {[key: string]: number} // Running K estimate of each reaction name
+}
+
+class Vector {
+  x: number;
+  y: number;
+
+  constructor(x: number = 1, y: number = 1) {
+    this.x = x;
+    this.y = y;
+  }
+
+  getCopy(): Vector {
+    return new Vector(this.x, this.y)
+  }
+
+  getMagnitude(): number {
+    return Math.sqrt((this.x**2) + (this.y**2))
+  }
+
+  getScaled(scaler: number): Vector {
+    return new Vector(scaler * this.x, scaler * this.y)
+  }
+
+  getNeg(): Vector {
+    return this.getScaled(-1)
+  }
+
+  getAddition(other: Vector): Vector {
+    return new Vector(this.x + other.x, this.y + other.y)
+  }
+
+  getDifference(other: Vector): Vector {
+    return new Vector(other.x - this.x, other.y - this.y);
+  }
+
+  getDot(other: Vector): number {
+    return this.x * other.x + this.y * other.y
+  }
+
+  getNormalized(): Vector {
+    const mag = this.getMagnitude();
+  
+    // Return <0,0> if input is zero vector
+    if (mag === 0) {
+      return new Vector(0, 0);
+    }
+  
+    return new Vector(this.x / mag, this.y / mag);
+  }
+
+  // Input: angle in radians
+  getRotated(theta: number): Vector {
+    const x = this.x * Math.cos(theta) - this.y * Math.sin(theta);
+    const y = this.x * Math.sin(theta) + this.y * Math.cos(theta);
+
+    return new Vector(x, y);
+  }
+}
+
+
+class Particle {
+  formula: string
+  color: string
+  radius: number
+  mass: number = 1
+
+  pos: Vector
+  vel: Vector
+
+  temperature: number
+
+  state: particleState = "active";
+  cooldownDist: number = 0;
+
+  constructor(formula: string, color: string, radius: number, pos: Vector, temperature: number, vel: Vector = new Vector(0, 0), mass: number = 1) {
+    this.formula = formula
+    this.color = color
+    this.radius = radius
+    this.pos = pos
+    this.vel = vel
+    this.temperature = temperature
+    this.mass = mass
+  }
+  
+  // Walls re-sample velocity at bath temperature if bath is given, otherwise bounce elastically
+  // Right wall is the piston, moving at pistonVel. Returns impulse the particle gave to the walls
+  update(canvas: dimensions, dt: number = TIMESTEP, bath: heatBath | null = null, pistonVel: number = 0): number {
+    let newVel: Vector = this.vel.getCopy()
+    const newPos: Vector = this.pos.getAddition(this.vel.getScaled(dt))
+
+    // Only the change in velocity normal to a wall pushes on it, heat bath walls resample the tangential part too
+    let impulse = 0
+
+    // Keep particle in bounds, only bounce if moving into the wall
+    if (newPos.x - this.radius < 0) {
+      newPos.x = this.radius;
+      newVel.x = Math.abs(newVel.x);
+      if (bath !== null) {
+        newVel = getWallVel(new Vector(1, 0), this.mass, bath);
+      }
+      impulse += this.mass * Math.abs(newVel.x - this.vel.x)
+    }
+    if (newPos.x + this.radius > canvas.width) {
+      newPos.x = canvas.width - this.radius;
+      // Bounce off piston in its moving frame
+      if (newVel.x > pistonVel) {
+        newVel.x = 2 * pistonVel - newVel.x;
+      }
+      if (bath !== null) {
+        newVel = getWallVel(new Vector(-1, 0), this.mass, bath).getAddition(new Vector(pistonVel, 0));
+      }
+      impulse += this.mass * Math.abs(newVel.x - this.vel.x)
+    }
+    if (newPos.y - this.radius < 0) {
+      newPos.y = this.radius;
+      newVel.y = Math.abs(newVel.y);
+      if (bath !== null) {
+        newVel = getWallVel(new Vector(0, 1), this.mass, bath);
+      }
+      impulse += this.mass * Math.abs(newVel.y - this.vel.y)
+    }
+    if (newPos.y + this.radius > canvas.height) {
+      newPos.y = canvas.height - this.radius;
+      newVel.y = -Math.abs(newVel.y);
+      if (bath !== null) {
+        newVel = getWallVel(new Vector(0, -1), this.mass, bath);
+      }
+      impulse += this.mass * Math.abs(newVel.y - this.vel.y)
+    }
+
+    this.pos = newPos;
+    this.vel = newVel;
+
+    // Reduce cooldown distance
+    if (this.cooldownDist > 0) {
+      this.cooldownDist -= this.vel.getMagnitude() * dt;
+    }
+
+    // Set active if cooldown ends, removed particles stay removed until purged
+    if (this.state !== "removed" && (this.cooldownDist <= 0 || this.state === "active")) {
+      this.cooldownDist = 0;
+      this.state = "active"
+    }
+
+    return impulse
+  }
+
+  getKineticEnergy(): number {
+    return 0.5 * this.mass * this.vel.getMagnitude()**2
+  }
+
+  draw(context: any) {
+    context.beginPath();
+
+    // Draw Circle
+    context.fillStyle = this.color;
+    context.arc(this.pos.x, this.pos.y, this.radius, 0, 2 * Math.PI);
+    context.font = "14px Arial";
+    context.fill();
+
+    // Draw Formula
+    context.textBaseline = "middle";
+    context.textAlign = "center";
+    context.fillStyle = "white";
+
+    context.fillText(this.formula, this.pos.x, this.pos.y)
+  }
+}
+
+
+class Reaction {
+  name: string
+  reactants: molFormula[]
+  products: molFormula[]
+
+  // Must take part in the collision in both directions, but aren't consumed or produced
+  catalysts: molFormula[] = []
+
+  // Name of mechanism this is an elementary step of, empty if standalone
+  mechanism: string = ""
+
+  reversible: boolean
+  enabled: boolean = true
+
+  // Reaction energies are in temperature units (E/k), so they compare directly with temperature
+
+  // Min collision energy (along line of centers) needed to react
+  fwdActivationEnergy: number
+  revActivationEnergy: number
+
+  // Enthalpy of forward reaction (ΔH), negative if exothermic
+  enthalpy: number
+
+  // Mass action rate constants for rate equations, null to fit them from recorded events
+  fwdRateConstant: number | null = null
+  revRateConstant: number | null = null
+
+  // Per particle rate (1/s) of spontaneous unimolecular reaction, null to react on collision instead
+  fwdSpontaneousRate: number | null = null
+  revSpontaneousRate: number | null = null
+
+  constructor(name: string, reactantList: molFormula[], productsList: molFormula[], isReversible: boolean = false, fwdActivationEnergy: number = 0, revActivationEnergy: number = 0, enthalpy: number = 0) {
+    this.name = name
+    this.reactants = reactantList
+    this.products = productsList
+
+    this.reversible = isReversible
+
+    this.fwdActivationEnergy = fwdActivationEnergy
+    this.revActivationEnergy = revActivationEnergy
+
+    this.enthalpy = enthalpy
+  }
+
+  getFormula(): string {
+    let output = "";
+
+    // Reactants
+    for (const reactant of this.reactants) {
+      output += getCoeffString(reactant.molCoeff) + reactant.formula + " + ";
+    }
+
+    // Single/double arrow
+    output = output.substring(0, output.length-2);
+    if (this.reversible) {
+      output += "<=> ";
+    }
+    else {
+      output += "-> "
+    }
+
+    // Products
+    for (const product of this.products) {
+      output += getCoeffString(product.molCoeff) + product.formula + " + ";
+    }
+    output = output.substring(0, output.length-2);
+
+    // Catalysts
+    if (this.catalysts.length > 0) {
+      output += "[" + this.catalysts.map(function(catalyst) {
+        return getCoeffString(catalyst.molCoeff) + catalyst.formula
+      }).join(" + ") + "]"
+    }
+
+    return output;
+  }
+
+
+  // Returns list of consumed particles if rxn successful, returns null if unsuccessful
+  getFwdConsumedParticles(intersectingParticles: Particle[]): null | Particle[] {
+    const consumedParticles: Particle[] = [];
+
+    for (const molFormula of this.reactants) {
+      const formula = molFormula.formula;
+      const minAmount = molFormula.molCoeff;
+
+      // List of particles that are available, not already consumed, and has correct formula
+      const matchingParticles = intersectingParticles.filter(function(particle) {
+        return (particle.state === "active" && particle.formula === formula && consumedParticles.indexOf(particle) === -1)
+      })
+
+      // Return false if not enough of species
+      if (matchingParticles.length < minAmount) {
+        return null
+      }
+      
+      // Consume proper amount of particles
+      consumedParticles.push(...matchingParticles.slice(0, minAmount))
+    }
+
+    return consumedParticles
+  }
+
+  getFwdProducedParticles(reactionLocation: Vector, simulation: Simulation): Particle[] {
+    const producedParticles: Particle[] = []
+
+    for (const molFormula of this.products) {
+      const formula = molFormula.formula;
+      const coeff = molFormula.molCoeff;
+
+      for (let i = 0; i < coeff; i++) {
+        producedParticles.push(simulation.createParticle(formula, reactionLocation, COOLDOWN_DIST))
+      }
+    }
+
+    return producedParticles
+  }
+
+  // Returns list of consumed particles if rxn successful, returns null if unsuccessful
+  getRevConsumedParticles(intersectingParticles: Particle[]): null | Particle[] {
+    const consumedParticles: Particle[] = [];
+
+    for (const molFormula of this.products) {
+      const formula = molFormula.formula;
+      const minAmount = molFormula.molCoeff;
+
+      // List of particles that are available, not already consumed, and has correct formula
+      const matchingParticles = intersectingParticles.filter(function(particle) {
+        return (particle.state === "active" && particle.formula === formula && consumedParticles.indexOf(particle) === -1)
+      })
+
+      // Return false if not enough of species
+      if (matchingParticles.length < minAmount) {
+        return null
+      }
+      
+      // Consume proper amount of particles
+      consumedParticles.push(...matchingParticles.slice(0, minAmount))
+    }
+
+    return consumedParticles
+  }
+
+  // Returns catalyst particles taking part alongside consumed particles, null if any are missing
+  getCatalystParticles(intersectingParticles: Particle[], consumedParticles: Particle[]): null | Particle[] {
+    const catalystParticles: Particle[] = [];
+
+    for (const molFormula of this.catalysts) {
+      const formula = molFormula.formula;
+
+      // Available particles of catalyst that aren't reacting themselves
+      const matchingParticles = intersectingParticles.filter(function(particle) {
+        return (particle.state === "active" && particle.formula === formula && consumedParticles.indexOf(particle) === -1 && catalystParticles.indexOf(particle) === -1)
+      })
+
+      if (matchingParticles.length < molFormula.molCoeff) {
+        return null
+      }
+
+      catalystParticles.push(...matchingParticles.slice(0, molFormula.molCoeff))
+    }
+
+    return catalystParticles
+  }
+
+  getRevProducedParticles(reactionLocation: Vector, simulation: Simulation): Particle[] {
+    const producedParticles: Particle[] = []
+
+    for (const molFormula of this.reactants) {
+      const formula = molFormula.formula;
+      const coeff = molFormula.molCoeff;
+
+      for (let i = 0; i < coeff; i++) {
+        producedParticles.push(simulation.createParticle(formula, reactionLocation, COOLDOWN_DIST))
+      }
+    }
+
+    return producedParticles
+  }
+
+
+  // Replaces consumed particles with products, returns false if endothermic rxn lacks energy
+  completeReaction(consumed: Particle[], direction: reactionDirection, simulation: Simulation): boolean {
+    const location = getAvgPos(consumed)
+    const produced = direction === "forward" ? this.getFwdProducedParticles(location, simulation) : this.getRevProducedParticles(location, simulation)
+
+    // Products take reactants' kinetic energy plus released heat, reverse rxn releases the opposite of forward enthalpy
+    const releasedEnergy = (direction === "forward" ? -this.enthalpy : this.enthalpy) * BOLTZMANN
+    if (!transferKineticEnergy(consumed, produced, releasedEnergy)) {
+      return false
+    }
+
+    // Remove consumed particles
+    removeParticles(consumed)
+
+    // Add produced particles
+    simulation.particleCreationQueue.push(...produced)
+    simulation.recordReactionEvent(this, direction, location)
+
+    return true
+  }
+
+  // Attepts both fwd and rev rxns, returns products if successful
+  attemptReaction(intersectingParticles: Particle[], simulation: Simulation): boolean {
+
+    // Attempt forward reaction (only if collision can overcome activation energy), spontaneous directions don't need collisions
+    const fwdConsumed = this.fwdSpontaneousRate === null ? this.getFwdConsumedParticles(intersectingParticles) : null
+    if (fwdConsumed !== null && this.canOvercomeBarrier(intersectingParticles, fwdConsumed, this.fwdActivationEnergy)) {
+      if (this.completeReaction(fwdConsumed, "forward", simulation)) {
+        return true
+      }
+    }
+
+    // Attempt reverse reaction if reversible (fwd failed)
+    const revConsumed = this.revSpontaneousRate === null ? this.getRevConsumedParticles(intersectingParticles) : null
+    if (this.reversible && revConsumed !== null && this.canOvercomeBarrier(intersectingParticles, revConsumed, this.revActivationEnergy)) {
+      if (this.completeReaction(revConsumed, "reverse", simulation)) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  // True if catalysts are present and collision with them has at least activation energy
+  canOvercomeBarrier(intersectingParticles: Particle[], consumed: Particle[], activationEnergy: number): boolean {
+    const catalystParticles = this.getCatalystParticles(intersectingParticles, consumed)
+    if (catalystParticles === null) {
+      return false
+    }
+
+    const colliding = consumed.concat(catalystParticles)
+    if (colliding.length > 1) {
+      return getCollisionEnergy(colliding) >= activationEnergy * BOLTZMANN
+    }
+
+    // A lone particle is activated by colliding with any other particle, it can't collide with itself
+    for (const partner of intersectingParticles) {
+      if (partner !== colliding[0] && partner.state === "active" && isOverlapping(colliding[0], partner) && getCollisionEnergy([colliding[0], partner]) >= activationEnergy * BOLTZMANN) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  // True if side consumed in direction is a single uncatalyzed particle, so it can react on its own
+  isUnimolecular(direction: reactionDirection): boolean {
+    const consumed = direction === "forward" ? this.reactants : this.products
+    return consumed.length === 1 && consumed[0].molCoeff === 1 && this.catalysts.length === 0
+  }
+
+  getSpontaneousRate(direction: reactionDirection): number | null {
+    return direction === "forward" ? this.fwdSpontaneousRate : this.revSpontaneousRate
+  }
+
+  // Sets per particle rate (1/s) of spontaneous reaction, null to react on collision, throws error if not allowed
+  setSpontaneousRate(direction: reactionDirection, rate: number | null): void {
+    if (rate !== null) {
+      if (direction === "reverse" && !this.reversible) {
+        throw new Error("Irreversible reaction has no reverse direction")
+      }
+      if (!this.isUnimolecular(direction)) {
+        throw new Error("Only reactions consuming a single particle can be spontaneous")
+      }
+      if (!(rate >= 0) || !isFinite(rate)) {
+        throw new Error("Spontaneous rate must be a positive number")
+      }
+    }
+
+    if (direction === "forward") {
+      this.fwdSpontaneousRate = rate
+    }
+    else {
+      this.revSpontaneousRate = rate
+    }
+  }
+
+  // Reacts particle on its own with probability 1 - e^(-k dt), so counts decay exponentially
+  attemptSpontaneousReaction(particle: Particle, direction: reactionDirection, dt: number, simulation: Simulation): boolean {
+    const rate = this.getSpontaneousRate(direction)
+    const consumed = direction === "forward" ? this.reactants : this.products
+
+    // Cooldown only stops products recolliding, so fresh products can still react on their own
+    if (rate === null || particle.state === "removed" || particle.formula !== consumed[0].formula) {
+      return false
+    }
+
+    if (simulation.random.next() >= 1 - Math.exp(-rate * dt)) {
+      return false
+    }
+
+    return this.completeReaction([particle], direction, simulation)
+  }
+
+}
+
+// Uniform grid of particle indices, rebuilt every step so neighbours can be found without checking every pair
+class SpatialGrid {
+  cellSize: number
+  columns: number
+  rows: number
+  cells: number[][] = []
+
+  // cellSize must be at least the largest interaction distance
+  constructor(dimensions: dimensions, cellSize: number) {
+    this.cellSize = cellSize
+    this.columns = Math.max(1, Math.ceil(dimensions.width / cellSize))
+    this.rows = Math.max(1, Math.ceil(dimensions.height / cellSize))
+
+    for (let i = 0; i < this.columns * this.rows; i++) {
+      this.cells.push([])
+    }
+  }
+
+  getColumn(pos: Vector): number {
+    return bound(Math.floor(pos.x / this.cellSize), 0, this.columns - 1)
+  }
+
+  getRow(pos: Vector): number {
+    return bound(Math.floor(pos.y / this.cellSize), 0, this.rows - 1)
+  }
+
+  insert(index: number, pos: Vector): void {
+    this.cells[this.getRow(pos) * this.columns + this.getColumn(pos)].push(index)
+  }
+
+  // Returns indices in the cell containing pos and its 8 neighbours
+  getNearby(pos: Vector): number[] {
+    const column = this.getColumn(pos)
+    const row = this.getRow(pos)
+    const nearby: number[] = []
+
+    for (let r = Math.max(0, row - 1); r <= Math.min(this.rows - 1, row + 1); r++) {
+      for (let c = Math.max(0, column - 1); c <= Math.min(this.columns - 1, column + 1); c++) {
+        nearby.push(...this.cells[r * this.columns + c])
+      }
+    }
+
+    return nearby
+  }
+}
+
+// Small fast counter PRNG (sfc32), seedable so runs can be repeated exactly
+class Random {
+  a: number
+  b: number
+  c: number
+  d: number
+
+  constructor(seed: number) {
+    this.a = 0x9E3779B9
+    this.b = 0x243F6A88
+    this.c = 0xB7E15162
+    this.d = seed >>> 0
+
+    // Mix seed into state
+    for (let i = 0; i < 15; i++) {
+      this.next()
+    }
+  }
+
+  // Random float from 0 (inclusive) to 1 (exclusive)
+  next(): number {
+    const t = (((this.a + this.b) | 0) + this.d) | 0
+    this.d = (this.d + 1) | 0
+    this.a = this.b ^ (this.b >>> 9)
+    this.b = (this.c + (this.c << 3)) | 0
+    this.c = (this.c << 21) | (this.c >>> 11)
+    this.c = (this.c + t) | 0
+
+    return (t >>> 0) / 4294967296
+  }
+
+  getState(): number[] {
+    return [this.a, this.b, this.c, this.d]
+  }
+
+  setState(state: number[]): void {
+    this.a = state[0]
+    this.b = state[1]
+    this.c = state[2]
+    this.d = state[3]
+  }
+
+  getFloat(min: number, max: number): number {
+    return this.next() * (max - min) + min;
+  }
+
+  // Random integer from min to max inclusive
+  getInt(min: number, max: number): number {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  // Normally distributed random number (Box-Muller transform)
+  getNormal(mean: number = 0, stdDev: number = 1): number {
+    const u1 = 1 - this.next() // Avoid log(0)
+    const u2 = this.next()
+
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+}
+
+// ==== MATH FUNCTIONS ==================================
+
+function getDist(pos1: Vector, pos2: Vector): number {
+  return Math.sqrt((pos1.x - pos2.x)**2 + (pos1.y - pos2.y)**2);
+}
+
+// Faster than getDist when only comparing distances
+function getDistSquared(pos1: Vector, pos2: Vector): number {
+  return (pos1.x - pos2.x)**2 + (pos1.y - pos2.y)**2;
+}
+
+// True if the two particles overlap
+function isOverlapping(particle1: Particle, particle2: Particle): boolean {
+  return getDistSquared(particle1.pos, particle2.pos) < (particle1.radius + particle2.radius)**2
+}
+
+// Kinetic energy along the line of centers, summed over every approaching pair of particles
+function getCollisionEnergy(particles: Particle[]): number {
+  let energy = 0
+
+  for (let i = 0; i < particles.length; i++) {
+    for (let j = i + 1; j < particles.length; j++) {
+      const particle1 = particles[i]
+      const particle2 = particles[j]
+
+      const lineOfCenters = particle1.pos.getDifference(particle2.pos).getNormalized()
+      const relativeVel = particle1.vel.getDifference(particle2.vel)
+
+      // Ignore if particles are moving apart
+      const approachSpeed = -relativeVel.getDot(lineOfCenters)
+      if (approachSpeed <= 0) {
+        continue
+      }
+
+      const reducedMass = (particle1.mass * particle2.mass) / (particle1.mass + particle2.mass)
+      energy += 0.5 * reducedMass * approachSpeed**2
+    }
+  }
+
+  return energy
+}
+
+// Bounces two overlapping particles off each other, conserving momentum and kinetic energy
+function collideParticles(particle1: Particle, particle2: Particle): void {
+  const delta = particle1.pos.getDifference(particle2.pos)
+  const dist = delta.getMagnitude()
+  const minDist = particle1.radius + particle2.radius
+
+  // Ignore if not overlapping, or exactly on top of each other (no line of centers)
+  if (dist >= minDist || dist === 0) {
+    return
+  }
+
+  const lineOfCenters = delta.getScaled(1 / dist)
+  const totalMass = particle1.mass + particle2.mass
+
+  // Push particles apart, lighter particle moves further
+  const overlap = minDist - dist
+  particle1.pos = particle1.pos.getAddition(lineOfCenters.getScaled(-overlap * particle2.mass / totalMass))
+  particle2.pos = particle2.pos.getAddition(lineOfCenters.getScaled(overlap * particle1.mass / totalMass))
+
+  // Only exchange momentum if particles are moving towards each other
+  const approachSpeed = -particle1.vel.getDifference(particle2.vel).getDot(lineOfCenters)
+  if (approachSpeed <= 0) {
+    return
+  }
+
+  const impulse = 2 * approachSpeed / totalMass
+  particle1.vel = particle1.vel.getAddition(lineOfCenters.getScaled(-impulse * particle2.mass))
+  particle2.vel = particle2.vel.getAddition(lineOfCenters.getScaled(impulse * particle1.mass))
+}
+
+function bound(value: number, min: number, max: number): number {
+  return Math.max(Math.min(value, max), min)
+}
+
+
+// ==== PARSING FUNCTIONS ==================================
+
+// Coefficients of 1 are left out, like in a written equation
+function getCoeffString(molCoeff: number): string {
+  return molCoeff === 1 ? "" : molCoeff.toString()
+}
+
+// Parses equations like "2A + B <=> C" or "A -> B + C", with optional catalysts like "A -> B [E]", throws error describing problem if invalid
+function parseReaction(name: string, equation: string, fwdActivationEnergy: number = 0, revActivationEnergy: number = 0, enthalpy: number = 0): Reaction {
+  // Split off catalysts at end
+  let catalysts: molFormula[] = []
+  const catalystMatch = equation.match(/\[([^\]]*)\]\s*$/)
+  if (catalystMatch !== null) {
+    catalysts = parseReactionSide(catalystMatch[1], "catalyst")
+    equation = equation.substring(0, catalystMatch.index)
+  }
+
+  const arrowCount = equation.split("<=>").length - 1 + equation.split("->").length - 1
+
+  if (arrowCount === 0) {
+    throw new Error("Missing arrow, use \"->\" or \"<=>\"")
+  }
+  if (arrowCount > 1) {
+    throw new Error("Equation can only have one arrow")
+  }
+
+  const reversible = equation.indexOf("<=>") !== -1
+  const sides = equation.split(reversible ? "<=>" : "->")
+
+  const reactants = parseReactionSide(sides[0], "reactant")
+  const products = parseReactionSide(sides[1], "product")
+
+  // Catalyst that's also consumed or produced should be written as a reactant and product instead
+  for (const catalyst of catalysts) {
+    for (const molFormula of reactants.concat(products)) {
+      if (molFormula.formula === catalyst.formula) {
+        throw new Error(`Catalyst "${catalyst.formula}" can't also be a reactant or product`)
+      }
+    }
+  }
+
+  const reaction = new Reaction(name, reactants, products, reversible, fwdActivationEnergy, revActivationEnergy, enthalpy)
+  reaction.catalysts = catalysts
+
+  return reaction
+}
+
+// Parses one side of an equation like "2A + B", combining repeated species
+function parseReactionSide(side: string, sideName: string): molFormula[] {
+  const output: molFormula[] = []
+
+  if (side.trim() === "") {
+    throw new Error(`Missing ${sideName}s`)
+  }
+
+  for (const rawTerm of side.split("+")) {
+    const term = rawTerm.trim()
+
+    if (term === "") {
+      throw new Error(`Missing ${sideName} in "${side.trim()}"`)
+    }
+
+    const match = term.match(/^(\d*)\s*([A-Za-z][A-Za-z0-9_]*)$/)
+
+    if (match === null) {
+      // Give clearer message if it's the coefficient that's wrong
+      if (/^[-\d.]/.test(term)) {
+        throw new Error(`Invalid coefficient in "${term}", must be a positive whole number`)
+      }
+      throw new Error(`Invalid ${sideName} "${term}"`)
+    }
+
+    const molCoeff = match[1] === "" ? 1 : parseInt(match[1], 10)
+    const formula = match[2]
+
+    if (molCoeff < 1) {
+      throw new Error(`Invalid coefficient in "${term}", must be a positive whole number`)
+    }
+
+    // Combine with existing term if species is repeated
+    const existing = output.filter(function(molFormula) {
+      return molFormula.formula === formula
+    })
+    if (existing.length > 0) {
+      existing[0].molCoeff += molCoeff
+    }
+    else {
+      output.push({formula: formula, molCoeff: molCoeff})
+    }
+  }
+
+  return output
+}
+
+
+function getReactionData(reaction: Reaction): reactionData {
+  return {
+    name: reaction.name,
+    equation: reaction.getFormula(),
+    enabled: reaction.enabled,
+    fwdActivationEnergy: reaction.fwdActivationEnergy,
+    revActivationEnergy: reaction.revActivationEnergy,
+    enthalpy: reaction.enthalpy,
+    fwdRateConstant: reaction.fwdRateConstant,
+    revRateConstant: reaction.revRateConstant,
+    fwdSpontaneousRate: reaction.fwdSpontaneousRate,
+    revSpontaneousRate: reaction.revSpontaneousRate,
+    mechanism: reaction.mechanism,
+  }
+}
+
+// Inverse of getReactionData, throws error if equation is invalid
+function createReactionFromData(data: reactionData): Reaction {
+  const reaction = parseReaction(data.name, data.equation, data.fwdActivationEnergy, data.revActivationEnergy, data.enthalpy)
+  reaction.enabled = data.enabled
+  reaction.mechanism = data.mechanism || ""
+  reaction.fwdRateConstant = data.fwdRateConstant === undefined ? null : data.fwdRateConstant
+  reaction.revRateConstant = data.revRateConstant === undefined ? null : data.revRateConstant
+  reaction.setSpontaneousRate("forward", data.fwdSpontaneousRate === undefined ? null : data.fwdSpontaneousRate)
+  reaction.setSpontaneousRate("reverse", data.revSpontaneousRate === undefined ? null : data.revSpontaneousRate)
+
+  return reaction
+}
+
+function isFiniteNumber(value: any): boolean {
+  return typeof value === "number" && isFinite(value)
+}
+
+// Throws error describing the first wall or obstacle that isn't well formed, so bad data fails on load instead of in step
+function validateWalls(walls: any, obstacles: any): void {
+  if (walls !== undefined) {
+    if (!(walls instanceof Array)) {
+      throw new Error("Walls must be a list")
+    }
+    for (const wall of walls) {
+      if (typeof wall !== "object" || wall === null || !isFiniteNumber(wall.x1) || !isFiniteNumber(wall.y1) || !isFiniteNumber(wall.x2) || !isFiniteNumber(wall.y2)) {
+        throw new Error("Every wall needs numeric x1, y1, x2 and y2")
+      }
+      if (!(wall.permeable instanceof Array) || !wall.permeable.every(function(formula: any) { return typeof formula === "string" })) {
+        throw new Error("Every wall needs a permeable list of formulas")
+      }
+    }
+  }
+
+  if (obstacles !== undefined) {
+    if (!(obstacles instanceof Array)) {
+      throw new Error("Obstacles must be a list")
+    }
+    for (const obstacle of obstacles) {
+      if (typeof obstacle !== "object" || obstacle === null || !isFiniteNumber(obstacle.x) || !isFiniteNumber(obstacle.y) || !isFiniteNumber(obstacle.width) || !isFiniteNumber(obstacle.height)) {
+        throw new Error("Every obstacle needs numeric x, y, width and height")
+      }
+    }
+  }
+}
+
+function validateSpecies(speciesList: any[]): void {
+  for (const species of speciesList) {
+    if (typeof species !== "object" || species === null || typeof species.formula !== "string") {
+      throw new Error("Every species needs a formula")
+    }
+    for (const property of ["mass", "radius"]) {
+      if (species[property] !== undefined && !(isFiniteNumber(species[property]) && species[property] > 0)) {
+        throw new Error(`Species ${species.formula} needs a positive ${property}`)
+      }
+    }
+  }
+}
+
+function validateReactions(reactions: any[]): void {
+  for (const reaction of reactions) {
+    if (typeof reaction !== "object" || reaction === null || typeof reaction.name !== "string" || typeof reaction.equation !== "string") {
+      throw new Error("Every reaction needs a name and equation")
+    }
+    for (const property of ["fwdActivationEnergy", "revActivationEnergy", "enthalpy"]) {
+      if (!isFiniteNumber(reaction[property])) {
+        throw new Error(`Reaction ${reaction.name} needs a numeric ${property}`)
+      }
+    }
+    for (const property of ["fwdRateConstant", "revRateConstant", "fwdSpontaneousRate", "revSpontaneousRate"]) {
+      if (reaction[property] !== undefined && reaction[property] !== null && !isFiniteNumber(reaction[property])) {
+        throw new Error(`Reaction ${reaction.name} has a non-numeric ${property}`)
+      }
+    }
+  }
+}
+
+// Throws error describing the first part of setup (e.g. from a shared link) that isn't well formed
+function validateSetup(data: any): void {
+  if (typeof data !== "object" || data === null) {
+    throw new Error("Setup must be an object")
+  }
+  if (typeof data.name !== "string" || typeof data.description !== "string") {
+    throw new Error("Setup needs a name and description")
+  }
+  if (!isFiniteNumber(data.temperature) || data.temperature < 0 || !isFiniteNumber(data.seed)) {
+    throw new Error("Setup needs a non-negative temperature and a numeric seed")
+  }
+
+  if (!(data.species instanceof Array) || !(data.reactions instanceof Array) || typeof data.counts !== "object" || data.counts === null) {
+    throw new Error("Setup is missing species, reactions or counts")
+  }
+  validateSpecies(data.species)
+  validateReactions(data.reactions)
+  for (const formula in data.counts) {
+    if (!isFiniteNumber(data.counts[formula]) || data.counts[formula] < 0) {
+      throw new Error(`Count of ${formula} must be a non-negative number`)
+    }
+  }
+
+  if (data.thermostat !== undefined && THERMOSTAT_MODES.indexOf(data.thermostat) === -1) {
+    throw new Error(`Unknown thermostat: ${data.thermostat}`)
+  }
+  if (data.volume !== undefined && !(isFiniteNumber(data.volume) && data.volume > 0)) {
+    throw new Error("Volume must be a positive number")
+  }
+  validateWalls(data.walls, data.obstacles)
+}
+
+// Throws error describing the first part of scenario (e.g. from a saved file) that isn't well formed
+function validateScenario(data: any): void {
+  if (typeof data !== "object" || data === null) {
+    throw new Error("Scenario must be an object")
+  }
+  if (data.version !== SCENARIO_VERSION) {
+    throw new Error(`Unsupported scenario version: ${data.version}`)
+  }
+  if (typeof data.dimensions !== "object" || data.dimensions === null || !(data.species instanceof Array) || !(data.reactions instanceof Array) || !(data.particles instanceof Array)) {
+    throw new Error("Scenario is missing dimensions, species, reactions or particles")
+  }
+  if (!(isFiniteNumber(data.dimensions.width) && data.dimensions.width > 0 && isFiniteNumber(data.dimensions.height) && data.dimensions.height > 0)) {
+    throw new Error("Scenario dimensions must be positive numbers")
+  }
+
+  for (const property of ["time", "temperature", "thermostatCoupling", "pistonPos", "pistonTarget"]) {
+    if (!isFiniteNumber(data[property])) {
+      throw new Error(`Scenario needs a numeric ${property}`)
+    }
+  }
+  if (THERMOSTAT_MODES.indexOf(data.thermostat) === -1) {
+    throw new Error(`Unknown thermostat: ${data.thermostat}`)
+  }
+  if (!(data.randomState instanceof Array) || data.randomState.length !== 4 || !data.randomState.every(isFiniteNumber)) {
+    throw new Error("Scenario needs a random state of 4 numbers")
+  }
+
+  validateSpecies(data.species)
+  validateReactions(data.reactions)
+  for (const particle of data.particles) {
+    if (typeof particle !== "object" || particle === null || typeof particle.formula !== "string") {
+      throw new Error("Every particle needs a formula")
+    }
+    for (const property of ["x", "y", "vx", "vy", "cooldownDist"]) {
+      if (!isFiniteNumber(particle[property])) {
+        throw new Error(`Every particle needs a numeric ${property}`)
+      }
+    }
+    if (PARTICLE_STATES.indexOf(particle.state) === -1) {
+      throw new Error(`Unknown particle state: ${particle.state}`)
+    }
+  }
+
+  for (const name in data.reactionTotals) {
+    const totals = data.reactionTotals[name]
+    if (typeof totals !== "object" || totals === null || !isFiniteNumber(totals.forward) || !isFiniteNumber(totals.reverse)) {
+      throw new Error(`Reaction totals of ${name} need numeric forward and reverse counts`)
+    }
+  }
+  for (const name in data.equilibriumEstimates) {
+    if (!isFiniteNumber(data.equilibriumEstimates[name])) {
+      throw new Error(`Equilibrium estimate of ${name} must be a number`)
+    }
+  }
+  validateWalls(data.walls, data.obstacles)
+}
+
+
+// ==== RATE EQUATIONS ==================================
+
+// First order rate constant (1/s) with given half-life
+function getRateFromHalfLife(halfLife: number): number {
+  return Math.LN2 / halfLife
+}
+
+// Product of concentration^coeff over species list, as in a mass action rate law
+function getMassActionTerm(molFormulas: molFormula[], concentrations: {[key: string]: number}): number {
+  let term = 1
+  for (const molFormula of molFormulas) {
+    term *= (concentrations[molFormula.formula] || 0) ** molFormula.molCoeff
+  }
+
+  return term
+}
+
+// d[X]/dt for every species, from mass action rate equations of each reaction
+function getMassActionDerivatives(concentrations: {[key: string]: number}, reactions: Reaction[], constants: rateConstants[]): {[key: string]: number} {
+  const derivatives: {[key: string]: number} = {}
+  for (const formula in concentrations) {
+    derivatives[formula] = 0
+  }
+
+  for (let i = 0; i < reactions.length; i++) {
+    const reaction = reactions[i]
+
+    // Catalysts appear in rate law of both directions, but cancel out of Q
+    let netRate = constants[i].forward * getMassActionTerm(reaction.reactants.concat(reaction.catalysts), concentrations)
+    if (reaction.reversible) {
+      netRate -= constants[i].reverse * getMassActionTerm(reaction.products.concat(reaction.catalysts), concentrations)
+    }
+
+    for (const reactant of reaction.reactants) {
+      derivatives[reactant.formula] = (derivatives[reactant.formula] || 0) - reactant.molCoeff * netRate
+    }
+    for (const product of reaction.products) {
+      derivatives[product.formula] = (derivatives[product.formula] || 0) + product.molCoeff * netRate
+    }
+  }
+
+  return derivatives
+}
+
+// Returns a + b * scale for every species in a
+function getScaledSum(a: {[key: string]: number}, b: {[key: string]: number}, scale: number): {[key: string]: number} {
+  const output: {[key: string]: number} = {}
+  for (const formula in a) {
+    output[formula] = a[formula] + (b[formula] || 0) * scale
+  }
+
+  return output
+}
+
+// Integrates rate equations with 4th order Runge-Kutta, returns concentrations (counts per unit volume) at every step (including start)
+function integrateMassAction(initial: {[key: string]: number}, reactions: Reaction[], constants: rateConstants[], duration: number, dt: number): countRecord[] {
+  const output: countRecord[] = [{time: 0, counts: initial, volume: 1}]
+  let current = initial
+
+  for (let time = dt; time <= duration + dt / 2; time += dt) {
+    const k1 = getMassActionDerivatives(current, reactions, constants)
+    const k2 = getMassActionDerivatives(getScaledSum(current, k1, dt / 2), reactions, constants)
+    const k3 = getMassActionDerivatives(getScaledSum(current, k2, dt / 2), reactions, constants)
+    const k4 = getMassActionDerivatives(getScaledSum(current, k3, dt), reactions, constants)
+
+    const next: {[key: string]: number} = {}
+    for (const formula in current) {
+      const change = (k1[formula] + 2 * k2[formula] + 2 * k3[formula] + k4[formula]) * dt / 6
+
+      // Concentrations can't go negative, even if step overshoots
+      next[formula] = Math.max(0, current[formula] + change)
+    }
+
+    current = next
+    output.push({time: time, counts: current, volume: 1})
+  }
+
+  return output
+}
+
+
+// ==== FITTING FUNCTIONS ==================================
+
+// Least squares line through points
+function fitLine(xs: number[], ys: number[]): linearFit {
+  const n = xs.length
+  let sumX = 0
+  let sumY = 0
+  for (let i = 0; i < n; i++) {
+    sumX += xs[i]
+    sumY += ys[i]
+  }
+  const meanX = sumX / n
+  const meanY = sumY / n
+
+  let sxx = 0
+  let sxy = 0
+  let syy = 0
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2
+    sxy += (xs[i] - meanX) * (ys[i] - meanY)
+    syy += (ys[i] - meanY) ** 2
+  }
+
+  const slope = sxx === 0 ? 0 : sxy / sxx
+  // Flat data is perfectly fit by a flat line
+  const rSquared = syy === 0 ? 1 : sxy * sxy / (sxx * syy)
+
+  return {slope: slope, intercept: meanY - slope * meanX, rSquared: rSquared}
+}
+
+// Picks reaction order by which of [A], ln[A] or 1/[A] is most linear in time
+function fitReactionOrder(formula: string, times: number[], concentrations: number[]): orderFit {
+  // ln and 1/x need nonzero concentrations
+  const nonzeroTimes: number[] = []
+  const logs: number[] = []
+  const inverses: number[] = []
+  for (let i = 0; i < times.length; i++) {
+    if (concentrations[i] > 0) {
+      nonzeroTimes.push(times[i])
+      logs.push(Math.log(concentrations[i]))
+      inverses.push(1 / concentrations[i])
+    }
+  }
+
+  const fits = [fitLine(times, concentrations)]
+  if (nonzeroTimes.length >= MIN_FIT_POINTS) {
+    fits.push(fitLine(nonzeroTimes, logs), fitLine(nonzeroTimes, inverses))
+  }
+
+  let order = 0
+  for (let i = 1; i < fits.length; i++) {
+    if (fits[i].rSquared > fits[order].rSquared) {
+      order = i
+    }
+  }
+
+  // Zeroth and first order plots fall with slope -k, second order rises with slope k
+  const rateConstant = order === 2 ? fits[2].slope : -fits[order].slope
+  const initial = concentrations[0]
+
+  let halfLife = Infinity
+  if (rateConstant > 0) {
+    if (order === 0) {
+      halfLife = initial / (2 * rateConstant)
+    }
+    else if (order === 1) {
+      halfLife = Math.LN2 / rateConstant
+    }
+    else if (initial > 0) {
+      halfLife = 1 / (rateConstant * initial)
+    }
+  }
+
+  // Method of initial rates, slope over start of window
+  const initialPoints = Math.max(2, Math.ceil(times.length * INITIAL_RATE_FRACTION))
+  const initialRate = -fitLine(times.slice(0, initialPoints), concentrations.slice(0, initialPoints)).slope
+
+  const rSquared = fits.map(function(fit) {
+    return fit.rSquared
+  })
+  while (rSquared.length < 3) {
+    rSquared.push(NaN)
+  }
+
+  return {formula: formula, order: order, rSquared: rSquared, rateConstant: rateConstant, halfLife: halfLife, initialRate: initialRate}
+}
+
+
+// ==== WALL FUNCTIONS ==================================
+
+// 2D cross product, positive if b is counterclockwise of a
+function getCross(a: Vector, b: Vector): number {
+  return a.x * b.y - a.y * b.x
+}
+
+// True if segment p1-p2 crosses segment q1-q2
+function isSegmentCrossing(p1: Vector, p2: Vector, q1: Vector, q2: Vector): boolean {
+  const p = p1.getDifference(p2)
+  const q = q1.getDifference(q2)
+
+  const d1 = getCross(q, q1.getDifference(p1))
+  const d2 = getCross(q, q1.getDifference(p2))
+  const d3 = getCross(p, p1.getDifference(q1))
+  const d4 = getCross(p, p1.getDifference(q2))
+
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+}
+
+function getClosestPointOnWall(pos: Vector, wall: wall): Vector {
+  const start = new Vector(wall.x1, wall.y1)
+  const direction = start.getDifference(new Vector(wall.x2, wall.y2))
+  const lengthSquared = direction.getDot(direction)
+
+  if (lengthSquared === 0) {
+    return start
+  }
+
+  const t = bound(start.getDifference(pos).getDot(direction) / lengthSquared, 0, 1)
+  return start.getAddition(direction.getScaled(t))
+}
+
+// Four edges of obstacle as solid walls
+function getObstacleWalls(obstacle: obstacle): wall[] {
+  const left = obstacle.x
+  const right = obstacle.x + obstacle.width
+  const top = obstacle.y
+  const bottom = obstacle.y + obstacle.height
+
+  return [
+    {x1: left, y1: top, x2: right, y2: top, permeable: []},
+    {x1: right, y1: top, x2: right, y2: bottom, permeable: []},
+    {x1: right, y1: bottom, x2: left, y2: bottom, permeable: []},
+    {x1: left, y1: bottom, x2: left, y2: top, permeable: []},
+  ]
+}
+
+function isInsideObstacle(pos: Vector, obstacle: obstacle): boolean {
+  return pos.x >= obstacle.x && pos.x <= obstacle.x + obstacle.width && pos.y >= obstacle.y && pos.y <= obstacle.y + obstacle.height
+}
+
+// True if a wall that doesn't let both particles through lies between their centers, so they can't touch
+function isSeparatedByWall(particle1: Particle, particle2: Particle, walls: wall[]): boolean {
+  for (const wall of walls) {
+    if (wall.permeable.indexOf(particle1.formula) !== -1 && wall.permeable.indexOf(particle2.formula) !== -1) {
+      continue
+    }
+    if (isSegmentCrossing(particle1.pos, particle2.pos, new Vector(wall.x1, wall.y1), new Vector(wall.x2, wall.y2))) {
+      return true
+    }
+  }
+  return false
+}
+
+// Bounces particle elastically off wall unless it's permeable to it, prevPos catches particles that jumped across in one step
+function collideWithWall(particle: Particle, prevPos: Vector, wall: wall): void {
+  if (wall.permeable.indexOf(particle.formula) !== -1) {
+    return
+  }
+
+  const start = new Vector(wall.x1, wall.y1)
+  const end = new Vector(wall.x2, wall.y2)
+  let normal: Vector
+  let contact: Vector
+
+  if (isSegmentCrossing(prevPos, particle.pos, start, end)) {
+    // Send back to the side it came from, at the point it crossed
+    const direction = start.getDifference(end)
+    const movement = prevPos.getDifference(particle.pos)
+    const t = getCross(start.getDifference(prevPos), direction) / getCross(direction, movement)
+
+    contact = prevPos.getAddition(movement.getScaled(t))
+    normal = new Vector(-direction.y, direction.x).getNormalized()
+    if (getCross(direction, start.getDifference(prevPos)) < 0) {
+      normal = normal.getNeg()
+    }
+  }
+  else {
+    // Push out if overlapping
+    contact = getClosestPointOnWall(particle.pos, wall)
+    const offset = contact.getDifference(particle.pos)
+    const distance = offset.getMagnitude()
+
+    if (distance >= particle.radius || distance === 0) {
+      return
+    }
+    normal = offset.getScaled(1 / distance)
+  }
+
+  particle.pos = contact.getAddition(normal.getScaled(particle.radius))
+
+  // Only bounce if moving into wall
+  const normalSpeed = particle.vel.getDot(normal)
+  if (normalSpeed < 0) {
+    particle.vel = particle.vel.getAddition(normal.getScaled(-2 * normalSpeed))
+  }
+}
+
+
+// ==== SIM FUNCTIONS ==================================
+
+// Builds spatial grid of all particles, with cells large enough to hold any overlapping pair
+function buildSpatialGrid(particles: Particle[], dimensions: dimensions): SpatialGrid {
+  let maxRadius = RADIUS
+  for (const particle of particles) {
+    maxRadius = Math.max(maxRadius, particle.radius)
+  }
+
+  const grid = new SpatialGrid(dimensions, 2 * maxRadius)
+  for (let i = 0; i < particles.length; i++) {
+    grid.insert(i, particles[i].pos)
+  }
+
+  return grid
+}
+
+// Sets list of particles as "removed" state
+function removeParticles(particles: Particle[]): void {
+  for (const particle of particles) {
+    particle.state = "removed"
+  }
+}
+
+
+// Sets products' velocities so kinetic energy equals reactants' plus releasedEnergy, momentum is only kept with 2+ products
+// Returns false (products unchanged) if there isn't enough energy for the products
+function transferKineticEnergy(reactants: Particle[], products: Particle[], releasedEnergy: number): boolean {
+  let momentum = new Vector(0, 0)
+  let totalEnergy = releasedEnergy
+
+  for (const reactant of reactants) {
+    momentum = momentum.getAddition(reactant.vel.getScaled(reactant.mass))
+    totalEnergy += reactant.getKineticEnergy()
+  }
+
+  if (totalEnergy < 0) {
+    return false
+  }
+
+  let productMass = 0
+  for (const product of products) {
+    productMass += product.mass
+  }
+
+  const comVel = momentum.getScaled(1 / productMass)
+
+  // Single product has no relative motion to store energy in, so keep energy and only the momentum direction (magnitude isn't conserved)
+  if (products.length === 1) {
+    const direction = comVel.getMagnitude() === 0 ? products[0].vel.getNormalized() : comVel.getNormalized()
+
+    products[0].vel = direction.getScaled(Math.sqrt(2 * totalEnergy / products[0].mass))
+    return true
+  }
+
+  // Energy left after moving products' center of mass
+  const internalEnergy = totalEnergy - 0.5 * productMass * comVel.getMagnitude()**2
+  if (internalEnergy < 0) {
+    return false
+  }
+
+  // Use products' random thermal velocities for relative motion, after removing their net momentum
+  let productMomentum = new Vector(0, 0)
+  for (const product of products) {
+    productMomentum = productMomentum.getAddition(product.vel.getScaled(product.mass))
+  }
+  const drift = productMomentum.getScaled(1 / productMass)
+
+  const relativeVels: Vector[] = []
+  let relativeEnergy = 0
+
+  for (const product of products) {
+    const relativeVel = product.vel.getAddition(drift.getNeg())
+
+    relativeVels.push(relativeVel)
+    relativeEnergy += 0.5 * product.mass * relativeVel.getMagnitude()**2
+  }
+
+  // Scale relative motion to hold the internal energy
+  const scaler = relativeEnergy === 0 ? 0 : Math.sqrt(internalEnergy / relativeEnergy)
+
+  for (let i = 0; i < products.length; i++) {
+    products[i].vel = comVel.getAddition(relativeVels[i].getScaled(scaler))
+  }
+
+  return true
+}
+
+// Velocity of particle leaving a heat bath wall, inwardNormal points into the container
+// Speed into container follows the flux-weighted (Rayleigh) distribution, speed along wall is normal
+function getWallVel(inwardNormal: Vector, mass: number, bath: heatBath): Vector {
+  const stdDev = Math.sqrt(BOLTZMANN * bath.temperature / mass)
+
+  const normalSpeed = stdDev * Math.sqrt(-2 * Math.log(1 - bath.random.next()))
+  const tangentSpeed = bath.random.getNormal(0, stdDev)
+  const tangent = new Vector(-inwardNormal.y, inwardNormal.x)
+
+  return inwardNormal.getScaled(normalSpeed).getAddition(tangent.getScaled(tangentSpeed))
+}
+
+function copyReactionTotals(totals: reactionTotals): reactionTotals {
+  const copy: reactionTotals = {}
+  for (const name in totals) {
+    copy[name] = {forward: totals[name].forward, reverse: totals[name].reverse}
+  }
+  return copy
+}
+
+function getAvgPos(particles: Particle[]): Vector {
+  const length = particles.length
+
+  // Return zero vector if list has no particles
+  if (length === 0) {
+    return new Vector(0, 0)
+  }
+
+  let totalX = 0
+  let totalY = 0
+
+  for (const particle of particles) {
+    totalX += particle.pos.x
+    totalY += particle.pos.y
+  }
+
+  return new Vector(totalX / length, totalY / length)
+}
+
+function countSpecies(particles: Particle[], formula: string): number {
+  let count = 0
+  for (const particle of particles) {
+    if (particle.state !== "removed" && particle.formula === formula) {
+      count += 1
+    }
+  }
+
+  return count
+}
+
+// ==== TESTING FUNCTIONS ==================================
+
+function getAvgSpeed(particles: Particle[]): number {
+  let totalSpeed = 0;
+  for (const particle of particles) {
+    totalSpeed += particle.vel.getMagnitude()
+  }
+
+  return totalSpeed/particles.length
+}
+
+
+// ==== DISTRIBUTION FUNCTIONS ==================================
+
+// 2D Maxwell-Boltzmann probability density of speed (px/s), for particles of mass at temperature
+function getSpeedDensity(speed: number, mass: number, temperature: number): number {
+  const kT = BOLTZMANN * temperature
+  return mass * speed / kT * Math.exp(-mass * speed ** 2 / (2 * kT))
+}
+
+// 2D Maxwell-Boltzmann probability density of kinetic energy (temperature units), the same for every mass
+function getEnergyDensity(energy: number, temperature: number): number {
+  return Math.exp(-energy / temperature) / temperature
+}
+
+// Expected fraction of particles with at least energy (temperature units), e^(-E/kT) in 2D
+function getFractionAboveEnergy(energy: number, temperature: number): number {
+  return Math.exp(-energy / temperature)
+}
+
+// Number of values in each of binCount bins of binWidth starting at 0, values past the last bin go in it
+function getHistogram(values: number[], binWidth: number, binCount: number): number[] {
+  const bins: number[] = []
+  for (let i = 0; i < binCount; i++) {
+    bins.push(0)
+  }
+
+  for (const value of values) {
+    bins[bound(Math.floor(value / binWidth), 0, binCount - 1)]++
+  }
+
+  return bins
+}
+
+
+
+// ==================================================================================================
+// ==== Simulation ==================================================================================
+// ==================================================================================================
+
+// Holds all simulation state, without touching the DOM so it can also run in Node
+class Simulation {
+  dimensions: dimensions
+  temperature: number // Target (bath) temperature as avg kinetic energy (kT), measured temp can differ
+  time: number = 0
+  random: Random
+
+  thermostat: thermostatMode = "isothermal"
+  thermostatCoupling: number = 0.5 // Isothermal relaxation time in seconds, larger is gentler
+
+  // Right wall of container, the container is dimensions.height tall and pistonPos wide
+  pistonPos: number
+  pistonTarget: number
+  pistonVel: number = 0
+
+  // Recent wall impulses per unit wall length, and the time each was collected over
+  pressureImpulses: number[] = []
+  pressureTimes: number[] = []
+
+  speciesList: species[] = [] // Registry of species, for color, label and UI reference
+  particleList: Particle[] = []
+  particleCreationQueue: Particle[] = [] // Particles waiting to be added
+  reactionList: Reaction[] = []
+
+  // Every reaction event in time order, with totals and running K estimate for each reaction name
+  reactionEvents: reactionEvent[] = []
+  countHistory: countRecord[] = [] // Counts after every step, never trimmed
+  reactionTotals: reactionTotals = {}
+  equilibriumEstimates: {[key: string]: number} = {}
+
+  walls: wall[] = []
+  obstacles: obstacle[] = []
+
+  // Compartment index of each map cell (-1 if blocked), rebuilt when walls or piston cell change
+  compartmentMap: number[] | null = null
+  compartmentMapPiston: number = -1
+  compartmentTotal: number = 1
+
+  constructor(config: simulationConfig) {
+    this.dimensions = config.dimensions
+    this.pistonPos = config.dimensions.width
+    this.pistonTarget = config.dimensions.width
+    if (config.volume !== undefined) {
+      this.setVolume(config.volume)
+      this.pistonPos = this.pistonTarget
+    }
+    this.temperature = config.temperature === undefined ? 2 : config.temperature
+    this.random = new Random(config.seed === undefined ? Date.now() : config.seed)
+
+    for (const speciesConfig of config.species || []) {
+      this.registerSpecies(speciesConfig.formula, speciesConfig)
+    }
+
+    for (const reaction of config.reactions || []) {
+      this.addReaction(reaction)
+    }
+
+    for (const wall of config.walls || []) {
+      this.addWall(wall)
+    }
+    for (const obstacle of config.obstacles || []) {
+      this.addObstacle(obstacle)
+    }
+
+    for (const formula in config.counts) {
+      this.changeConcentration(config.counts[formula], formula)
+    }
+    this.updateParticleList()
+    this.recordCounts()
+  }
+
+  // Rebuilds simulation from getScenario output, throws error if data is invalid
+  static fromScenario(data: scenario): Simulation {
+    validateScenario(data)
+
+    const simulation = new Simulation({
+      dimensions: data.dimensions,
+      temperature: data.temperature,
+      species: data.species,
+      reactions: data.reactions.map(createReactionFromData),
+    })
+
+    simulation.time = data.time
+    simulation.thermostat = data.thermostat
+    simulation.thermostatCoupling = data.thermostatCoupling
+    simulation.pistonPos = data.pistonPos
+    simulation.pistonTarget = data.pistonTarget
+    simulation.random.setState(data.randomState)
+    for (const wall of data.walls || []) {
+      simulation.addWall(wall)
+    }
+    for (const obstacle of data.obstacles || []) {
+      simulation.addObstacle(obstacle)
+    }
+
+    for (const snapshot of data.particles) {
+      const species = simulation.registerSpecies(snapshot.formula)
+      const particle = new Particle(snapshot.formula, species.color, species.radius, new Vector(snapshot.x, snapshot.y), data.temperature, new Vector(snapshot.vx, snapshot.vy), species.mass)
+
+      particle.state = snapshot.state
+      particle.cooldownDist = snapshot.cooldownDist
+      simulation.particleList.push(particle)
+    }
+
+    // Restart history from loaded state, reaction totals carry on
+    simulation.countHistory = []
+    simulation.recordCounts()
+    simulation.reactionTotals = copyReactionTotals(data.reactionTotals || {})
+    simulation.equilibriumEstimates = {...data.equilibriumEstimates}
+
+    return simulation
+  }
+
+  // Builds simulation from setup, throws error if setup is invalid
+  static fromSetup(data: setup, dimensions: dimensions): Simulation {
+    validateSetup(data)
+
+    const simulation = new Simulation({
+      dimensions: dimensions,
+      temperature: data.temperature,
+      seed: data.seed,
+      species: data.species,
+      reactions: data.reactions.map(createReactionFromData),
+      counts: data.counts,
+      walls: data.walls,
+      obstacles: data.obstacles,
+      volume: data.volume,
+    })
+
+    if (data.thermostat !== undefined) {
+      simulation.thermostat = data.thermostat
+    }
+
+    return simulation
+  }
+
+  // Current species, reactions, counts and settings as a setup, particles will be re-placed using seed
+  getSetup(name: string, description: string, seed: number): setup {
+    return {
+      name: name,
+      description: description,
+      temperature: this.temperature,
+      seed: seed,
+      species: this.speciesList.map(function(species) {
+        return {formula: species.formula, color: species.color, label: species.label, mass: species.mass, radius: species.radius}
+      }),
+      reactions: this.reactionList.map(getReactionData),
+      counts: this.getCounts(),
+      thermostat: this.thermostat,
+      volume: this.getVolume(),
+      walls: this.walls.slice(),
+      obstacles: this.obstacles.slice(),
+    }
+  }
+
+  getScenario(): scenario {
+    this.updateParticleList()
+
+    return {
+      version: SCENARIO_VERSION,
+      dimensions: {width: this.dimensions.width, height: this.dimensions.height},
+      time: this.time,
+      temperature: this.temperature,
+      thermostat: this.thermostat,
+      thermostatCoupling: this.thermostatCoupling,
+      pistonPos: this.pistonPos,
+      pistonTarget: this.pistonTarget,
+      randomState: this.random.getState(),
+      species: this.speciesList.map(function(species) {
+        return {formula: species.formula, color: species.color, label: species.label, mass: species.mass, radius: species.radius}
+      }),
+      reactions: this.reactionList.map(getReactionData),
+      particles: this.getSnapshot(),
+      walls: this.walls.slice(),
+      obstacles: this.obstacles.slice(),
+      reactionTotals: copyReactionTotals(this.reactionTotals),
+      equilibriumEstimates: {...this.equilibriumEstimates},
+    }
+  }
+
+  // ==== SPECIES ==================================
+
+  // Returns registered species, or null if formula isn't registered
+  getSpecies(formula: string): species | null {
+    for (const species of this.speciesList) {
+      if (species.formula === formula) {
+        return species
+      }
+    }
+    return null
+  }
+
+  // Adds species to registry if not already there, unset properties use the next unused color and default size
+  registerSpecies(formula: string, properties: Partial<species> = {}): species {
+    const existing = this.getSpecies(formula)
+    if (existing !== null) {
+      return existing
+    }
+
+    const species: species = {
+      formula: formula,
+      color: properties.color || SPECIES_COLORS[this.speciesList.length % SPECIES_COLORS.length],
+      label: properties.label || formula,
+      mass: properties.mass || 1,
+      radius: properties.radius || RADIUS,
+    }
+    this.speciesList.push(species)
+
+    return species
+  }
+
+  // Registers every species used in reaction, returns true if any were new
+  registerReactionSpecies(reaction: Reaction): boolean {
+    const speciesCount = this.speciesList.length
+
+    for (const molFormula of reaction.reactants.concat(reaction.products, reaction.catalysts)) {
+      this.registerSpecies(molFormula.formula)
+    }
+
+    return this.speciesList.length !== speciesCount
+  }
+
+  // ==== REACTIONS ==================================
+
+  // Adds reaction and registers its species, returns true if any species were new
+  addReaction(reaction: Reaction): boolean {
+    this.reactionList.push(reaction)
+
+    return this.registerReactionSpecies(reaction)
+  }
+
+  // First of rxn1, rxn2, ... not taken by a reaction, now or in recorded events (totals are kept by name)
+  getUnusedReactionName(): string {
+    const names = this.reactionList.map(function(reaction) {
+      return reaction.name
+    })
+    for (const name in this.reactionTotals) {
+      names.push(name)
+    }
+
+    let number = 1
+    while (names.indexOf("rxn" + number) !== -1) {
+      number++
+    }
+
+    return "rxn" + number
+  }
+
+  // Names of mechanisms, in order of their first step
+  getMechanismNames(): string[] {
+    const names: string[] = []
+    for (const reaction of this.reactionList) {
+      if (reaction.mechanism !== "" && names.indexOf(reaction.mechanism) === -1) {
+        names.push(reaction.mechanism)
+      }
+    }
+    return names
+  }
+
+  getMechanismSteps(mechanism: string): Reaction[] {
+    return this.reactionList.filter(function(reaction) {
+      return reaction.mechanism === mechanism
+    })
+  }
+
+  // Net change in each species when every step runs forward once
+  getMechanismChanges(mechanism: string): {[key: string]: number} {
+    const changes: {[key: string]: number} = {}
+
+    for (const step of this.getMechanismSteps(mechanism)) {
+      for (const reactant of step.reactants) {
+        changes[reactant.formula] = (changes[reactant.formula] || 0) - reactant.molCoeff
+      }
+      for (const product of step.products) {
+        changes[product.formula] = (changes[product.formula] || 0) + product.molCoeff
+      }
+    }
+
+    return changes
+  }
+
+  // Overall equation of mechanism, from net changes of its steps
+  getMechanismEquation(mechanism: string): string {
+    const changes = this.getMechanismChanges(mechanism)
+    const reactants: string[] = []
+    const products: string[] = []
+
+    for (const formula in changes) {
+      if (changes[formula] < 0) {
+        reactants.push(getCoeffString(-changes[formula]) + formula)
+      }
+      else if (changes[formula] > 0) {
+        products.push(getCoeffString(changes[formula]) + formula)
+      }
+    }
+
+    return reactants.join(" + ") + " -> " + products.join(" + ")
+  }
+
+  // Species made by one step and used up by a later one, so they cancel out of overall equation
+  // Species used up first and remade later are catalysts instead
+  getIntermediates(mechanism: string): string[] {
+    const changes = this.getMechanismChanges(mechanism)
+    const firstSeen: {[key: string]: "reactant" | "product"} = {}
+
+    for (const step of this.getMechanismSteps(mechanism)) {
+      for (const reactant of step.reactants) {
+        if (!(reactant.formula in firstSeen)) {
+          firstSeen[reactant.formula] = "reactant"
+        }
+      }
+      for (const product of step.products) {
+        if (!(product.formula in firstSeen)) {
+          firstSeen[product.formula] = "product"
+        }
+      }
+    }
+
+    const intermediates: string[] = []
+    for (const formula in firstSeen) {
+      if (firstSeen[formula] === "product" && changes[formula] === 0) {
+        intermediates.push(formula)
+      }
+    }
+
+    return intermediates
+  }
+
+  // Intermediates of every mechanism
+  getAllIntermediates(): string[] {
+    let intermediates: string[] = []
+    for (const mechanism of this.getMechanismNames()) {
+      intermediates = intermediates.concat(this.getIntermediates(mechanism))
+    }
+    return intermediates
+  }
+
+  recordReactionEvent(reaction: Reaction, direction: reactionDirection, pos: Vector): void {
+    this.reactionEvents.push({reaction: reaction.name, direction: direction, time: this.time, x: pos.x, y: pos.y})
+
+    if (!(reaction.name in this.reactionTotals)) {
+      this.reactionTotals[reaction.name] = {forward: 0, reverse: 0}
+    }
+    this.reactionTotals[reaction.name][direction]++
+  }
+
+  getReactionTotals(reaction: Reaction): {forward: number, reverse: number} {
+    return this.reactionTotals[reaction.name] || {forward: 0, reverse: 0}
+  }
+
+  // Event rates over the last window seconds
+  getReactionRates(reaction: Reaction, window: number = RATE_WINDOW): reactionRates {
+    let forward = 0
+    let reverse = 0
+
+    // Events are in time order, so only look back until window starts
+    for (let i = this.reactionEvents.length - 1; i >= 0; i--) {
+      const event = this.reactionEvents[i]
+
+      if (event.time < this.time - window) {
+        break
+      }
+      if (event.reaction !== reaction.name) {
+        continue
+      }
+
+      if (event.direction === "forward") {
+        forward++
+      }
+      else {
+        reverse++
+      }
+    }
+
+    // Don't average over time that hasn't happened yet
+    const time = Math.min(window, this.time)
+    if (time === 0) {
+      return {forward: 0, reverse: 0, net: 0}
+    }
+
+    return {forward: forward / time, reverse: reverse / time, net: (forward - reverse) / time}
+  }
+
+  // Fits mass action rate constants from event rates and avg concentrations over the last window seconds
+  // Direction is 0 if it has no events or its reactants were absent
+  fitRateConstants(reaction: Reaction, window: number = RATE_WINDOW): rateConstants {
+    const rates = this.getReactionRates(reaction, window)
+
+    let fwdTerm = 0
+    let revTerm = 0
+    let records = 0
+
+    // Average rate law terms over the same window as the rates, times volume as event rate = k * term * volume
+    for (let i = this.countHistory.length - 1; i >= 0 && this.countHistory[i].time >= this.time - window; i--) {
+      const record = this.countHistory[i]
+      const concentrations: {[key: string]: number} = {}
+      for (const formula in record.counts) {
+        concentrations[formula] = record.counts[formula] / record.volume
+      }
+
+      fwdTerm += getMassActionTerm(reaction.reactants.concat(reaction.catalysts), concentrations) * record.volume
+      revTerm += getMassActionTerm(reaction.products.concat(reaction.catalysts), concentrations) * record.volume
+      records++
+    }
+
+    return {
+      forward: fwdTerm === 0 ? 0 : rates.forward / (fwdTerm / records),
+      reverse: revTerm === 0 ? 0 : rates.reverse / (revTerm / records),
+    }
+  }
+
+  // User set rate constants, then spontaneous rates (already first order constants), fitted where neither is set
+  getRateConstants(reaction: Reaction): rateConstants {
+    const fitted = this.fitRateConstants(reaction)
+    const forward = reaction.fwdRateConstant === null ? reaction.fwdSpontaneousRate : reaction.fwdRateConstant
+    const reverse = reaction.revRateConstant === null ? reaction.revSpontaneousRate : reaction.revRateConstant
+
+    return {
+      forward: forward === null ? fitted.forward : forward,
+      reverse: reverse === null ? fitted.reverse : reverse,
+    }
+  }
+
+  // Counts predicted by mass action rate equations of enabled reactions, starting from current counts
+  predictCounts(duration: number, dt: number = TIMESTEP): countRecord[] {
+    const volume = this.getVolume()
+    const reactions = this.reactionList.filter(function(reaction) {
+      return reaction.enabled
+    })
+    const constants: rateConstants[] = []
+    for (const reaction of reactions) {
+      constants.push(this.getRateConstants(reaction))
+    }
+
+    const initial: {[key: string]: number} = {}
+    const counts = this.getCounts()
+    for (const formula in counts) {
+      initial[formula] = counts[formula] / volume
+    }
+
+    // Convert back to counts, and to sim time
+    const startTime = this.time
+    return integrateMassAction(initial, reactions, constants, duration, dt).map(function(record) {
+      const predictedCounts: {[key: string]: number} = {}
+      for (const formula in record.counts) {
+        predictedCounts[formula] = record.counts[formula] * volume
+      }
+
+      return {time: startTime + record.time, counts: predictedCounts, volume: volume}
+    })
+  }
+
+  // Fits reaction order, k and half-life of each reactant, and K from the plateau, over recorded counts from start to end
+  analyzeWindow(reaction: Reaction, start: number, end: number): windowAnalysis {
+    const records = this.countHistory.filter(function(record) {
+      return record.time >= start && record.time <= end
+    })
+
+    if (records.length < MIN_FIT_POINTS) {
+      throw new Error(`Need at least ${MIN_FIT_POINTS} recorded points between ${start} s and ${end} s`)
+    }
+
+    const times = records.map(function(record) {
+      return record.time
+    })
+
+    const reactants: orderFit[] = []
+    for (const reactant of reaction.reactants) {
+      const concentrations = records.map(function(record) {
+        return (record.counts[reactant.formula] || 0) / record.volume
+      })
+
+      reactants.push(fitReactionOrder(reactant.formula, times, concentrations))
+    }
+
+    // Apparent orders of coupled reactants can't be summed (A + B at equal [A] and [B] each look second order),
+    // so overall order comes from fitting their total concentration
+    const totalConcentrations = records.map(function(record) {
+      let total = 0
+      for (const reactant of reaction.reactants) {
+        total += (record.counts[reactant.formula] || 0) / record.volume
+      }
+      return total
+    })
+    const reactantFormulas = reaction.reactants.map(function(reactant) {
+      return reactant.formula
+    })
+    const overallOrder = fitReactionOrder(reactantFormulas.join(" + "), times, totalConcentrations).order
+
+    // Average Q over end of window, where counts should have levelled off
+    let equilibriumConstant: number | null = null
+    if (reaction.reversible) {
+      const plateau = records.slice(Math.floor(records.length * (1 - PLATEAU_FRACTION)))
+
+      let quotientSum = 0
+      for (const record of plateau) {
+        const concentrations: {[key: string]: number} = {}
+        for (const formula in record.counts) {
+          concentrations[formula] = record.counts[formula] / record.volume
+        }
+
+        quotientSum += getMassActionTerm(reaction.products, concentrations) / getMassActionTerm(reaction.reactants, concentrations)
+      }
+
+      const quotient = quotientSum / plateau.length
+      equilibriumConstant = isFinite(quotient) ? quotient : null
+    }
+
+    return {
+      reaction: reaction.name,
+      start: times[0],
+      end: times[times.length - 1],
+      points: records.length,
+      reactants: reactants,
+      overallOrder: overallOrder,
+      equilibriumConstant: equilibriumConstant,
+    }
+  }
+
+  // Q = [products]^coeff / [reactants]^coeff, Infinity if a reactant has run out, NaN (undefined) if a product has too
+  getReactionQuotient(reaction: Reaction): number {
+    let quotient = 1
+
+    for (const product of reaction.products) {
+      quotient *= this.getConcentration(product.formula) ** product.molCoeff
+    }
+    for (const reactant of reaction.reactants) {
+      quotient /= this.getConcentration(reactant.formula) ** reactant.molCoeff
+    }
+
+    return quotient
+  }
+
+  // True if reversible reaction's fwd and rev rates have balanced
+  isAtEquilibrium(reaction: Reaction): boolean {
+    if (!reaction.reversible) {
+      return false
+    }
+
+    const rates = this.getReactionRates(reaction)
+    const eventCount = (rates.forward + rates.reverse) * Math.min(RATE_WINDOW, this.time)
+
+    if (eventCount < MIN_EQUILIBRIUM_EVENTS) {
+      return false
+    }
+
+    return Math.abs(rates.net) <= EQUILIBRIUM_TOLERANCE * (rates.forward + rates.reverse) / 2
+  }
+
+  // Estimated K (running average of Q while at equilibrium), null if never at equilibrium
+  getEquilibriumConstant(reaction: Reaction): number | null {
+    if (reaction.name in this.equilibriumEstimates) {
+      return this.equilibriumEstimates[reaction.name]
+    }
+    return null
+  }
+
+  updateEquilibriumEstimates(dt: number): void {
+    for (const reaction of this.reactionList) {
+      const quotient = this.getReactionQuotient(reaction)
+
+      if (!this.isAtEquilibrium(reaction) || !isFinite(quotient)) {
+        continue
+      }
+
+      // Start from current Q, then average
+      if (!(reaction.name in this.equilibriumEstimates)) {
+        this.equilibriumEstimates[reaction.name] = quotient
+        continue
+      }
+
+      const estimate = this.equilibriumEstimates[reaction.name]
+      this.equilibriumEstimates[reaction.name] = estimate + (quotient - estimate) * Math.min(1, dt / EQUILIBRIUM_AVERAGE_TIME)
+    }
+  }
+
+  // Gives every particle its chance to react on its own, independent of collisions
+  attemptSpontaneousReactions(dt: number): void {
+    const directions: reactionDirection[] = ["forward", "reverse"]
+
+    for (const particle of this.particleList) {
+      if (particle.state === "removed") {
+        continue
+      }
+
+      for (const reaction of this.reactionList) {
+        if (!reaction.enabled) {
+          continue
+        }
+
+        let reacted = false
+        for (const direction of directions) {
+          if (reaction.attemptSpontaneousReaction(particle, direction, dt, this)) {
+            reacted = true
+            break
+          }
+        }
+
+        if (reacted) {
+          break
+        }
+      }
+    }
+  }
+
+  // ==== WALLS ==================================
+
+  addWall(wall: wall): void {
+    this.walls.push(wall)
+    this.compartmentMap = null
+  }
+
+  // Adds obstacle, removing particles trapped inside it
+  addObstacle(obstacle: obstacle): void {
+    this.obstacles.push(obstacle)
+    this.compartmentMap = null
+
+    removeParticles(this.particleList.filter(function(particle) {
+      return isInsideObstacle(particle.pos, obstacle)
+    }))
+    this.updateParticleList()
+  }
+
+  clearWalls(): void {
+    this.walls = []
+    this.obstacles = []
+    this.compartmentMap = null
+  }
+
+  // Walls and obstacle edges particles bounce off
+  getAllWalls(): wall[] {
+    let walls = this.walls
+    for (const obstacle of this.obstacles) {
+      walls = walls.concat(getObstacleWalls(obstacle))
+    }
+    return walls
+  }
+
+  isInsideObstacles(pos: Vector): boolean {
+    for (const obstacle of this.obstacles) {
+      if (isInsideObstacle(pos, obstacle)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  // Flood fills map cells, neighbouring cells share a compartment unless a wall or membrane lies between them
+  getCompartmentMap(): number[] {
+    const columns = Math.ceil(this.dimensions.width / COMPARTMENT_CELL_SIZE)
+    const rows = Math.ceil(this.dimensions.height / COMPARTMENT_CELL_SIZE)
+    const pistonColumn = Math.floor(this.pistonPos / COMPARTMENT_CELL_SIZE)
+
+    if (this.compartmentMap !== null && this.compartmentMapPiston === pistonColumn) {
+      return this.compartmentMap
+    }
+
+    const walls = this.walls
+    const getCenter = function(cell: number): Vector {
+      return new Vector((cell % columns + 0.5) * COMPARTMENT_CELL_SIZE, (Math.floor(cell / columns) + 0.5) * COMPARTMENT_CELL_SIZE)
+    }
+    const isBlocked = function(pos1: Vector, pos2: Vector): boolean {
+      for (const wall of walls) {
+        if (isSegmentCrossing(pos1, pos2, new Vector(wall.x1, wall.y1), new Vector(wall.x2, wall.y2))) {
+          return true
+        }
+      }
+      return false
+    }
+
+    // Cells outside container or inside obstacles aren't part of any compartment
+    const map: number[] = []
+    for (let cell = 0; cell < columns * rows; cell++) {
+      const center = getCenter(cell)
+      map.push(center.x > this.pistonPos || this.isInsideObstacles(center) ? -1 : -2)
+    }
+
+    let compartment = 0
+    for (let firstCell = 0; firstCell < map.length; firstCell++) {
+      if (map[firstCell] !== -2) {
+        continue
+      }
+
+      map[firstCell] = compartment
+      const stack = [firstCell]
+
+      while (stack.length > 0) {
+        const cell = stack.pop() as number
+        const column = cell % columns
+        const neighbours: number[] = []
+
+        if (column > 0) {
+          neighbours.push(cell - 1)
+        }
+        if (column < columns - 1) {
+          neighbours.push(cell + 1)
+        }
+        if (cell >= columns) {
+          neighbours.push(cell - columns)
+        }
+        if (cell + columns < map.length) {
+          neighbours.push(cell + columns)
+        }
+
+        for (const neighbour of neighbours) {
+          if (map[neighbour] === -2 && !isBlocked(getCenter(cell), getCenter(neighbour))) {
+            map[neighbour] = compartment
+            stack.push(neighbour)
+          }
+        }
+      }
+
+      compartment++
+    }
+
+    this.compartmentMap = map
+    this.compartmentMapPiston = pistonColumn
+    this.compartmentTotal = Math.max(1, compartment)
+    return map
+  }
+
+  getCompartmentTotal(): number {
+    this.getCompartmentMap()
+    return this.compartmentTotal
+  }
+
+  // Index of compartment containing pos, -1 if none
+  getCompartment(pos: Vector): number {
+    const columns = Math.ceil(this.dimensions.width / COMPARTMENT_CELL_SIZE)
+    const rows = Math.ceil(this.dimensions.height / COMPARTMENT_CELL_SIZE)
+    const column = bound(Math.floor(pos.x / COMPARTMENT_CELL_SIZE), 0, columns - 1)
+    const row = bound(Math.floor(pos.y / COMPARTMENT_CELL_SIZE), 0, rows - 1)
+
+    return this.getCompartmentMap()[row * columns + column]
+  }
+
+  // Average position of each compartment's cells, for labelling
+  getCompartmentCenters(): Vector[] {
+    const map = this.getCompartmentMap()
+    const columns = Math.ceil(this.dimensions.width / COMPARTMENT_CELL_SIZE)
+    const sums: Vector[] = []
+    const cellCounts: number[] = []
+
+    for (let i = 0; i < this.compartmentTotal; i++) {
+      sums.push(new Vector(0, 0))
+      cellCounts.push(0)
+    }
+
+    for (let cell = 0; cell < map.length; cell++) {
+      if (map[cell] < 0) {
+        continue
+      }
+      sums[map[cell]] = sums[map[cell]].getAddition(new Vector((cell % columns + 0.5) * COMPARTMENT_CELL_SIZE, (Math.floor(cell / columns) + 0.5) * COMPARTMENT_CELL_SIZE))
+      cellCounts[map[cell]]++
+    }
+
+    return sums.map(function(sum, i) {
+      return sum.getScaled(1 / Math.max(1, cellCounts[i]))
+    })
+  }
+
+  // Number of particles of each registered species in each compartment
+  getCompartmentCounts(): {[key: string]: number}[] {
+    const total = this.getCompartmentTotal()
+    const compartmentCounts: {[key: string]: number}[] = []
+
+    for (let i = 0; i < total; i++) {
+      const counts: {[key: string]: number} = {}
+      for (const species of this.speciesList) {
+        counts[species.formula] = 0
+      }
+      compartmentCounts.push(counts)
+    }
+
+    for (const particle of this.particleList) {
+      const compartment = this.getCompartment(particle.pos)
+
+      if (particle.state !== "removed" && compartment >= 0 && particle.formula in compartmentCounts[compartment]) {
+        compartmentCounts[compartment][particle.formula]++
+      }
+    }
+
+    return compartmentCounts
+  }
+
+  // ==== PARTICLES ==================================
+
+  // Random position in container, avoiding obstacles if possible
+  getRandPos(): Vector {
+    let pos = new Vector(0, 0)
+
+    for (let i = 0; i < MAX_RAND_POS_TRIES; i++) {
+      pos = new Vector(this.random.getInt(0, this.pistonPos), this.random.getInt(0, this.dimensions.height))
+      if (!this.isInsideObstacles(pos)) {
+        break
+      }
+    }
+
+    return pos
+  }
+
+  // Random velocity from 2D Maxwell-Boltzmann distribution (each component is normal with variance kT/m)
+  getMaxwellBoltzmannVel(mass: number, temperature: number): Vector {
+    const stdDev = Math.sqrt(BOLTZMANN * temperature / mass)
+
+    return new Vector(this.random.getNormal(0, stdDev), this.random.getNormal(0, stdDev))
+  }
+
+  // Creates particle at container temperature, it still needs to be added to particleCreationQueue
+  // Registers formula if it's new, so particles always get their species' color, mass and radius
+  createParticle(formula: string, pos: Vector, cooldownDist: number = 0): Particle {
+    const species = this.registerSpecies(formula)
+    const vel = this.getMaxwellBoltzmannVel(species.mass, this.temperature)
+
+    const particle = new Particle(formula, species.color, species.radius, pos, this.temperature, vel, species.mass)
+    if (cooldownDist !== 0) {
+      particle.state = "cooldown"
+      particle.cooldownDist = cooldownDist  
+    }
+
+    return particle
+  }
+
+  // BUG: VERY INACCURATE, many "removed particles" make it past filter
+  changeConcentration(targetAmount: number, formula: string): void {
+    const speciesParticles = this.particleList.concat(this.particleCreationQueue).filter(function(particle) {
+      return (particle.state !== "removed" && particle.formula === formula)
+    })
+
+    // If already have target number of species particles
+    if (speciesParticles.length === targetAmount) {
+      return
+    }
+
+    // If have more than target number of species particles, remove particles until equal
+    while (speciesParticles.length > targetAmount) {
+      speciesParticles[0].state = "removed"
+      speciesParticles.shift()
+    }
+
+    // If have less than target number of species particles, add particles until equal
+    while (speciesParticles.length < targetAmount) {
+      const particle = this.createParticle(formula, this.getRandPos())
+
+      // Add new particle to creation queue
+      speciesParticles.push(particle)
+      this.particleCreationQueue.push(particle)
+    }
+  }
+
+  // Adds particles at random points within radius of center, kept inside container
+  // Added straight to particle list so they show while paused
+  sprayParticles(formula: string, center: Vector, radius: number, amount: number): void {
+    for (let i = 0; i < amount; i++) {
+      // Square root spreads points evenly over the disc instead of bunching at center
+      const offset = new Vector(radius * Math.sqrt(this.random.getFloat(0, 1)), 0).getRotated(this.random.getFloat(0, 2 * Math.PI))
+      const pos = new Vector(bound(center.x + offset.x, 0, this.pistonPos), bound(center.y + offset.y, 0, this.dimensions.height))
+
+      if (this.isInsideObstacles(pos)) {
+        continue
+      }
+      this.particleList.push(this.createParticle(formula, pos))
+    }
+  }
+
+  // Removes particles with centers within radius of pos, returns number removed
+  eraseParticles(pos: Vector, radius: number): number {
+    const erased = this.particleList.filter(function(particle) {
+      return particle.state !== "removed" && getDistSquared(particle.pos, pos) <= radius ** 2
+    })
+
+    removeParticles(erased)
+    this.updateParticleList()
+
+    return erased.length
+  }
+
+  // Topmost particle covering pos, null if none
+  getParticleAt(pos: Vector): Particle | null {
+    for (let i = this.particleList.length - 1; i >= 0; i--) {
+      const particle = this.particleList[i]
+
+      if (particle.state !== "removed" && getDistSquared(particle.pos, pos) <= particle.radius ** 2) {
+        return particle
+      }
+    }
+    return null
+  }
+
+  // Piston moves towards new volume at PISTON_SPEED, pushing particles with it
+  setVolume(volume: number): void {
+    this.pistonTarget = bound(volume * AREA_UNIT / this.dimensions.height, MIN_PISTON_POS, this.dimensions.width)
+  }
+
+  movePiston(dt: number): void {
+    const maxMove = PISTON_SPEED * dt
+    const move = bound(this.pistonTarget - this.pistonPos, -maxMove, maxMove)
+
+    this.pistonPos += move
+    this.pistonVel = move / dt
+  }
+
+  // Sets bath temperature, particles reach it through the thermostat instead of being reset
+  changeTemperature(temperature: number): void {
+    this.temperature = temperature;
+  }
+
+  // Berendsen thermostat, rescales all velocities so measured temp relaxes towards bath temp
+  applyThermostat(dt: number): void {
+    if (this.thermostat !== "isothermal") {
+      return
+    }
+
+    const measuredTemperature = this.getKineticTemperature()
+
+    // Ignore if nothing is moving, scaling can't help
+    if (measuredTemperature === 0) {
+      return
+    }
+
+    const coupling = Math.min(1, dt / Math.max(this.thermostatCoupling, dt))
+    const speedScaler = Math.sqrt(Math.max(0, 1 + coupling * (this.temperature / measuredTemperature - 1)))
+
+    for (const particle of this.particleList) {
+      particle.vel = particle.vel.getScaled(speedScaler)
+    }
+  }
+
+  // Adds queued particles and deletes removed ones
+  updateParticleList(): void {
+    // Add queue particles
+    this.particleList.push(...this.particleCreationQueue)
+    this.particleCreationQueue.length = 0 // Clears queue
+
+    // Update particle states
+    let i = 0;
+    while (i < this.particleList.length) {
+      const particle = this.particleList[i];
+
+      // Delete particle if state is "removed"
+      if (particle.state === "removed") {
+        this.particleList.splice(i, 1);
+        continue;
+      }
+      i++;
+    }
+  }
+
+  // ==== QUERIES ==================================
+
+  countSpecies(formula: string): number {
+    return countSpecies(this.particleList, formula)
+  }
+
+  // Temperature measured from particle kinetic energies (2D, so avg kinetic energy per particle is kT)
+  getKineticTemperature(): number {
+    // No particles to measure, use container temperature
+    if (this.particleList.length === 0) {
+      return this.temperature
+    }
+
+    let totalEnergy = 0
+    for (const particle of this.particleList) {
+      totalEnergy += particle.getKineticEnergy()
+    }
+
+    return totalEnergy / (this.particleList.length * BOLTZMANN)
+  }
+
+  // Speeds (px/s) of particles of formula, or of every particle if formula is null
+  getSpeeds(formula: string | null = null): number[] {
+    return this.particleList.filter(function(particle) {
+      return particle.state !== "removed" && (formula === null || particle.formula === formula)
+    }).map(function(particle) {
+      return particle.vel.getMagnitude()
+    })
+  }
+
+  // Kinetic energies (temperature units) of particles of formula, or of every particle if formula is null
+  getKineticEnergies(formula: string | null = null): number[] {
+    return this.particleList.filter(function(particle) {
+      return particle.state !== "removed" && (formula === null || particle.formula === formula)
+    }).map(function(particle) {
+      return particle.getKineticEnergy() / BOLTZMANN
+    })
+  }
+
+  // Current container, bounded by the piston
+  getContainer(): dimensions {
+    return {width: this.pistonPos, height: this.dimensions.height}
+  }
+
+  getVolume(): number {
+    return this.pistonPos * this.dimensions.height / AREA_UNIT
+  }
+
+  // Time averaged pressure from wall impulses (2D, so force per unit wall length)
+  getPressure(): number {
+    let totalImpulse = 0
+    let totalTime = 0
+
+    for (let i = 0; i < this.pressureImpulses.length; i++) {
+      totalImpulse += this.pressureImpulses[i]
+      totalTime += this.pressureTimes[i]
+    }
+
+    if (totalTime === 0) {
+      return 0
+    }
+
+    // Per AREA_UNIT to match getVolume, and in temperature units so PV = NT for an ideal gas
+    return totalImpulse / totalTime * AREA_UNIT / BOLTZMANN
+  }
+
+  // Particles per unit volume
+  getConcentration(formula: string): number {
+    return this.countSpecies(formula) / this.getVolume()
+  }
+
+  // Number of particles of each registered species
+  getCounts(): {[key: string]: number} {
+    const counts: {[key: string]: number} = {}
+
+    for (const species of this.speciesList) {
+      counts[species.formula] = this.countSpecies(species.formula)
+    }
+
+    return counts
+  }
+
+  recordCounts(): void {
+    const record: countRecord = {time: this.time, counts: this.getCounts(), volume: this.getVolume()}
+
+    if (this.getCompartmentTotal() > 1) {
+      record.compartments = this.getCompartmentCounts()
+    }
+
+    this.countHistory.push(record)
+  }
+
+  // Full count history as CSV, one column per registered species
+  getHistoryCSV(): string {
+    const formulas = this.speciesList.map(function(species) {
+      return species.formula
+    })
+
+    const lines = ["time," + formulas.join(",")]
+
+    for (const record of this.countHistory) {
+      // Blank if species wasn't registered yet
+      const counts = formulas.map(function(formula) {
+        return formula in record.counts ? record.counts[formula].toString() : ""
+      })
+
+      lines.push(record.time.toFixed(4) + "," + counts.join(","))
+    }
+
+    return lines.join("\n")
+  }
+
+  getSnapshot(): particleSnapshot[] {
+    return this.particleList.map(function(particle) {
+      return {
+        formula: particle.formula,
+        x: particle.pos.x,
+        y: particle.pos.y,
+        vx: particle.vel.x,
+        vy: particle.vel.y,
+        state: particle.state,
+        cooldownDist: particle.cooldownDist,
+      }
+    })
+  }
+
+  // Takes other's history up to time, so a simulation rebuilt from other's past snapshot carries on its records
+  copyHistory(other: Simulation, time: number): void {
+    const isBefore = function(record: {time: number}) {
+      return record.time <= time
+    }
+
+    this.countHistory = other.countHistory.filter(isBefore)
+
+    // Events are stamped with the time their step started, so ones at time haven't happened yet
+    // Totals and K estimates came with the snapshot
+    this.reactionEvents = other.reactionEvents.filter(function(event) {
+      return event.time < time
+    })
+
+    // Make sure current counts end the history
+    if (this.countHistory.length === 0 || this.countHistory[this.countHistory.length - 1].time !== this.time) {
+      this.recordCounts()
+    }
+  }
+
+  // ==== STEP ==================================
+
+  // Advances simulation by dt seconds
+  step(dt: number = TIMESTEP): void {
+    // Purge particles removed and add particles queued since last step
+    this.updateParticleList()
+    const particleList = this.particleList
+
+    this.movePiston(dt)
+
+    // Update particle movements, walls only exchange heat in heat bath mode
+    const bath = this.thermostat === "heat-bath" ? {temperature: this.temperature, random: this.random} : null
+    const container = this.getContainer()
+    const walls = this.getAllWalls()
+    let wallImpulse = 0
+
+    for (const particle of particleList) {
+      const prevPos = particle.pos
+      wallImpulse += particle.update(container, dt, bath, this.pistonVel)
+
+      // Internal walls are elastic, and don't count towards pressure
+      for (const wall of walls) {
+        collideWithWall(particle, prevPos, wall)
+      }
+    }
+
+    // Keep recent impulses for pressure
+    this.pressureImpulses.push(wallImpulse / (2 * (container.width + container.height)))
+    this.pressureTimes.push(dt)
+    let windowTime = 0
+    for (const time of this.pressureTimes) {
+      windowTime += time
+    }
+    while (windowTime > PRESSURE_WINDOW) {
+      this.pressureImpulses.shift()
+      windowTime -= this.pressureTimes.shift() as number
+    }
+
+    // Find neighbours for both reactions and collisions
+    const grid = buildSpatialGrid(particleList, this.dimensions)
+
+    // Check reactable collisions
+    for (const particle1 of particleList) {
+
+      // Ignore if not active
+      if (particle1.state !== "active") {
+        continue;
+      }
+
+      // Find intersecting and available particles
+      const availableParticles = [particle1]
+
+      for (const j of grid.getNearby(particle1.pos)) {
+        const particle2 = particleList[j];
+        
+        // Ignore if same particle
+        if (particle2 === particle1) {
+          continue;
+        }
+
+        // Ignore if not active
+        if (particle2.state !== "active") {
+          continue;
+        }
+
+        // Check if particles overlap, without a wall between them
+        if (isOverlapping(particle1, particle2) && !isSeparatedByWall(particle1, particle2, walls)) {
+          availableParticles.push(particle2);
+        }
+      }
+
+      // Check available reactions
+      for (const reaction of this.reactionList) {
+        if (!reaction.enabled) {
+          continue;
+        }
+
+        if (reaction.attemptReaction(availableParticles, this)) {
+          break;
+        }
+      }
+
+    }
+
+    this.attemptSpontaneousReactions(dt)
+
+    // Bounce remaining overlapping particles off each other
+    for (let i = 0; i < particleList.length; i++) {
+      const particle1 = particleList[i];
+
+      // Ignore if reacted
+      if (particle1.state === "removed") {
+        continue;
+      }
+
+      for (const j of grid.getNearby(particle1.pos)) {
+        const particle2 = particleList[j];
+
+        // Only handle each pair once
+        if (j <= i || particle2.state === "removed") {
+          continue;
+        }
+
+        if (isOverlapping(particle1, particle2) && !isSeparatedByWall(particle1, particle2, walls)) {
+          collideParticles(particle1, particle2)
+        }
+      }
+    }
+
+    this.updateParticleList()
+    this.applyThermostat(dt)
+    this.time += dt
+    this.updateEquilibriumEstimates(dt)
+    this.recordCounts()
+  }
+}
+
+// ==================================================================================================
+// ==== Recording ===================================================================================
+// ==================================================================================================
+
+const PARTICLE_STATES: particleState[] = ["active", "cooldown", "removed"];
+
+function packScenario(data: scenario): compactScenario {
+  const particles = data.particles
+  const values = new Float64Array(particles.length * 5)
+  const states = new Uint8Array(particles.length)
+
+  for (let i = 0; i < particles.length; i++) {
+    const particle = particles[i]
+    values.set([particle.x, particle.y, particle.vx, particle.vy, particle.cooldownDist], i * 5)
+    states[i] = PARTICLE_STATES.indexOf(particle.state)
+  }
+
+  return {
+    scenario: {...data, particles: []},
+    formulas: particles.map(function(particle) {
+      return particle.formula
+    }),
+    values: values,
+    states: states,
+  }
+}
+
+function unpackScenario(compact: compactScenario): scenario {
+  const values = compact.values
+  const particles = compact.formulas.map(function(formula, i): particleSnapshot {
+    return {
+      formula: formula,
+      x: values[i * 5],
+      y: values[i * 5 + 1],
+      vx: values[i * 5 + 2],
+      vy: values[i * 5 + 3],
+      cooldownDist: values[i * 5 + 4],
+      state: PARTICLE_STATES[compact.states[i]],
+    }
+  })
+
+  return {...compact.scenario, particles: particles}
+}
+
+// Ring buffer of snapshots taken every interval seconds, any moment in between is rebuilt by stepping forward from the one before
+// Steps are deterministic (seeded random is saved too), but changes made from outside between steps are not replayed,
+// so rebuilt states only match the original run if a snapshot is forced after every such change
+class Recording {
+  interval: number
+  capacity: number
+  snapshots: compactScenario[] = []
+
+  constructor(interval: number = RECORDING_INTERVAL, capacity: number = RECORDING_CAPACITY) {
+    this.interval = interval
+    this.capacity = capacity
+  }
+
+  // Snapshots simulation if interval has passed since last snapshot, or always if forced (after the user changed it)
+  record(simulation: Simulation, force: boolean = false): void {
+    const last = this.snapshots[this.snapshots.length - 1]
+
+    // Half step tolerance so rounding in sim time doesn't skip a snapshot
+    if (!force && last !== undefined && simulation.time - last.scenario.time < this.interval - TIMESTEP / 2) {
+      return
+    }
+
+    // A change at the time of the last snapshot replaces it, replays should start from the changed state
+    if (last !== undefined && Math.abs(simulation.time - last.scenario.time) < TIMESTEP / 2) {
+      this.snapshots.pop()
+    }
+
+    this.snapshots.push(packScenario(simulation.getScenario()))
+    if (this.snapshots.length > this.capacity) {
+      this.snapshots.shift()
+    }
+  }
+
+  getStartTime(): number {
+    return this.snapshots.length === 0 ? 0 : this.snapshots[0].scenario.time
+  }
+
+  // Simulation as it was at time, throws error if time is before the recording
+  getSimulationAt(time: number, dt: number = TIMESTEP): Simulation {
+    let snapshot: compactScenario | null = null
+    for (const candidate of this.snapshots) {
+      if (candidate.scenario.time > time) {
+        break
+      }
+      snapshot = candidate
+    }
+
+    if (snapshot === null) {
+      throw new Error(`Nothing recorded at ${time.toFixed(2)} s`)
+    }
+
+    const simulation = Simulation.fromScenario(unpackScenario(snapshot))
+    while (simulation.time < time - dt / 2) {
+      simulation.step(dt)
+    }
+
+    return simulation
+  }
+
+  // Drops snapshots after time, so a run branched from time records over them
+  truncate(time: number): void {
+    this.snapshots = this.snapshots.filter(function(snapshot) {
+      return snapshot.scenario.time <= time
+    })
+  }
+
+  clear(): void {
+    this.snapshots = []
+  }
+}
+
+// ==================================================================================================
+// ==== Presets =====================================================================================
+// ==================================================================================================
+
+// Built-in experiments, first one is loaded on start
+const PRESETS: setup[] = [
+  {
+    name: "Simple equilibrium",
+    description: "2A <=> 2B settles where forward and reverse rates balance. Watch Q approach K in the rate table.",
+    temperature: 2,
+    seed: 1,
+    species: [{formula: "A"}, {formula: "B"}],
+    reactions: [{name: "rxn1", equation: "2A <=> 2B", enabled: true, fwdActivationEnergy: 1, revActivationEnergy: 1.5, enthalpy: -0.5}],
+    counts: {A: 100},
+  },
+  {
+    name: "Le Chatelier: temperature shift",
+    description: "Exothermic 2A <=> B. Once at equilibrium, raise the temperature and the equilibrium shifts back towards A.",
+    temperature: 2,
+    seed: 2,
+    species: [{formula: "A"}, {formula: "B", mass: 2, radius: 13}],
+    reactions: [{name: "rxn1", equation: "2A <=> B", enabled: true, fwdActivationEnergy: 1, revActivationEnergy: 4, enthalpy: -3}],
+    counts: {A: 120},
+  },
+  {
+    name: "First-order decay",
+    description: "Each A decays to B on its own with a 5 s half-life, giving an exponential curve. Fit ln[A] to find k.",
+    temperature: 2,
+    seed: 3,
+    species: [{formula: "A"}, {formula: "B"}],
+    reactions: [{name: "rxn1", equation: "A -> B", enabled: true, fwdActivationEnergy: 0, revActivationEnergy: 0, enthalpy: 0, fwdSpontaneousRate: Math.LN2 / 5}],
+    counts: {A: 200},
+  },
+  {
+    name: "Catalyzed vs uncatalyzed",
+    description: "A -> B needs a collision with Ea 10, but collisions with catalyst E only need Ea 2, so the catalyzed path is much faster. Disable either reaction to compare rates.",
+    temperature: 2,
+    seed: 4,
+    species: [{formula: "A"}, {formula: "B"}, {formula: "E", radius: 15}],
+    reactions: [
+      {name: "rxn1", equation: "A -> B", enabled: true, fwdActivationEnergy: 10, revActivationEnergy: 0, enthalpy: 0},
+      {name: "rxn2", equation: "A -> B [E]", enabled: true, fwdActivationEnergy: 2, revActivationEnergy: 0, enthalpy: 0},
+    ],
+    counts: {A: 150, E: 10},
+  },
+  {
+    name: "Second-order dimerization",
+    description: "Pairs of A combine into A2. The rate depends on [A]², so 1/[A] rises linearly with time.",
+    temperature: 2,
+    seed: 5,
+    species: [{formula: "A"}, {formula: "A2", mass: 2, radius: 13}],
+    reactions: [{name: "rxn1", equation: "2A -> A2", enabled: true, fwdActivationEnergy: 0.5, revActivationEnergy: 0, enthalpy: 0}],
+    counts: {A: 200},
+  },
+];
+
+
+
+// ==== NODE EXPORTS ==================================
+
+// Browsers load this file as a plain script, Node can require it
+declare const module: any;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {Vector, Particle, Reaction, SpatialGrid, Random, Simulation, Recording, packScenario, unpackScenario, PRESETS, parseReaction, getReactionData, createReactionFromData, getRateFromHalfLife, integrateMassAction, fitLine, fitReactionOrder, countSpecies, getAvgSpeed, getSpeedDensity, getEnergyDensity, getFractionAboveEnergy, getHistogram}
+}
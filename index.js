@@ -1,520 +1,476 @@
 // ==================================================================================================
-// ==== Classes =====================================================================================
+// ==== Main Code ===================================================================================
 // ==================================================================================================
-var Vector = /** @class */ (function () {
-    function Vector(x, y) {
-        if (x === void 0) { x = 1; }
-        if (y === void 0) { y = 1; }
-        this.x = x;
-        this.y = y;
-    }
-    Vector.prototype.getCopy = function () {
-        return new Vector(this.x, this.y);
-    };
-    Vector.prototype.getMagnitude = function () {
-        return Math.sqrt((Math.pow(this.x, 2)) + (Math.pow(this.y, 2)));
-    };
-    Vector.prototype.getScaled = function (scaler) {
-        return new Vector(scaler * this.x, scaler * this.y);
-    };
-    Vector.prototype.getNeg = function () {
-        return this.getScaled(-1);
-    };
-    Vector.prototype.getAddition = function (other) {
-        return new Vector(this.x + other.x, this.y + other.y);
-    };
-    Vector.prototype.getDifference = function (other) {
-        return new Vector(other.x - this.x, other.y - this.y);
-    };
-    Vector.prototype.getNormalized = function () {
-        var mag = this.getMagnitude();
-        // Return <0,0> if input is zero vector
-        if (mag === 0) {
-            return new Vector(0, 0);
-        }
-        return new Vector(this.x / mag, this.y / mag);
-    };
-    // Input: angle in radians
-    Vector.prototype.getRotated = function (theta) {
-        var x = this.x * Math.cos(theta) - this.y * Math.sin(theta);
-        var y = this.x * Math.sin(theta) + this.y * Math.cos(theta);
-        return new Vector(x, y);
-    };
-    return Vector;
-}());
-var Particle = /** @class */ (function () {
-    function Particle(formula, color, radius, pos, temperature, vel) {
-        if (vel === void 0) { vel = new Vector(0, 0); }
-        this.state = "active";
-        this.cooldownDist = 0;
-        this.formula = formula;
-        this.color = color;
-        this.radius = radius;
-        this.pos = pos;
-        this.vel = vel;
-        this.temperature = temperature;
-    }
-    // Changes temp of particle, while keeping speed-temp ratio constant
-    Particle.prototype.changeTemperature = function (temperature) {
-        // Ignore if current temperature is 0 
-        if (this.temperature === 0) {
-            return;
-        }
-        var speedScaler = this.vel.getMagnitude() / this.temperature;
-        // Create velocity at new temp, with same speed variation as original
-        var newVel = this.vel.getNormalized().getScaled(speedScaler * temperature);
-        this.vel = newVel;
-        this.temperature = temperature;
-    };
-    Particle.prototype.update = function (canvas) {
-        var newVel = this.vel.getCopy();
-        var newPos = this.pos.getAddition(this.vel);
-        // Keep particle in bounds
-        if (newPos.x - this.radius < 0) {
-            newPos.x = this.radius;
-            newVel.x *= -1;
-        }
-        if (newPos.x + this.radius > canvas.width) {
-            newPos.x = canvas.width - this.radius;
-            newVel.x *= -1;
-        }
-        if (newPos.y - this.radius < 0) {
-            newPos.y = this.radius;
-            newVel.y *= -1;
-        }
-        if (newPos.y + this.radius > canvas.height) {
-            newPos.y = canvas.height - this.radius;
-            newVel.y *= -1;
-        }
-        this.pos = newPos;
-        this.vel = newVel;
-        // Reduce cooldown distance
-        if (this.cooldownDist > 0) {
-            this.cooldownDist -= this.vel.getMagnitude();
-        }
-        // Set active if cooldown ends
-        if (this.cooldownDist <= 0 || this.state === "active") {
-            this.cooldownDist = 0;
-            this.state = "active";
+var canvas = document.getElementById("myCanvas");
+var ctx = canvas.getContext("2d");
+var MAX_STEPS_PER_FRAME = 20; // Drops backlog instead of freezing if steps can't keep up
+var MAX_FRAME_TIME = 0.1; // Seconds, longer gaps (e.g. background tab) don't burst forward
+var CANVAS_DIMENSIONS = canvas.getBoundingClientRect();
+var CHART_DATASET_SIZE = 200;
+var PREDICTION_TIME = CHART_DATASET_SIZE * TIMESTEP; // Seconds ahead rate equations predict, one chart window
+var PISTON_WIDTH = 6;
+var SPRAY_AMOUNT = 3; // Particles added per mouse move while spraying
+var MAX_FLING_SPEED = 2000; // px per second
+var FLING_HOLD_TIME = 100; // ms, flung particle is released still if mouse stopped this long before release
+var MIN_WALL_LENGTH = 5; // px, shorter drags don't add a wall
+var DISTRIBUTION_BINS = 30;
+var DISTRIBUTION_RANGE = 6; // Histogram covers energies up to this many times kT
+var CURVE_POINTS = 60; // Points plotted along Maxwell-Boltzmann curve
+// Simulation container parameters
+var containerPaused = true; // Whether simulation is paused
+var simSpeed = 1; // Simulated seconds per real second
+// Starts with first preset, a shared setup in the URL replaces it once UI is ready
+var simulation = Simulation.fromSetup(PRESETS[0], CANVAS_DIMENSIONS);
+// ==== FRAME UPDATE ===============================
+function drawFrame() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    // Draw particles, including ones queued or removed while paused
+    for (var _i = 0, _a = simulation.particleList.concat(simulation.particleCreationQueue); _i < _a.length; _i++) {
+        var particle = _a[_i];
+        if (particle.state !== "removed") {
+            particle.draw(ctx);
         }
-    };
-    Particle.prototype.draw = function (context) {
-        context.beginPath();
-        // Draw Circle
-        context.fillStyle = this.color;
-        context.arc(this.pos.x, this.pos.y, this.radius, 0, 2 * Math.PI);
-        context.font = "14px Arial";
-        context.fill();
-        // Draw Formula
-        context.textBaseline = "middle";
-        context.textAlign = "center";
-        context.fillStyle = "white";
-        context.fillText(this.formula, this.pos.x, this.pos.y);
-    };
-    return Particle;
-}());
-var Reaction = /** @class */ (function () {
-    function Reaction(name, reactantList, productsList, isReversible) {
-        if (isReversible === void 0) { isReversible = false; }
-        this.name = name;
-        this.reactants = reactantList;
-        this.products = productsList;
-        this.reversible = isReversible;
-    }
-    Reaction.prototype.getFormula = function () {
-        var output = "";
-        // Reactants
-        for (var _i = 0, _a = this.reactants; _i < _a.length; _i++) {
-            var reactant = _a[_i];
-            output += reactant.molCoeff.toString() + reactant.formula + " + ";
-        }
-        // Single/double arrow
-        output = output.substring(0, output.length - 2);
-        if (this.reversible) {
-            output += "-> ";
+    }
+    // Draw piston, shading space outside container
+    ctx.fillStyle = "rgba(0, 0, 0, 0.15)";
+    ctx.fillRect(simulation.pistonPos, 0, canvas.width - simulation.pistonPos, canvas.height);
+    ctx.fillStyle = "#555";
+    ctx.fillRect(simulation.pistonPos, 0, PISTON_WIDTH, canvas.height);
+    // Draw obstacles and walls, membranes dashed
+    ctx.fillStyle = "#888";
+    for (var _b = 0, _c = simulation.obstacles; _b < _c.length; _b++) {
+        var obstacle = _c[_b];
+        ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+    }
+    for (var _d = 0, _e = simulation.walls; _d < _e.length; _d++) {
+        var wall = _e[_d];
+        drawWall(wall.x1, wall.y1, wall.x2, wall.y2, wall.permeable.length > 0);
+    }
+    // Number compartments if walls split container
+    if (simulation.getCompartmentTotal() > 1) {
+        ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+        ctx.font = "bold 24px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        simulation.getCompartmentCenters().forEach(function (center, i) {
+            ctx.fillText((i + 1).toString(), center.x, center.y);
+        });
+    }
+    // Preview of wall or obstacle being drawn
+    if (drawStart !== null && cursorPos !== null) {
+        if (toolSelect.value === "obstacle") {
+            ctx.fillStyle = "rgba(0, 0, 0, 0.2)";
+            ctx.fillRect(drawStart.x, drawStart.y, cursorPos.x - drawStart.x, cursorPos.y - drawStart.y);
         }
         else {
-            output += "<=> ";
-        }
-        // Products
-        for (var _b = 0, _c = this.products; _b < _c.length; _b++) {
-            var product = _c[_b];
-            output += product.molCoeff.toString() + product.formula + " + ";
+            drawWall(drawStart.x, drawStart.y, cursorPos.x, cursorPos.y, toolSelect.value === "membrane");
         }
-        return output.substring(0, output.length - 2);
-    };
-    // Returns list of consumed particles if rxn successful, returns null if unsuccessful
-    Reaction.prototype.getFwdConsumedParticles = function (intersectingParticles) {
-        var consumedParticles = [];
-        var _loop_1 = function (molFormula) {
-            var formula = molFormula.formula;
-            var minAmount = molFormula.molCoeff;
-            // List of particles that are available and has correct formula
-            var matchingParticles = intersectingParticles.filter(function (particle) {
-                return (particle.state === "active" && particle.formula === formula);
-            });
-            // Return false if not enough of species
-            if (matchingParticles.length < minAmount) {
-                return { value: null };
-            }
-            // Consume proper amount of particles
-            consumedParticles.push.apply(consumedParticles, intersectingParticles.splice(0, minAmount));
-        };
-        for (var _i = 0, _a = this.reactants; _i < _a.length; _i++) {
-            var molFormula = _a[_i];
-            var state_1 = _loop_1(molFormula);
-            if (typeof state_1 === "object")
-                return state_1.value;
-        }
-        return consumedParticles;
-    };
-    Reaction.prototype.getFwdProducedParticles = function (reactionLocation, temperature) {
-        var producedParticles = [];
-        for (var _i = 0, _a = this.products; _i < _a.length; _i++) {
-            var molFormula = _a[_i];
-            var formula = molFormula.formula;
-            var coeff = molFormula.molCoeff;
-            for (var i = 0; i < coeff; i++) {
-                producedParticles.push(createParticle(formula, reactionLocation, temperature, COOLDOWN_DIST));
-            }
-        }
-        return producedParticles;
-    };
-    // Returns list of consumed particles if rxn successful, returns null if unsuccessful
-    Reaction.prototype.getRevConsumedParticles = function (intersectingParticles) {
-        var consumedParticles = [];
-        var _loop_2 = function (molFormula) {
-            var formula = molFormula.formula;
-            var minAmount = molFormula.molCoeff;
-            // List of particles that are available and has correct formula
-            var matchingParticles = intersectingParticles.filter(function (particle) {
-                return (particle.state === "active" && particle.formula === formula);
-            });
-            // Return false if not enough of species
-            if (matchingParticles.length < minAmount) {
-                return { value: null };
-            }
-            // Consume proper amount of particles
-            consumedParticles.push.apply(consumedParticles, intersectingParticles.splice(0, minAmount));
-        };
-        for (var _i = 0, _a = this.products; _i < _a.length; _i++) {
-            var molFormula = _a[_i];
-            var state_2 = _loop_2(molFormula);
-            if (typeof state_2 === "object")
-                return state_2.value;
-        }
-        return consumedParticles;
-    };
-    Reaction.prototype.getRevProducedParticles = function (reactionLocation, temperature) {
-        var producedParticles = [];
-        for (var _i = 0, _a = this.reactants; _i < _a.length; _i++) {
-            var molFormula = _a[_i];
-            var formula = molFormula.formula;
-            var coeff = molFormula.molCoeff;
-            for (var i = 0; i < coeff; i++) {
-                producedParticles.push(createParticle(formula, reactionLocation, temperature, COOLDOWN_DIST));
-            }
+    }
+    // Ring around inspected particle
+    if (inspectedParticle !== null && inspectedParticle.state !== "removed") {
+        ctx.beginPath();
+        ctx.strokeStyle = "black";
+        ctx.lineWidth = 2;
+        ctx.arc(inspectedParticle.pos.x, inspectedParticle.pos.y, inspectedParticle.radius + 4, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+    // Brush outline for spray and eraser
+    if (cursorPos !== null && (toolSelect.value === "spray" || toolSelect.value === "erase")) {
+        ctx.beginPath();
+        ctx.strokeStyle = "rgba(0, 0, 0, 0.4)";
+        ctx.lineWidth = 1;
+        ctx.arc(cursorPos.x, cursorPos.y, Number(brushSlider.value), 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+}
+function drawWall(x1, y1, x2, y2, isMembrane) {
+    ctx.beginPath();
+    ctx.strokeStyle = isMembrane ? "#2a7" : "#333";
+    ctx.lineWidth = 4;
+    ctx.setLineDash(isMembrane ? [8, 6] : []);
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+function updateUI() {
+    // Update temperature slider value, and temperature measured from particles
+    tempSlider.value = simulation.temperature;
+    tempDisplay.innerText = simulation.getKineticTemperature().toFixed(2);
+    // Update pressure and volume
+    pressureDisplay.innerText = simulation.getPressure().toFixed(2);
+    volumeDisplay.innerText = simulation.getVolume().toFixed(1);
+    volumeSlider.value = simulation.pistonTarget / canvas.width * 100;
+    updateInspector();
+    updateTimeline();
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        var formula = species.formula;
+        var amount = simulation.countSpecies(formula);
+        // Update concentration slider values (writen weird b/c amounts change too quickly)
+        var amountSlider = amountSliders[formula];
+        var diff = amountSlider.value - amount;
+        var scaler = 0.08;
+        amountSlider.value -= bound(diff, -scaler * Math.abs(diff), scaler * Math.abs(diff));
+        amountLabels[formula].innerText = amount.toString();
+    }
+    updateCompartmentPanel();
+    updateRatePanel();
+    updateDistributionChart();
+    concentrationChart.update();
+}
+// Adds recorded counts (of chosen compartment, or whole container) to chart, latest by default
+function addChartData(record) {
+    if (record === void 0) { record = simulation.countHistory[simulation.countHistory.length - 1]; }
+    var windowStart = record.time;
+    var compartment = Number(compartmentSelect.value);
+    var counts = record.counts;
+    if (compartment >= 0) {
+        counts = record.compartments !== undefined && compartment < record.compartments.length ? record.compartments[compartment] : {};
+    }
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        var dataset = measuredDatasets[species.formula];
+        dataset.data.push({ x: record.time, y: counts[species.formula] || 0 });
+        if (dataset.data.length > CHART_DATASET_SIZE) {
+            dataset.data = dataset.data.slice(dataset.data.length - CHART_DATASET_SIZE);
         }
-        return producedParticles;
-    };
-    // Attepts both fwd and rev rxns, returns products if successful
-    Reaction.prototype.attemptReaction = function (intersectingParticles, particleCreationQueue, temperature) {
-        // Attempt forward reaction
-        var fwdConsumed = this.getFwdConsumedParticles(intersectingParticles);
-        if (fwdConsumed !== null) {
-            // Remove consumed particles      
-            removeParticles(fwdConsumed);
-            // Add produced particles
-            particleCreationQueue.push.apply(particleCreationQueue, this.getFwdProducedParticles(getAvgPos(fwdConsumed), temperature));
-            return true;
-        }
-        // Attempt reverse reaction if reversible (fwd failed)
-        var revConsumed = this.getRevConsumedParticles(intersectingParticles);
-        if (this.reversible && revConsumed !== null) {
-            // Remove consumed particles      
-            removeParticles(revConsumed);
-            // Add produced particles
-            particleCreationQueue.push.apply(particleCreationQueue, this.getRevProducedParticles(getAvgPos(revConsumed), temperature));
-            return true;
-        }
-        return false;
-    };
-    return Reaction;
-}());
-// ==== MATH FUNCTIONS ==================================
-function getDist(pos1, pos2) {
-    return Math.sqrt(Math.pow((pos1.x - pos2.x), 2) + Math.pow((pos1.y - pos2.y), 2));
+        windowStart = Math.min(windowStart, dataset.data[0].x);
+    }
+    // Drop prediction points that scrolled out with the measured data
+    for (var formula in predictedDatasets) {
+        predictedDatasets[formula].data = predictedDatasets[formula].data.filter(function (point) {
+            return point.x >= windowStart;
+        });
+    }
 }
-function getRandFloat(min, max) {
-    return Math.random() * (max - min) + min;
+function stepSimulation() {
+    // Replays only step forward from snapshots, so the state after a user change has to be snapshotted before stepping on
+    if (liveSimulation === null && simulationChanged) {
+        recording.record(simulation, true);
+    }
+    simulationChanged = false;
+    simulation.step(TIMESTEP);
+    addChartData();
+    // Record live run, replays rejoin it once they catch up
+    if (liveSimulation === null) {
+        recording.record(simulation);
+    }
+    else if (simulation.time >= liveSimulation.time - TIMESTEP / 2) {
+        returnToLive();
+    }
 }
-// Random integer from min to max inclusive
-function getRandInt(min, max) {
-    min = Math.ceil(min);
-    max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+var lastFrameTime = null;
+var timeAccumulator = 0; // Sim time owed to the simulation, run in fixed TIMESTEP steps
+function updateFrame(frameTime) {
+    var elapsed = lastFrameTime === null ? 0 : (frameTime - lastFrameTime) / 1000;
+    lastFrameTime = frameTime;
+    if (!containerPaused) {
+        timeAccumulator += Math.min(elapsed, MAX_FRAME_TIME) * simSpeed;
+        var steps = 0;
+        while (timeAccumulator >= TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+            stepSimulation();
+            timeAccumulator -= TIMESTEP;
+            steps++;
+        }
+        // Can't keep up, drop the rest
+        if (steps === MAX_STEPS_PER_FRAME) {
+            timeAccumulator = 0;
+        }
+        updateUI();
+    }
+    drawFrame();
+    requestAnimationFrame(updateFrame);
 }
+requestAnimationFrame(updateFrame);
 function getCursorPosition(event) {
     var x = event.clientX - canvas.getBoundingClientRect().left;
     var y = event.clientY - canvas.getBoundingClientRect().top;
     return new Vector(x, y);
 }
-function bound(value, min, max) {
-    return Math.max(Math.min(value, max), min);
-}
-// ==== SIM FUNCTIONS ==================================
-function getParticleColor(formula) {
-    var COLOR_MAP = formulaColorMap;
-    var DEFAULT = "black";
-    if (formula in COLOR_MAP) {
-        return COLOR_MAP[formula];
+// ==== TOOL PALETTE ===============================
+var toolSelect = document.getElementById("tool-select");
+var toolSpeciesSelect = document.getElementById("tool-species-select");
+var brushSlider = document.getElementById("brush-slider");
+var inspectorDisplay = document.getElementById("inspector-display");
+var membraneInput = document.getElementById("membrane-input");
+var clearWallsButton = document.getElementById("clear-walls-button");
+var draggingPiston = false;
+var brushActive = false; // Mouse held with spray or eraser
+var cursorPos = null; // Null when cursor is off canvas
+var inspectedParticle = null;
+var drawStart = null; // Start of wall or obstacle being drawn
+// Particle being dragged, and cursor movement used for its release velocity
+var flingParticle = null;
+var flingPos = new Vector(0, 0);
+var flingTime = 0;
+var flingVel = new Vector(0, 0);
+// Keeps species choices in sync with species list, preserving selection
+function updateToolSpeciesSelect() {
+    var selected = toolSpeciesSelect.value;
+    toolSpeciesSelect.innerHTML = "";
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        var option = document.createElement("option");
+        option.value = species.formula;
+        option.innerText = species.label;
+        toolSpeciesSelect.append(option);
     }
-    return DEFAULT;
-}
-function getRandPos(dimensions) {
-    return new Vector(getRandInt(0, dimensions.width), getRandInt(0, dimensions.height));
-}
-function createParticle(formula, pos, temperature, cooldownDist) {
-    if (cooldownDist === void 0) { cooldownDist = 0; }
-    var speedVec = new Vector(temperature, 0);
-    var speedScaler = getRandFloat(1 - MAX_SPEED_SCALER, 1 + MAX_SPEED_SCALER); // Randomize speed
-    var angle = getRandFloat(0, 2 * Math.PI);
-    var particle = new Particle(formula, getParticleColor(formula), RADIUS, pos, temperature, speedVec.getScaled(speedScaler).getRotated(angle));
-    if (cooldownDist !== 0) {
-        particle.state = "cooldown";
-        particle.cooldownDist = cooldownDist;
+    if (selected !== "" && simulation.getSpecies(selected) !== null) {
+        toolSpeciesSelect.value = selected;
     }
-    return particle;
 }
-// Sets list of particles as "removed" state
-function removeParticles(particles) {
-    for (var _i = 0, particles_1 = particles; _i < particles_1.length; _i++) {
-        var particle = particles_1[_i];
-        particle.state = "removed";
+function updateInspector() {
+    if (inspectedParticle === null) {
+        inspectorDisplay.innerText = "";
+        return;
     }
-}
-// BUG: VERY INACCURATE, many "removed particles" make it past filter
-function changeConcentration(targetAmount, formula) {
-    var speciesParticles = particleList.filter(function (particle) {
-        return (particle.state !== "removed" && particle.formula === formula);
-    });
-    // If already have target number of species particles
-    if (speciesParticles.length === targetAmount) {
+    var particle = inspectedParticle;
+    if (particle.state === "removed") {
+        inspectorDisplay.innerText = "".concat(particle.formula, ": removed (reacted or erased)");
         return;
     }
-    // If have more than target number of species particles, remove particles until equal
-    while (speciesParticles.length > targetAmount) {
-        speciesParticles[0].state = "removed";
-        speciesParticles.shift();
+    inspectorDisplay.innerText = "".concat(particle.formula, ": speed ").concat(particle.vel.getMagnitude().toFixed(1), " px/s, ")
+        + "energy ".concat((particle.getKineticEnergy() / BOLTZMANN).toFixed(2), ", state ").concat(particle.state)
+        + (particle.state === "cooldown" ? " (".concat(particle.cooldownDist.toFixed(1), " px left)") : "");
+}
+// Applies spray or eraser at pos
+function useBrush(pos) {
+    var radius = Number(brushSlider.value);
+    if (toolSelect.value === "spray") {
+        simulation.sprayParticles(toolSpeciesSelect.value, pos, radius, SPRAY_AMOUNT);
     }
-    // If have less than target number of species particles, add particles until equal
-    while (speciesParticles.length < targetAmount) {
-        var particle = createParticle(formula, getRandPos(CANVAS_DIMENSIONS), containerTemperature);
-        // Add new particle to creation queue
-        speciesParticles.push(particle);
-        particleCreationQueue.push(particle);
+    else if (toolSelect.value === "erase") {
+        simulation.eraseParticles(pos, radius);
     }
 }
-function changeTemperature(particles, temperature) {
-    containerTemperature = temperature;
-    for (var _i = 0, particles_2 = particles; _i < particles_2.length; _i++) {
-        var particle = particles_2[_i];
-        particle.changeTemperature(temperature);
+canvas.addEventListener("mousedown", function (e) {
+    var mousePos = getCursorPosition(e);
+    // Drag piston if clicked near it, instead of using tool
+    if (Math.abs(mousePos.x - simulation.pistonPos) < 2 * PISTON_WIDTH) {
+        draggingPiston = true;
+        return;
     }
-}
-function getAvgPos(particles) {
-    var length = particles.length;
-    // Return zero vector if list has no particles
-    if (length === 0) {
-        return new Vector(0, 0);
+    var tool = toolSelect.value;
+    if (tool === "spawn") {
+        simulation.sprayParticles(toolSpeciesSelect.value, mousePos, 0, 1);
+        markSimulationChanged();
     }
-    var totalX = 0;
-    var totalY = 0;
-    for (var _i = 0, particles_3 = particles; _i < particles_3.length; _i++) {
-        var particle = particles_3[_i];
-        totalX += particle.pos.x;
-        totalY += particle.pos.y;
+    else if (tool === "spray" || tool === "erase") {
+        brushActive = true;
+        useBrush(mousePos);
     }
-    return new Vector(totalX / length, totalY / length);
-}
-function countSpecies(particles, formula) {
-    var count = 0;
-    for (var _i = 0, particles_4 = particles; _i < particles_4.length; _i++) {
-        var particle = particles_4[_i];
-        if (particle.state !== "removed" && particle.formula === formula) {
-            count += 1;
-        }
+    else if (tool === "wall" || tool === "membrane" || tool === "obstacle") {
+        drawStart = mousePos;
     }
-    return count;
-}
-// ==== TESTING FUNCTIONS ==================================
-function getAvgSpeed(particles) {
-    var totalSpeed = 0;
-    for (var _i = 0, particles_5 = particles; _i < particles_5.length; _i++) {
-        var particle = particles_5[_i];
-        totalSpeed += particle.vel.getMagnitude();
+    else if (tool === "inspect") {
+        inspectedParticle = simulation.getParticleAt(mousePos);
+        flingParticle = inspectedParticle;
+        flingPos = mousePos;
+        flingTime = performance.now();
+        flingVel = new Vector(0, 0);
+        updateInspector();
     }
-    return totalSpeed / particles.length;
-}
-// ==================================================================================================
-// ==== Main Code ===================================================================================
-// ==================================================================================================
-var canvas = document.getElementById("myCanvas");
-var ctx = canvas.getContext("2d");
-var FPS = 30;
-var CANVAS_DIMENSIONS = canvas.getBoundingClientRect();
-var CHART_DATASET_SIZE = 200;
-// ==== CONSTANTS ==================================
-var RADIUS = 10;
-var COOLDOWN_DIST = 2 * RADIUS;
-var MAX_SPEED_SCALER = 0.5; // Between 0 (0 variation), and 1 (100% variation)
-// For color and formula name reference
-var formulaColorMap = {
-    A: "blue",
-    B: "red",
-    C: "orange"
-};
-// Others
-var particleList = [];
-var particleCreationQueue = []; // Particles waiting to be added
-var reactionList = [];
-// Simulation container parameters
-var containerPaused = true; // Whether simulation is paused
-var containerTemperature = 2; // Avg speed
-for (var i = 0; i < 10; i++) {
-    particleList.push(createParticle("A", new Vector(400, 400), containerTemperature));
-}
-reactionList.push(new Reaction("rxn1", [{ formula: "A", molCoeff: 2 }], [{ formula: "B", molCoeff: 2 }], true));
-// ==== FRAME UPDATE ===============================
-function drawFrame() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    // Draw particles
-    for (var _i = 0, particleList_1 = particleList; _i < particleList_1.length; _i++) {
-        var particle = particleList_1[_i];
-        particle.draw(ctx);
+});
+canvas.addEventListener("mousemove", function (e) {
+    var mousePos = getCursorPosition(e);
+    cursorPos = mousePos;
+    if (draggingPiston) {
+        simulation.setVolume(mousePos.x * canvas.height / AREA_UNIT);
     }
-}
-function updateUI() {
-    var amountA = countSpecies(particleList, "A");
-    var amountB = countSpecies(particleList, "B");
-    // Update temperature slider value
-    tempSlider.value = containerTemperature;
-    // Update concentration slider values (writen weird b/c amounts change too quickly)
-    var diffA = amountSliderA.value - amountA;
-    var diffB = amountSliderB.value - amountB;
-    var scaler = 0.08;
-    amountSliderA.value -= bound(diffA, -scaler * Math.abs(diffA), scaler * Math.abs(diffA));
-    amountSliderB.value -= bound(diffB, -scaler * Math.abs(diffB), scaler * Math.abs(diffB));
-    // Add chart data
-    var dataX = concentrationChart.data.labels;
-    var dataA = concentrationChart.data.datasets[0].data;
-    var dataB = concentrationChart.data.datasets[1].data;
-    dataX.push("");
-    dataA.push(amountA);
-    dataB.push(amountB);
-    if (dataX.length > CHART_DATASET_SIZE) {
-        var numToRemove = dataX.length - CHART_DATASET_SIZE;
-        concentrationChart.data.labels = dataX.slice(numToRemove);
-        concentrationChart.data.datasets[0].data = dataA.slice(numToRemove);
-        concentrationChart.data.datasets[1].data = dataB.slice(numToRemove);
+    if (brushActive) {
+        useBrush(mousePos);
     }
-    concentrationChart.update();
-}
-function updateBackgroundProcesses() {
-    // Add queue particles
-    particleList.push.apply(particleList, particleCreationQueue);
-    particleCreationQueue.length = 0; // Clears queue
-    // Update particle states
-    var i = 0;
-    while (i < particleList.length) {
-        var particle = particleList[i];
-        // Delete particle if state is "removed"
-        if (particle.state === "removed") {
-            particleList.splice(i, 1);
-            continue;
+    // Carry particle with cursor, holding it still so it doesn't drift away
+    if (flingParticle !== null) {
+        var now = performance.now();
+        if (now > flingTime) {
+            flingVel = flingPos.getDifference(mousePos).getScaled(1000 / (now - flingTime));
         }
-        i++;
+        flingPos = mousePos;
+        flingTime = now;
+        flingParticle.pos = new Vector(bound(mousePos.x, 0, simulation.pistonPos), bound(mousePos.y, 0, canvas.height));
+        flingParticle.vel = new Vector(0, 0);
     }
-}
-function updateFrame() {
-    // Updates even when paused
-    drawFrame();
-    updateBackgroundProcesses();
-    // Do nothing if simulation is paused
-    if (containerPaused) {
+});
+canvas.addEventListener("mouseleave", function () {
+    cursorPos = null;
+});
+// Adds wall, membrane or obstacle dragged out from start to end
+function addDrawnWall(start, end) {
+    if (getDist(start, end) < MIN_WALL_LENGTH) {
         return;
     }
-    updateUI();
-    // Update particle movements
-    for (var _i = 0, particleList_2 = particleList; _i < particleList_2.length; _i++) {
-        var particle = particleList_2[_i];
-        particle.update(canvas);
-    }
-    // Check reactable collisions
-    for (var _a = 0, particleList_3 = particleList; _a < particleList_3.length; _a++) {
-        var particle1 = particleList_3[_a];
-        // Ignore if not active
-        if (particle1.state !== "active") {
-            continue;
-        }
-        // Find intersecting and available particles
-        var availableParticles = [particle1];
-        for (var _b = 0, particleList_4 = particleList; _b < particleList_4.length; _b++) {
-            var particle2 = particleList_4[_b];
-            // Ignore if same particle
-            if (particle2 === particle1) {
-                continue;
-            }
-            // Ignore if not active
-            if (particle2.state !== "active") {
-                continue;
-            }
-            // Check if particles overlap
-            if (getDist(particle1.pos, particle2.pos) < particle1.radius + particle2.radius) {
-                availableParticles.push(particle2);
-            }
-        }
-        // Check available reactions
-        for (var _c = 0, reactionList_1 = reactionList; _c < reactionList_1.length; _c++) {
-            var reaction = reactionList_1[_c];
-            var rxnSuccessful = reaction.attemptReaction(availableParticles, particleCreationQueue, containerTemperature);
-            if (rxnSuccessful) {
-                console.log("SUCCESSFUL REACTION");
-                break;
-            }
-        }
+    if (toolSelect.value === "obstacle") {
+        simulation.addObstacle({
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y),
+        });
+        markSimulationChanged();
+        return;
     }
+    // Membrane passes species listed like "A, B"
+    var permeable = toolSelect.value === "membrane" ? membraneInput.value.split(",").map(function (formula) {
+        return formula.trim();
+    }).filter(function (formula) {
+        return formula !== "";
+    }) : [];
+    simulation.addWall({ x1: start.x, y1: start.y, x2: end.x, y2: end.y, permeable: permeable });
+    markSimulationChanged();
 }
-// Set frame rate
-setInterval(updateFrame, 1000 / FPS);
-canvas.addEventListener("mousedown", function (e) {
-    var mousePos = getCursorPosition(e);
-    var particle = createParticle("A", mousePos, containerTemperature);
-    particleList.push(particle);
+window.addEventListener("mouseup", function (e) {
+    if (draggingPiston || brushActive || flingParticle !== null) {
+        markSimulationChanged();
+    }
+    draggingPiston = false;
+    brushActive = false;
+    if (drawStart !== null) {
+        var mousePos = getCursorPosition(e);
+        addDrawnWall(drawStart, new Vector(bound(mousePos.x, 0, canvas.width), bound(mousePos.y, 0, canvas.height)));
+        drawStart = null;
+    }
+    // Release dragged particle at cursor velocity, only if cursor was still moving
+    if (flingParticle !== null) {
+        if (performance.now() - flingTime < FLING_HOLD_TIME && flingVel.getMagnitude() > 0) {
+            flingParticle.vel = flingVel.getScaled(Math.min(1, MAX_FLING_SPEED / flingVel.getMagnitude()));
+        }
+        flingParticle = null;
+        updateInspector();
+    }
 });
 // ==================================================================================================
 // ==== Testing =====================================================================================
 // ==================================================================================================
 // ==== TEMPERATURE SLIDER ===============================
 var tempSlider = document.getElementById("temp-slider");
+var tempDisplay = document.getElementById("temp-display");
 tempSlider.oninput = function () {
-    var newTemp = this.value;
-    changeTemperature(particleList, newTemp);
-    changeTemperature(particleCreationQueue, newTemp);
+    var newTemp = Number(this.value);
+    simulation.changeTemperature(newTemp);
+};
+tempSlider.onchange = markSimulationChanged;
+// ==== THERMOSTAT ===============================
+var thermostatSelect = document.getElementById("thermostat-select");
+var couplingSlider = document.getElementById("coupling-slider");
+thermostatSelect.value = simulation.thermostat;
+couplingSlider.value = simulation.thermostatCoupling;
+thermostatSelect.onchange = function () {
+    simulation.thermostat = thermostatSelect.value;
+    markSimulationChanged();
 };
-// ==== CONCENTRATION SLIDER ===============================
-var amountSliderA = document.getElementById("amount-slider-A");
-amountSliderA.oninput = function () {
-    var newAmount = Math.round(this.value);
-    var formula = "A";
-    changeConcentration(newAmount, formula);
+couplingSlider.oninput = function () {
+    simulation.thermostatCoupling = Number(couplingSlider.value);
 };
-var amountSliderB = document.getElementById("amount-slider-B");
-amountSliderB.oninput = function () {
-    var newAmount = Math.round(this.value);
-    var formula = "B";
-    changeConcentration(newAmount, formula);
+couplingSlider.onchange = markSimulationChanged;
+// ==== VOLUME SLIDER ===============================
+var volumeSlider = document.getElementById("volume-slider");
+var volumeDisplay = document.getElementById("volume-display");
+var pressureDisplay = document.getElementById("pressure-display");
+// Slider is percent of full canvas width
+volumeSlider.min = MIN_PISTON_POS / canvas.width * 100;
+volumeSlider.oninput = function () {
+    simulation.setVolume(Number(volumeSlider.value) / 100 * canvas.width * canvas.height / AREA_UNIT);
 };
+volumeSlider.onchange = markSimulationChanged;
+// ==== CONCENTRATION SLIDERS ===============================
+var speciesControls = document.getElementById("species-controls");
+// Slider and live count elements for each species formula
+var amountSliders = {};
+var amountLabels = {};
+// Adds slider for every registered species that doesn't have one yet
+function updateSpeciesControls() {
+    var _loop_1 = function (species) {
+        var formula = species.formula;
+        if (formula in amountSliders) {
+            return "continue";
+        }
+        var amount = simulation.countSpecies(formula);
+        var heading = document.createElement("h3");
+        heading.innerText = "Concentration of ".concat(species.label, ": ");
+        heading.style.color = species.color;
+        var amountLabel = document.createElement("span");
+        amountLabel.innerText = amount.toString();
+        heading.append(amountLabel);
+        var amountSlider = document.createElement("input");
+        amountSlider.className = "slider";
+        amountSlider.type = "range";
+        amountSlider.min = "0";
+        amountSlider.max = "200";
+        amountSlider.step = "0.1";
+        amountSlider.value = amount.toString();
+        amountSlider.oninput = function () {
+            var newAmount = Math.round(Number(amountSlider.value));
+            simulation.changeConcentration(newAmount, formula);
+        };
+        amountSlider.onchange = markSimulationChanged;
+        // Mass and radius inputs, changes apply to existing particles too
+        var propertyInputs = document.createElement("div");
+        propertyInputs.append(createSpeciesPropertyInput(species, "Mass", "mass", 0.1), createSpeciesPropertyInput(species, "Radius", "radius", 1));
+        speciesControls.append(heading, amountSlider, propertyInputs);
+        amountSliders[formula] = amountSlider;
+        amountLabels[formula] = amountLabel;
+    };
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        _loop_1(species);
+    }
+}
+function createSpeciesPropertyInput(species, name, property, step) {
+    var label = document.createElement("label");
+    label.className = "property-input";
+    label.innerText = name + " ";
+    var input = document.createElement("input");
+    input.className = "number-input";
+    input.type = "number";
+    input.min = step.toString();
+    input.step = step.toString();
+    input.value = species[property].toString();
+    input.onchange = function () {
+        var value = Number(input.value);
+        // Ignore invalid values
+        if (!(value > 0)) {
+            input.value = species[property].toString();
+            return;
+        }
+        species[property] = value;
+        for (var _i = 0, _a = simulation.particleList.concat(simulation.particleCreationQueue); _i < _a.length; _i++) {
+            var particle = _a[_i];
+            if (particle.formula === species.formula) {
+                particle[property] = value;
+            }
+        }
+        markSimulationChanged();
+    };
+    label.append(input);
+    return label;
+}
+// Adds chart series for every registered species that doesn't have one yet
+function updateSpeciesDatasets() {
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        if (species.formula in measuredDatasets) {
+            continue;
+        }
+        var dataset = {
+            label: "[".concat(species.label, "]"),
+            borderColor: species.color,
+            backgroundColor: species.color,
+            pointRadius: 0,
+            data: [],
+        };
+        concentrationChart.data.datasets.push(dataset);
+        measuredDatasets[species.formula] = dataset;
+    }
+    concentrationChart.update();
+}
+// Makes newly registered species appear in sliders and chart
+function updateSpecies() {
+    updateSpeciesControls();
+    updateSpeciesDatasets();
+    updateToolSpeciesSelect();
+}
 // ==== PAUSE BUTTON ===============================
 var pauseButton = document.getElementById("pause-button");
 pauseButton.onclick = function () {
@@ -527,42 +483,566 @@ pauseButton.onclick = function () {
         pauseButton.innerText = "Unpause";
     }
 };
+// ==== TIMELINE ===============================
+var timelineSlider = document.getElementById("timeline-slider");
+var timelineDisplay = document.getElementById("timeline-display");
+var liveButton = document.getElementById("live-button");
+var branchButton = document.getElementById("branch-button");
+var recordIntervalInput = document.getElementById("record-interval-input");
+var recording = new Recording();
+var liveSimulation = null; // Latest run while viewing the past, null when live
+var simulationChanged = false; // Set when the user changes the simulation, cleared by the next step
+// Called by every control that changes the simulation, drags only call it once they end so they take one snapshot
+function markSimulationChanged() {
+    simulationChanged = true;
+}
+recording.record(simulation);
+timelineSlider.step = TIMESTEP;
+recordIntervalInput.value = recording.interval;
+function updateTimeline() {
+    var endTime = (liveSimulation === null ? simulation : liveSimulation).time;
+    timelineSlider.min = recording.getStartTime();
+    timelineSlider.max = endTime;
+    timelineSlider.value = simulation.time;
+    timelineDisplay.innerText = "".concat(simulation.time.toFixed(2), " s") + (liveSimulation === null ? "" : " of ".concat(endTime.toFixed(2), " s (replay)"));
+}
+// Shows run as it was at time, paused, keeping live run to return to
+function viewTime(time) {
+    if (liveSimulation === null) {
+        liveSimulation = simulation;
+    }
+    if (time >= liveSimulation.time - TIMESTEP / 2) {
+        returnToLive();
+        return;
+    }
+    var pastSimulation = recording.getSimulationAt(time);
+    pastSimulation.copyHistory(liveSimulation, pastSimulation.time);
+    containerPaused = true;
+    pauseButton.innerText = "Unpause";
+    showSimulation(pastSimulation);
+}
+function returnToLive() {
+    if (liveSimulation === null) {
+        return;
+    }
+    var live = liveSimulation;
+    liveSimulation = null;
+    showSimulation(live);
+}
+timelineSlider.oninput = function () {
+    try {
+        viewTime(Number(timelineSlider.value));
+    }
+    catch (error) {
+        timelineDisplay.innerText = error.message;
+    }
+};
+liveButton.onclick = returnToLive;
+// Past state becomes the live run, dropping everything recorded after it
+branchButton.onclick = function () {
+    if (liveSimulation === null) {
+        return;
+    }
+    recording.truncate(simulation.time);
+    liveSimulation = null;
+    updateTimeline();
+};
+recordIntervalInput.onchange = function () {
+    recording.interval = Math.max(TIMESTEP, Number(recordIntervalInput.value));
+    recordIntervalInput.value = recording.interval;
+};
+// ==== STEP BUTTON ===============================
+var stepButton = document.getElementById("step-button");
+// Advances one timestep, only while paused
+stepButton.onclick = function () {
+    if (!containerPaused) {
+        return;
+    }
+    stepSimulation();
+    updateUI();
+};
+// ==== SPEED SLIDER ===============================
+var speedSlider = document.getElementById("speed-slider");
+var speedDisplay = document.getElementById("speed-display");
+// Slider is log10 of speed, so 0.1x to 10x
+speedSlider.oninput = function () {
+    simSpeed = Math.pow(10, Number(speedSlider.value));
+    speedDisplay.innerText = simSpeed.toFixed(1) + "×";
+};
 // ==== CLEAR GRAPH BUTTON ===============================
 var clearGraphButton = document.getElementById("clear-graph-button");
-clearGraphButton.onclick = function () {
-    concentrationChart.data.labels = [];
-    concentrationChart.data.datasets[0].data = [];
-    concentrationChart.data.datasets[1].data = [];
+function clearGraph() {
+    for (var _i = 0, _a = concentrationChart.data.datasets; _i < _a.length; _i++) {
+        var dataset = _a[_i];
+        dataset.data = [];
+    }
+    concentrationChart.update();
+}
+clearGraphButton.onclick = clearGraph;
+// ==== COMPARTMENTS ===============================
+var compartmentSelect = document.getElementById("compartment-select");
+var compartmentTable = document.getElementById("compartment-table");
+// Graph restarts when switching compartment, since history shown so far was of another one
+compartmentSelect.onchange = clearGraph;
+clearWallsButton.onclick = function () {
+    simulation.clearWalls();
+    markSimulationChanged();
+};
+// Compartment choices for chart and table of counts in each, only shown once walls split container
+function updateCompartmentPanel() {
+    var total = simulation.getCompartmentTotal();
+    // Options are "All" then one per compartment
+    if (compartmentSelect.options.length !== total + 1) {
+        var selected = Number(compartmentSelect.value);
+        compartmentSelect.innerHTML = "<option value=\"-1\">All</option>";
+        for (var i = 0; i < total; i++) {
+            compartmentSelect.innerHTML += "<option value=\"".concat(i, "\">Compartment ").concat(i + 1, "</option>");
+        }
+        compartmentSelect.value = selected < total ? selected.toString() : "-1";
+    }
+    if (total === 1) {
+        compartmentTable.innerHTML = "";
+        return;
+    }
+    var rows = "<tr><th>Compartment</th>";
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        rows += "<th>".concat(species.label, "</th>");
+    }
+    rows += "</tr>";
+    simulation.getCompartmentCounts().forEach(function (counts, i) {
+        rows += "<tr><td>".concat(i + 1, "</td>");
+        for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+            var species = _a[_i];
+            rows += "<td>".concat(counts[species.formula], "</td>");
+        }
+        rows += "</tr>";
+    });
+    compartmentTable.innerHTML = rows;
+}
+// ==== PREDICTION BUTTON ===============================
+var predictButton = document.getElementById("predict-button");
+// Plots rate equation prediction from current counts as dashed lines
+predictButton.onclick = function () {
+    var prediction = simulation.predictCounts(PREDICTION_TIME);
+    var _loop_2 = function (species) {
+        var formula = species.formula;
+        if (!(formula in predictedDatasets)) {
+            predictedDatasets[formula] = {
+                label: "[".concat(species.label, "] predicted"),
+                borderColor: species.color,
+                backgroundColor: species.color,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                data: [],
+            };
+            concentrationChart.data.datasets.push(predictedDatasets[formula]);
+        }
+        predictedDatasets[formula].data = prediction.map(function (record) {
+            return { x: record.time, y: record.counts[formula] || 0 };
+        });
+    };
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        _loop_2(species);
+    }
     concentrationChart.update();
 };
+// ==== REACTION EDITOR ===============================
+var reactionInput = document.getElementById("reaction-input");
+var fwdEnergyInput = document.getElementById("fwd-energy-input");
+var revEnergyInput = document.getElementById("rev-energy-input");
+var enthalpyInput = document.getElementById("enthalpy-input");
+var mechanismInput = document.getElementById("mechanism-input");
+var addReactionButton = document.getElementById("add-reaction-button");
+var reactionError = document.getElementById("reaction-error");
+var reactionListElement = document.getElementById("reaction-list");
+var mechanismListElement = document.getElementById("mechanism-list");
+function updateReactionList() {
+    reactionListElement.innerHTML = "";
+    var _loop_3 = function (reaction) {
+        var item = document.createElement("li");
+        // Enable/disable checkbox
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = reaction.enabled;
+        checkbox.onchange = function () {
+            reaction.enabled = checkbox.checked;
+            markSimulationChanged();
+        };
+        var label = document.createElement("span");
+        label.innerText = "".concat(reaction.getFormula(), "  (Ea: ").concat(reaction.fwdActivationEnergy) + (reaction.reversible ? " / ".concat(reaction.revActivationEnergy) : "") + ", \u0394H: ".concat(reaction.enthalpy, ")")
+            + (reaction.mechanism === "" ? "" : "  [".concat(reaction.mechanism, "]"));
+        // Rate constants for prediction, blank to fit
+        var rateInputs = document.createElement("span");
+        rateInputs.append(createRateConstantInput(reaction, "kf", "fwdRateConstant"));
+        if (reaction.reversible) {
+            rateInputs.append(createRateConstantInput(reaction, "kr", "revRateConstant"));
+        }
+        // Half-lives for spontaneous unimolecular directions, blank to react on collision
+        if (reaction.isUnimolecular("forward")) {
+            rateInputs.append(createHalfLifeInput(reaction, "forward"));
+        }
+        if (reaction.reversible && reaction.isUnimolecular("reverse")) {
+            rateInputs.append(createHalfLifeInput(reaction, "reverse"));
+        }
+        // Delete button
+        var deleteButton = document.createElement("button");
+        deleteButton.className = "button small-button";
+        deleteButton.innerText = "Delete";
+        deleteButton.onclick = function () {
+            simulation.reactionList.splice(simulation.reactionList.indexOf(reaction), 1);
+            markSimulationChanged();
+            updateReactions();
+        };
+        item.append(checkbox, label, rateInputs, deleteButton);
+        reactionListElement.append(item);
+    };
+    for (var _i = 0, _a = simulation.reactionList; _i < _a.length; _i++) {
+        var reaction = _a[_i];
+        _loop_3(reaction);
+    }
+}
+function createRateConstantInput(reaction, name, property) {
+    var label = document.createElement("label");
+    label.className = "property-input";
+    label.innerText = " " + name + " ";
+    var input = document.createElement("input");
+    input.className = "number-input";
+    input.type = "number";
+    input.min = "0";
+    input.placeholder = "fit";
+    input.value = reaction[property] === null ? "" : String(reaction[property]);
+    input.onchange = function () {
+        reaction[property] = input.value === "" ? null : Math.max(0, Number(input.value));
+        markSimulationChanged();
+    };
+    label.append(input);
+    return label;
+}
+function createHalfLifeInput(reaction, direction) {
+    var label = document.createElement("label");
+    label.className = "property-input";
+    label.innerText = direction === "forward" ? " fwd t½ " : " rev t½ ";
+    var input = document.createElement("input");
+    input.className = "number-input";
+    input.type = "number";
+    input.min = "0";
+    input.step = "0.1";
+    input.placeholder = "collide";
+    var rate = reaction.getSpontaneousRate(direction);
+    input.value = rate === null ? "" : (Math.LN2 / rate).toPrecision(3);
+    input.onchange = function () {
+        try {
+            reaction.setSpontaneousRate(direction, input.value === "" ? null : getRateFromHalfLife(Number(input.value)));
+            markSimulationChanged();
+            reactionError.innerText = "";
+        }
+        catch (error) {
+            reactionError.innerText = error.message;
+        }
+    };
+    label.append(input);
+    return label;
+}
+addReactionButton.onclick = function () {
+    try {
+        var reaction = parseReaction(simulation.getUnusedReactionName(), reactionInput.value, Number(fwdEnergyInput.value), Number(revEnergyInput.value), Number(enthalpyInput.value));
+        reaction.mechanism = mechanismInput.value.trim();
+        if (simulation.addReaction(reaction)) {
+            updateSpecies();
+        }
+        markSimulationChanged();
+        reactionInput.value = "";
+        reactionError.innerText = "";
+    }
+    catch (error) {
+        reactionError.innerText = error.message;
+    }
+    updateReactions();
+};
+// Overall equation and intermediates of each mechanism
+function updateMechanismList() {
+    mechanismListElement.innerHTML = "";
+    for (var _i = 0, _a = simulation.getMechanismNames(); _i < _a.length; _i++) {
+        var mechanism = _a[_i];
+        var intermediates = simulation.getIntermediates(mechanism);
+        var item = document.createElement("li");
+        item.innerText = "".concat(mechanism, ": ").concat(simulation.getMechanismEquation(mechanism))
+            + (intermediates.length > 0 ? "  (intermediates: ".concat(intermediates.join(", "), ")") : "");
+        mechanismListElement.append(item);
+    }
+}
+// Thickens chart lines of mechanism intermediates
+function updateIntermediateHighlights() {
+    var intermediates = simulation.getAllIntermediates();
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        var dataset = measuredDatasets[species.formula];
+        var isIntermediate = intermediates.indexOf(species.formula) !== -1;
+        dataset.label = "[".concat(species.label, "]") + (isIntermediate ? " (intermediate)" : "");
+        dataset.borderWidth = isIntermediate ? 6 : 3;
+    }
+    concentrationChart.update();
+}
+// Refreshes everything that depends on reaction list
+function updateReactions() {
+    updateReactionList();
+    updateFitReactionSelect();
+    updateMechanismList();
+    updateIntermediateHighlights();
+}
+// ==== RATE PANEL ===============================
+var rateTableBody = document.getElementById("rate-table-body");
+// Formats rate constant, marking it if fitted instead of set
+function formatRateConstant(value, setValue) {
+    return value.toPrecision(3) + (setValue === null ? " (fit)" : "");
+}
+// Formats Q and K, which can be huge or tiny, or undefined when every species in them has run out
+function formatQuotient(value) {
+    if (value === null || isNaN(value)) {
+        return "—";
+    }
+    if (!isFinite(value)) {
+        return "∞";
+    }
+    return value.toPrecision(3);
+}
+function updateRatePanel() {
+    var rows = "";
+    for (var _i = 0, _a = simulation.reactionList; _i < _a.length; _i++) {
+        var reaction = _a[_i];
+        var totals = simulation.getReactionTotals(reaction);
+        var rates = simulation.getReactionRates(reaction);
+        var equilibrium = simulation.isAtEquilibrium(reaction);
+        var constants = simulation.getRateConstants(reaction);
+        rows += "<tr>\n      <td>".concat(reaction.getFormula(), "</td>\n      <td>").concat(totals.forward, "</td>\n      <td>").concat(totals.reverse, "</td>\n      <td>").concat(rates.forward.toFixed(2), "</td>\n      <td>").concat(rates.reverse.toFixed(2), "</td>\n      <td>").concat(rates.net.toFixed(2), "</td>\n      <td>").concat(formatQuotient(simulation.getReactionQuotient(reaction)), "</td>\n      <td>").concat(formatQuotient(simulation.getEquilibriumConstant(reaction)), "</td>\n      <td>").concat(reaction.reversible ? (equilibrium ? "Yes" : "No") : "-", "</td>\n      <td>").concat(formatRateConstant(constants.forward, reaction.fwdRateConstant), "</td>\n      <td>").concat(reaction.reversible ? formatRateConstant(constants.reverse, reaction.revRateConstant) : "-", "</td>\n    </tr>");
+    }
+    rateTableBody.innerHTML = rows;
+}
+// ==== RATE LAW FITTING ===============================
+var fitReactionSelect = document.getElementById("fit-reaction-select");
+var fitStartInput = document.getElementById("fit-start-input");
+var fitEndInput = document.getElementById("fit-end-input");
+var fitButton = document.getElementById("fit-button");
+var fitError = document.getElementById("fit-error");
+var fitTableBody = document.getElementById("fit-table-body");
+var fitSummary = document.getElementById("fit-summary");
+// Keeps reaction choices in sync with reaction list, preserving selection
+function updateFitReactionSelect() {
+    var selected = fitReactionSelect.value;
+    fitReactionSelect.innerHTML = "";
+    for (var _i = 0, _a = simulation.reactionList; _i < _a.length; _i++) {
+        var reaction = _a[_i];
+        var option = document.createElement("option");
+        option.value = reaction.name;
+        option.innerText = reaction.getFormula();
+        fitReactionSelect.append(option);
+    }
+    if (selected !== "") {
+        fitReactionSelect.value = selected;
+    }
+}
+// Formats fit R², blank where that plot couldn't be made
+function formatRSquared(value) {
+    return isNaN(value) ? "-" : value.toFixed(3);
+}
+// Start of visible chart data, so blank window fits what's on screen
+function getChartStartTime() {
+    var start = simulation.time;
+    for (var formula in measuredDatasets) {
+        var data = measuredDatasets[formula].data;
+        if (data.length > 0) {
+            start = Math.min(start, data[0].x);
+        }
+    }
+    return start;
+}
+fitButton.onclick = function () {
+    var reaction = simulation.reactionList.filter(function (reaction) {
+        return reaction.name === fitReactionSelect.value;
+    })[0];
+    try {
+        if (reaction === undefined) {
+            throw new Error("No reaction selected");
+        }
+        var start = fitStartInput.value === "" ? getChartStartTime() : Number(fitStartInput.value);
+        var end = fitEndInput.value === "" ? simulation.time : Number(fitEndInput.value);
+        var analysis = simulation.analyzeWindow(reaction, start, end);
+        var rows = "";
+        for (var _i = 0, _a = analysis.reactants; _i < _a.length; _i++) {
+            var fit = _a[_i];
+            var species = simulation.getSpecies(fit.formula);
+            rows += "<tr>\n        <td>[".concat(species === null ? fit.formula : species.label, "]</td>\n        <td>").concat(formatRSquared(fit.rSquared[0]), "</td>\n        <td>").concat(formatRSquared(fit.rSquared[1]), "</td>\n        <td>").concat(formatRSquared(fit.rSquared[2]), "</td>\n        <td>").concat(fit.order, "</td>\n        <td>").concat(fit.rateConstant.toPrecision(3), "</td>\n        <td>").concat(isFinite(fit.halfLife) ? fit.halfLife.toFixed(2) : "∞", "</td>\n        <td>").concat(fit.initialRate.toPrecision(3), "</td>\n      </tr>");
+        }
+        fitTableBody.innerHTML = rows;
+        fitSummary.innerText = "".concat(analysis.points, " points from ").concat(analysis.start.toFixed(1), " s to ").concat(analysis.end.toFixed(1), " s, overall order ").concat(analysis.overallOrder)
+            + (reaction.reversible ? ", K from plateau: ".concat(formatQuotient(analysis.equilibriumConstant)) : "");
+        fitError.innerText = "";
+    }
+    catch (error) {
+        fitTableBody.innerHTML = "";
+        fitSummary.innerText = "";
+        fitError.innerText = error.message;
+    }
+};
+// ==== EXPORT AND SCENARIOS ===============================
+var exportCsvButton = document.getElementById("export-csv-button");
+var exportJsonButton = document.getElementById("export-json-button");
+var saveScenarioButton = document.getElementById("save-scenario-button");
+var loadScenarioButton = document.getElementById("load-scenario-button");
+var loadScenarioInput = document.getElementById("load-scenario-input");
+var scenarioError = document.getElementById("scenario-error");
+function downloadFile(filename, contents, type) {
+    var url = URL.createObjectURL(new Blob([contents], { type: type }));
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+exportCsvButton.onclick = function () {
+    downloadFile("concentrations.csv", simulation.getHistoryCSV(), "text/csv");
+};
+exportJsonButton.onclick = function () {
+    var data = {
+        species: simulation.speciesList.map(function (species) {
+            return species.formula;
+        }),
+        history: simulation.countHistory,
+        events: simulation.reactionEvents,
+    };
+    downloadFile("concentrations.json", JSON.stringify(data), "application/json");
+};
+saveScenarioButton.onclick = function () {
+    downloadFile("scenario.json", JSON.stringify(simulation.getScenario()), "application/json");
+};
+loadScenarioButton.onclick = function () {
+    loadScenarioInput.click();
+};
+loadScenarioInput.onchange = function () {
+    var file = loadScenarioInput.files[0];
+    if (!file) {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+        try {
+            loadSimulation(Simulation.fromScenario(JSON.parse(reader.result)));
+            scenarioError.innerText = "";
+        }
+        catch (error) {
+            scenarioError.innerText = "Could not load scenario: " + error.message;
+        }
+    };
+    reader.readAsText(file);
+    // Allow loading same file again
+    loadScenarioInput.value = "";
+};
+// Replaces simulation and rebuilds the UI that depends on it
+// Starts new run, recording from its current state
+function loadSimulation(newSimulation) {
+    liveSimulation = null;
+    recording.clear();
+    showSimulation(newSimulation);
+    recording.record(simulation);
+}
+// Switches UI to simulation, refilling chart from its history
+function showSimulation(newSimulation) {
+    simulation = newSimulation;
+    inspectedParticle = null;
+    flingParticle = null;
+    drawStart = null;
+    // Rebuild species sliders and chart series from scratch
+    speciesControls.innerHTML = "";
+    for (var formula in amountSliders) {
+        delete amountSliders[formula];
+        delete amountLabels[formula];
+    }
+    concentrationChart.data.datasets = [];
+    for (var formula in measuredDatasets) {
+        delete measuredDatasets[formula];
+    }
+    for (var formula in predictedDatasets) {
+        delete predictedDatasets[formula];
+    }
+    updateSpecies();
+    updateReactions();
+    thermostatSelect.value = simulation.thermostat;
+    couplingSlider.value = simulation.thermostatCoupling;
+    for (var _i = 0, _a = simulation.countHistory.slice(-CHART_DATASET_SIZE); _i < _a.length; _i++) {
+        var record = _a[_i];
+        addChartData(record);
+    }
+    updateUI();
+}
+// ==== PRESETS AND SHARING ===============================
+var SETUP_HASH_PREFIX = "#setup=";
+var presetSelect = document.getElementById("preset-select");
+var presetDescription = document.getElementById("preset-description");
+var shareButton = document.getElementById("share-button");
+var shareLinkInput = document.getElementById("share-link");
+PRESETS.forEach(function (preset, i) {
+    var option = document.createElement("option");
+    option.value = i.toString();
+    option.innerText = preset.name;
+    presetSelect.append(option);
+});
+presetDescription.innerText = PRESETS[0].description;
+presetSelect.onchange = function () {
+    var preset = PRESETS[Number(presetSelect.value)];
+    loadSimulation(Simulation.fromSetup(preset, CANVAS_DIMENSIONS));
+    presetDescription.innerText = preset.description;
+    scenarioError.innerText = "";
+};
+// Puts current setup in URL hash, so opening the link starts the same experiment
+shareButton.onclick = function () {
+    var preset = PRESETS[Number(presetSelect.value)];
+    var setup = simulation.getSetup(preset.name, presetDescription.innerText, Date.now());
+    history.replaceState(null, "", SETUP_HASH_PREFIX + encodeURIComponent(JSON.stringify(setup)));
+    shareLinkInput.value = location.href;
+    shareLinkInput.select();
+};
+// Loads setup from URL hash if there is one
+function loadSetupFromHash() {
+    if (location.hash.indexOf(SETUP_HASH_PREFIX) !== 0) {
+        return;
+    }
+    try {
+        var setup = JSON.parse(decodeURIComponent(location.hash.substring(SETUP_HASH_PREFIX.length)));
+        loadSimulation(Simulation.fromSetup(setup, CANVAS_DIMENSIONS));
+        presetDescription.innerText = setup.description;
+        scenarioError.innerText = "";
+    }
+    catch (error) {
+        scenarioError.innerText = "Could not load shared setup: " + error.message;
+    }
+}
+window.addEventListener("hashchange", loadSetupFromHash);
 // ==================================================================================================
 // ==== Testing: Graph ==============================================================================
 // ==================================================================================================
 var chartCtx = document.getElementById("concentration-chart");
+// Chart series for each species formula, measured and predicted by rate equations
+var measuredDatasets = {};
+var predictedDatasets = {};
 var config = {
     type: "line",
     data: {
-        labels: [],
-        datasets: [
-            {
-                label: "[A]",
-                borderColor: "rgb(75, 83, 192)",
-                pointRadius: 0,
-                data: [],
-            },
-            {
-                label: "[B]",
-                borderColor: "rgb(192, 75, 75)",
-                pointRadius: 0,
-                data: [],
-            },
-        ],
+        datasets: [],
     },
     options: {
         animation: {
             duration: 0
         },
         scales: {
+            x: {
+                type: "linear",
+                title: {
+                    display: true,
+                    text: "Time (s)"
+                }
+            },
             y: {
                 beginAtZero: true,
                 suggestedMax: 300
@@ -571,3 +1051,176 @@ var config = {
     }
 };
 var concentrationChart = new Chart(chartCtx, config);
+// ==== DISTRIBUTION CHART ===============================
+var distributionSelect = document.getElementById("distribution-select");
+var distributionCtx = document.getElementById("distribution-chart");
+var distributionChart = new Chart(distributionCtx, {
+    type: "line",
+    data: {
+        datasets: [],
+    },
+    options: {
+        animation: {
+            duration: 0
+        },
+        plugins: {
+            legend: {
+                labels: {
+                    // Marker lines are unlabelled
+                    filter: function (item) {
+                        return item.text !== "";
+                    }
+                }
+            }
+        },
+        scales: {
+            x: {
+                type: "linear",
+                min: 0,
+                title: {
+                    display: true,
+                    text: ""
+                }
+            },
+            y: {
+                beginAtZero: true,
+                title: {
+                    display: true,
+                    text: "Particles"
+                }
+            }
+        }
+    }
+});
+distributionSelect.onchange = updateDistributionChart;
+// Histogram of each species' energies or speeds, with Maxwell-Boltzmann curve at container temperature
+// In energy mode, each activation energy is marked and the area above it shaded
+function updateDistributionChart() {
+    var byEnergy = distributionSelect.value === "energy";
+    var temperature = simulation.temperature;
+    var datasets = [];
+    // Species with particles, and their values
+    var present = [];
+    var lightestMass = Infinity;
+    for (var _i = 0, _a = simulation.speciesList; _i < _a.length; _i++) {
+        var species = _a[_i];
+        var values = byEnergy ? simulation.getKineticEnergies(species.formula) : simulation.getSpeeds(species.formula);
+        if (values.length > 0) {
+            present.push({ species: species, values: values });
+            lightestMass = Math.min(lightestMass, species.mass);
+        }
+    }
+    // Activation energies of enabled reactions
+    var barriers = [];
+    for (var _b = 0, _c = simulation.reactionList; _b < _c.length; _b++) {
+        var reaction = _c[_b];
+        if (!reaction.enabled) {
+            continue;
+        }
+        // Spontaneous directions don't use their activation energy
+        if (reaction.fwdActivationEnergy > 0 && reaction.getSpontaneousRate("forward") === null) {
+            barriers.push({ label: "".concat(reaction.getFormula().trim(), " fwd"), energy: reaction.fwdActivationEnergy });
+        }
+        if (reaction.reversible && reaction.revActivationEnergy > 0 && reaction.getSpontaneousRate("reverse") === null) {
+            barriers.push({ label: "".concat(reaction.getFormula().trim(), " rev"), energy: reaction.revActivationEnergy });
+        }
+    }
+    if (present.length === 0 || temperature <= 0) {
+        distributionChart.data.datasets = [];
+        distributionChart.update();
+        return;
+    }
+    // Range covers nearly all particles, and every marked activation energy
+    var range = DISTRIBUTION_RANGE * temperature;
+    if (byEnergy) {
+        for (var _d = 0, barriers_1 = barriers; _d < barriers_1.length; _d++) {
+            var barrier = barriers_1[_d];
+            range = Math.max(range, barrier.energy * 1.2);
+        }
+    }
+    else {
+        range = Math.sqrt(2 * range * BOLTZMANN / lightestMass);
+    }
+    var binWidth = range / DISTRIBUTION_BINS;
+    for (var _e = 0, present_1 = present; _e < present_1.length; _e++) {
+        var entry = present_1[_e];
+        datasets.push({
+            label: "[".concat(entry.species.label, "]"),
+            borderColor: entry.species.color,
+            backgroundColor: entry.species.color,
+            stepped: "middle",
+            pointRadius: 0,
+            data: getHistogram(entry.values, binWidth, DISTRIBUTION_BINS).map(function (count, i) {
+                return { x: (i + 0.5) * binWidth, y: count };
+            }),
+        });
+    }
+    // Expected particles per bin, summed over species
+    var getExpected = function (x) {
+        var expected = 0;
+        for (var _i = 0, present_2 = present; _i < present_2.length; _i++) {
+            var entry = present_2[_i];
+            var density = byEnergy ? getEnergyDensity(x, temperature) : getSpeedDensity(x, entry.species.mass, temperature);
+            expected += entry.values.length * binWidth * density;
+        }
+        return expected;
+    };
+    var curve = [];
+    for (var i = 0; i <= CURVE_POINTS; i++) {
+        var x = i * range / CURVE_POINTS;
+        curve.push({ x: x, y: getExpected(x) });
+    }
+    datasets.push({
+        label: "Maxwell-Boltzmann (T = ".concat(temperature.toFixed(2), ")"),
+        borderColor: "black",
+        backgroundColor: "black",
+        borderWidth: 2,
+        pointRadius: 0,
+        data: curve,
+    });
+    if (byEnergy) {
+        var energies = simulation.getKineticEnergies();
+        var peak = 0;
+        for (var _f = 0, curve_1 = curve; _f < curve_1.length; _f++) {
+            var point = curve_1[_f];
+            peak = Math.max(peak, point.y);
+        }
+        var _loop_4 = function (barrier) {
+            var measured = energies.filter(function (energy) {
+                return energy >= barrier.energy;
+            }).length / energies.length;
+            var expected = getFractionAboveEnergy(barrier.energy, temperature);
+            // Shade under curve past barrier
+            var tail = [{ x: barrier.energy, y: getExpected(barrier.energy) }].concat(curve.filter(function (point) {
+                return point.x > barrier.energy;
+            }));
+            datasets.push({
+                label: "".concat(barrier.label, " Ea ").concat(barrier.energy, ": ").concat((measured * 100).toFixed(1), "% above (theory ").concat((expected * 100).toFixed(1), "%)"),
+                borderColor: "rgba(220, 0, 0, 0.6)",
+                backgroundColor: "rgba(220, 0, 0, 0.15)",
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: "origin",
+                data: tail,
+            });
+            datasets.push({
+                label: "",
+                borderColor: "rgba(220, 0, 0, 0.8)",
+                borderDash: [4, 4],
+                pointRadius: 0,
+                data: [{ x: barrier.energy, y: 0 }, { x: barrier.energy, y: peak }],
+            });
+        };
+        for (var _g = 0, barriers_2 = barriers; _g < barriers_2.length; _g++) {
+            var barrier = barriers_2[_g];
+            _loop_4(barrier);
+        }
+    }
+    distributionChart.options.scales.x.max = range;
+    distributionChart.options.scales.x.title.text = byEnergy ? "Kinetic energy (temperature units)" : "Speed (px/s)";
+    distributionChart.data.datasets = datasets;
+    distributionChart.update();
+}
+updateSpecies();
+updateReactions();
+loadSetupFromHash();
@@ -1,712 +1,1280 @@
 // ==================================================================================================
-// ==== Classes =====================================================================================
+// ==== Main Code ===================================================================================
 // ==================================================================================================
 
-type dimensions = {
-  height: number
-  width: number
-}
 
-type molFormula = {
-  formula: string
-  molCoeff: number
-}
+const canvas: any = document.getElementById("myCanvas");
+const ctx: any = canvas.getContext("2d");
 
-class Vector {
-  x: number;
-  y: number;
+const MAX_STEPS_PER_FRAME = 20; // Drops backlog instead of freezing if steps can't keep up
+const MAX_FRAME_TIME = 0.1; // Seconds, longer gaps (e.g. background tab) don't burst forward
+const CANVAS_DIMENSIONS: dimensions = canvas.getBoundingClientRect();
+const CHART_DATASET_SIZE = 200;
+const PREDICTION_TIME = CHART_DATASET_SIZE * TIMESTEP; // Seconds ahead rate equations predict, one chart window
+const PISTON_WIDTH = 6;
+const SPRAY_AMOUNT = 3; // Particles added per mouse move while spraying
+const MAX_FLING_SPEED = 2000; // px per second
+const FLING_HOLD_TIME = 100; // ms, flung particle is released still if mouse stopped this long before release
+const MIN_WALL_LENGTH = 5; // px, shorter drags don't add a wall
+const DISTRIBUTION_BINS = 30;
+const DISTRIBUTION_RANGE = 6; // Histogram covers energies up to this many times kT
+const CURVE_POINTS = 60; // Points plotted along Maxwell-Boltzmann curve
 
-  constructor(x: number = 1, y: number = 1) {
-    this.x = x;
-    this.y = y;
-  }
+// Simulation container parameters
+let containerPaused: boolean = true // Whether simulation is paused
+let simSpeed: number = 1 // Simulated seconds per real second
 
-  getCopy(): Vector {
-    return new Vector(this.x, this.y)
-  }
+// Starts with first preset, a shared setup in the URL replaces it once UI is ready
+let simulation = Simulation.fromSetup(PRESETS[0], CANVAS_DIMENSIONS)
 
-  getMagnitude(): number {
-    return Math.sqrt((this.x**2) + (this.y**2))
-  }
 
-  getScaled(scaler: number): Vector {
-    return new Vector(scaler * this.x, scaler * this.y)
-  }
 
-  getNeg(): Vector {
-    return this.getScaled(-1)
+// ==== FRAME UPDATE ===============================
+
+function drawFrame(): void {
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Draw particles, including ones queued or removed while paused
+  for (const particle of simulation.particleList.concat(simulation.particleCreationQueue)) {
+    if (particle.state !== "removed") {
+      particle.draw(ctx);
+    }
   }
 
-  getAddition(other: Vector): Vector {
-    return new Vector(this.x + other.x, this.y + other.y)
+  // Draw piston, shading space outside container
+  ctx.fillStyle = "rgba(0, 0, 0, 0.15)";
+  ctx.fillRect(simulation.pistonPos, 0, canvas.width - simulation.pistonPos, canvas.height);
+  ctx.fillStyle = "#555";
+  ctx.fillRect(simulation.pistonPos, 0, PISTON_WIDTH, canvas.height);
+
+  // Draw obstacles and walls, membranes dashed
+  ctx.fillStyle = "#888";
+  for (const obstacle of simulation.obstacles) {
+    ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+  }
+  for (const wall of simulation.walls) {
+    drawWall(wall.x1, wall.y1, wall.x2, wall.y2, wall.permeable.length > 0)
   }
 
-  getDifference(other: Vector): Vector {
-    return new Vector(other.x - this.x, other.y - this.y);
+  // Number compartments if walls split container
+  if (simulation.getCompartmentTotal() > 1) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+    ctx.font = "bold 24px Arial";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    simulation.getCompartmentCenters().forEach(function(center, i) {
+      ctx.fillText((i + 1).toString(), center.x, center.y)
+    })
   }
 
-  getNormalized(): Vector {
-    const mag = this.getMagnitude();
-  
-    // Return <0,0> if input is zero vector
-    if (mag === 0) {
-      return new Vector(0, 0);
+  // Preview of wall or obstacle being drawn
+  if (drawStart !== null && cursorPos !== null) {
+    if (toolSelect.value === "obstacle") {
+      ctx.fillStyle = "rgba(0, 0, 0, 0.2)";
+      ctx.fillRect(drawStart.x, drawStart.y, cursorPos.x - drawStart.x, cursorPos.y - drawStart.y);
+    }
+    else {
+      drawWall(drawStart.x, drawStart.y, cursorPos.x, cursorPos.y, toolSelect.value === "membrane")
     }
-  
-    return new Vector(this.x / mag, this.y / mag);
   }
 
-  // Input: angle in radians
-  getRotated(theta: number): Vector {
-    const x = this.x * Math.cos(theta) - this.y * Math.sin(theta);
-    const y = this.x * Math.sin(theta) + this.y * Math.cos(theta);
+  // Ring around inspected particle
+  if (inspectedParticle !== null && inspectedParticle.state !== "removed") {
+    ctx.beginPath();
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 2;
+    ctx.arc(inspectedParticle.pos.x, inspectedParticle.pos.y, inspectedParticle.radius + 4, 0, 2 * Math.PI);
+    ctx.stroke();
+  }
 
-    return new Vector(x, y);
+  // Brush outline for spray and eraser
+  if (cursorPos !== null && (toolSelect.value === "spray" || toolSelect.value === "erase")) {
+    ctx.beginPath();
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.4)";
+    ctx.lineWidth = 1;
+    ctx.arc(cursorPos.x, cursorPos.y, Number(brushSlider.value), 0, 2 * Math.PI);
+    ctx.stroke();
   }
 }
 
+function drawWall(x1: number, y1: number, x2: number, y2: number, isMembrane: boolean): void {
+  ctx.beginPath();
+  ctx.strokeStyle = isMembrane ? "#2a7" : "#333";
+  ctx.lineWidth = 4;
+  ctx.setLineDash(isMembrane ? [8, 6] : []);
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+function updateUI(): void {
+  // Update temperature slider value, and temperature measured from particles
+  tempSlider.value = simulation.temperature
+  tempDisplay.innerText = simulation.getKineticTemperature().toFixed(2)
 
-class Particle {
-  formula: string
-  color: string
-  radius: number
+  // Update pressure and volume
+  pressureDisplay.innerText = simulation.getPressure().toFixed(2)
+  volumeDisplay.innerText = simulation.getVolume().toFixed(1)
+  volumeSlider.value = simulation.pistonTarget / canvas.width * 100
 
-  pos: Vector
-  vel: Vector
+  updateInspector()
+  updateTimeline()
 
-  temperature: number
+  for (const species of simulation.speciesList) {
+    const formula = species.formula
+    const amount = simulation.countSpecies(formula)
 
-  state: "active" | "cooldown" | "removed" = "active";
-  cooldownDist: number = 0;
+    // Update concentration slider values (writen weird b/c amounts change too quickly)
+    const amountSlider = amountSliders[formula]
+    const diff = amountSlider.value - amount
+    const scaler = 0.08
 
-  constructor(formula: string, color: string, radius: number, pos: Vector, temperature: number, vel: Vector = new Vector(0, 0)) {
-    this.formula = formula
-    this.color = color
-    this.radius = radius
-    this.pos = pos
-    this.vel = vel
-    this.temperature = temperature
+    amountSlider.value -= bound(diff, -scaler*Math.abs(diff), scaler*Math.abs(diff))
+    amountLabels[formula].innerText = amount.toString()
   }
-  
-  // Changes temp of particle, while keeping speed-temp ratio constant
-  changeTemperature(temperature: number): void {
-    // Ignore if current temperature is 0 
-    if (this.temperature === 0) {
-      return
-    }
 
-    const speedScaler = this.vel.getMagnitude() / this.temperature
+  updateCompartmentPanel()
+  updateRatePanel()
+  updateDistributionChart()
+  concentrationChart.update()
+
+}
 
-    // Create velocity at new temp, with same speed variation as original
-    const newVel = this.vel.getNormalized().getScaled(speedScaler * temperature)
+// Adds recorded counts (of chosen compartment, or whole container) to chart, latest by default
+function addChartData(record: countRecord = simulation.countHistory[simulation.countHistory.length - 1]): void {
+  let windowStart = record.time
 
-    this.vel = newVel
-    this.temperature = temperature
+  const compartment = Number(compartmentSelect.value)
+  let counts = record.counts
+  if (compartment >= 0) {
+    counts = record.compartments !== undefined && compartment < record.compartments.length ? record.compartments[compartment] : {}
   }
 
-  update(canvas: dimensions): void {
-    const newVel: Vector = this.vel.getCopy()
-    const newPos: Vector = this.pos.getAddition(this.vel)
+  for (const species of simulation.speciesList) {
+    const dataset = measuredDatasets[species.formula]
 
-    // Keep particle in bounds
-    if (newPos.x - this.radius < 0) {
-      newPos.x = this.radius;
-      newVel.x *= -1;
-    }
-    if (newPos.x + this.radius > canvas.width) {
-      newPos.x = canvas.width - this.radius;
-      newVel.x *= -1;
-    }
-    if (newPos.y - this.radius < 0) {
-      newPos.y = this.radius;
-      newVel.y *= -1;
-    }
-    if (newPos.y + this.radius > canvas.height) {
-      newPos.y = canvas.height - this.radius;
-      newVel.y *= -1;
+    dataset.data.push({x: record.time, y: counts[species.formula] || 0})
+
+    if (dataset.data.length > CHART_DATASET_SIZE) {
+      dataset.data = dataset.data.slice(dataset.data.length - CHART_DATASET_SIZE)
     }
+    windowStart = Math.min(windowStart, dataset.data[0].x)
+  }
 
-    this.pos = newPos;
-    this.vel = newVel;
+  // Drop prediction points that scrolled out with the measured data
+  for (const formula in predictedDatasets) {
+    predictedDatasets[formula].data = predictedDatasets[formula].data.filter(function(point: {x: number, y: number}) {
+      return point.x >= windowStart
+    })
+  }
+}
+
+function stepSimulation(): void {
+  // Replays only step forward from snapshots, so the state after a user change has to be snapshotted before stepping on
+  if (liveSimulation === null && simulationChanged) {
+    recording.record(simulation, true)
+  }
+  simulationChanged = false
+
+  simulation.step(TIMESTEP)
+  addChartData()
+
+  // Record live run, replays rejoin it once they catch up
+  if (liveSimulation === null) {
+    recording.record(simulation)
+  }
+  else if (simulation.time >= liveSimulation.time - TIMESTEP / 2) {
+    returnToLive()
+  }
+}
+
+let lastFrameTime: number | null = null
+let timeAccumulator = 0 // Sim time owed to the simulation, run in fixed TIMESTEP steps
 
-    // Reduce cooldown distance
-    if (this.cooldownDist > 0) {
-      this.cooldownDist -= this.vel.getMagnitude();
+function updateFrame(frameTime: number): void {
+  const elapsed = lastFrameTime === null ? 0 : (frameTime - lastFrameTime) / 1000
+  lastFrameTime = frameTime
+
+  if (!containerPaused) {
+    timeAccumulator += Math.min(elapsed, MAX_FRAME_TIME) * simSpeed
+
+    let steps = 0
+    while (timeAccumulator >= TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+      stepSimulation()
+      timeAccumulator -= TIMESTEP
+      steps++
     }
 
-    // Set active if cooldown ends
-    if (this.cooldownDist <= 0 || this.state === "active") {
-      this.cooldownDist = 0;
-      this.state = "active"
+    // Can't keep up, drop the rest
+    if (steps === MAX_STEPS_PER_FRAME) {
+      timeAccumulator = 0
     }
+
+    updateUI()
   }
 
-  draw(context: any) {
-    context.beginPath();
+  drawFrame()
+  requestAnimationFrame(updateFrame)
+}
 
-    // Draw Circle
-    context.fillStyle = this.color;
-    context.arc(this.pos.x, this.pos.y, this.radius, 0, 2 * Math.PI);
-    context.font = "14px Arial";
-    context.fill();
+requestAnimationFrame(updateFrame)
 
-    // Draw Formula
-    context.textBaseline = "middle";
-    context.textAlign = "center";
-    context.fillStyle = "white";
 
-    context.fillText(this.formula, this.pos.x, this.pos.y)
+function getCursorPosition(event: any): Vector {
+  const x = event.clientX - canvas.getBoundingClientRect().left;
+  const y = event.clientY - canvas.getBoundingClientRect().top;
+  return new Vector(x, y);
+}
+
+// ==== TOOL PALETTE ===============================
+
+const toolSelect: any = document.getElementById("tool-select");
+const toolSpeciesSelect: any = document.getElementById("tool-species-select");
+const brushSlider: any = document.getElementById("brush-slider");
+const inspectorDisplay: any = document.getElementById("inspector-display");
+const membraneInput: any = document.getElementById("membrane-input");
+const clearWallsButton: any = document.getElementById("clear-walls-button");
+
+let draggingPiston = false
+let brushActive = false // Mouse held with spray or eraser
+let cursorPos: Vector | null = null // Null when cursor is off canvas
+
+let inspectedParticle: Particle | null = null
+let drawStart: Vector | null = null // Start of wall or obstacle being drawn
+
+// Particle being dragged, and cursor movement used for its release velocity
+let flingParticle: Particle | null = null
+let flingPos = new Vector(0, 0)
+let flingTime = 0
+let flingVel = new Vector(0, 0)
+
+// Keeps species choices in sync with species list, preserving selection
+function updateToolSpeciesSelect(): void {
+  const selected = toolSpeciesSelect.value
+
+  toolSpeciesSelect.innerHTML = ""
+  for (const species of simulation.speciesList) {
+    const option = document.createElement("option")
+    option.value = species.formula
+    option.innerText = species.label
+    toolSpeciesSelect.append(option)
+  }
+
+  if (selected !== "" && simulation.getSpecies(selected) !== null) {
+    toolSpeciesSelect.value = selected
   }
 }
 
+function updateInspector(): void {
+  if (inspectedParticle === null) {
+    inspectorDisplay.innerText = ""
+    return
+  }
 
-class Reaction {
-  name: string
-  reactants: molFormula[]
-  products: molFormula[]
+  const particle = inspectedParticle
+  if (particle.state === "removed") {
+    inspectorDisplay.innerText = `${particle.formula}: removed (reacted or erased)`
+    return
+  }
 
-  reversible: boolean
+  inspectorDisplay.innerText = `${particle.formula}: speed ${particle.vel.getMagnitude().toFixed(1)} px/s, `
+    + `energy ${(particle.getKineticEnergy() / BOLTZMANN).toFixed(2)}, state ${particle.state}`
+    + (particle.state === "cooldown" ? ` (${particle.cooldownDist.toFixed(1)} px left)` : "")
+}
 
-  constructor(name: string, reactantList: molFormula[], productsList: molFormula[], isReversible: boolean = false) {
-    this.name = name
-    this.reactants = reactantList
-    this.products = productsList
+// Applies spray or eraser at pos
+function useBrush(pos: Vector): void {
+  const radius = Number(brushSlider.value)
 
-    this.reversible = isReversible
+  if (toolSelect.value === "spray") {
+    simulation.sprayParticles(toolSpeciesSelect.value, pos, radius, SPRAY_AMOUNT)
   }
+  else if (toolSelect.value === "erase") {
+    simulation.eraseParticles(pos, radius)
+  }
+}
 
-  getFormula(): string {
-    let output = "";
-
-    // Reactants
-    for (const reactant of this.reactants) {
-      output += reactant.molCoeff.toString() + reactant.formula + " + ";
-    }
+canvas.addEventListener("mousedown", function (e) {
+  const mousePos = getCursorPosition(e);
 
-    // Single/double arrow
-    output = output.substring(0, output.length-2);
-    if (this.reversible) {
-      output += "-> ";
-    }
-    else {
-      output += "<=> "
-    }
+  // Drag piston if clicked near it, instead of using tool
+  if (Math.abs(mousePos.x - simulation.pistonPos) < 2 * PISTON_WIDTH) {
+    draggingPiston = true
+    return
+  }
 
-    // Products
-    for (const product of this.products) {
-      output += product.molCoeff.toString() + product.formula + " + ";
-    }
+  const tool = toolSelect.value
 
-    return output.substring(0, output.length-2);
+  if (tool === "spawn") {
+    simulation.sprayParticles(toolSpeciesSelect.value, mousePos, 0, 1)
+    markSimulationChanged()
+  }
+  else if (tool === "spray" || tool === "erase") {
+    brushActive = true
+    useBrush(mousePos)
   }
+  else if (tool === "wall" || tool === "membrane" || tool === "obstacle") {
+    drawStart = mousePos
+  }
+  else if (tool === "inspect") {
+    inspectedParticle = simulation.getParticleAt(mousePos)
+    flingParticle = inspectedParticle
+    flingPos = mousePos
+    flingTime = performance.now()
+    flingVel = new Vector(0, 0)
+    updateInspector()
+  }
+});
 
 
-  // Returns list of consumed particles if rxn successful, returns null if unsuccessful
-  getFwdConsumedParticles(intersectingParticles: Particle[]): null | Particle[] {
-    const consumedParticles: Particle[] = [];
 
-    for (const molFormula of this.reactants) {
-      const formula = molFormula.formula;
-      const minAmount = molFormula.molCoeff;
+canvas.addEventListener("mousemove", function (e) {
+  const mousePos = getCursorPosition(e);
+  cursorPos = mousePos
 
-      // List of particles that are available and has correct formula
-      const matchingParticles = intersectingParticles.filter(function(particle) {
-        return (particle.state === "active" && particle.formula === formula)
-      })
+  if (draggingPiston) {
+    simulation.setVolume(mousePos.x * canvas.height / AREA_UNIT)
+  }
 
-      // Return false if not enough of species
-      if (matchingParticles.length < minAmount) {
-        return null
-      }
-      
-      // Consume proper amount of particles
-      consumedParticles.push(...intersectingParticles.splice(0, minAmount))
+  if (brushActive) {
+    useBrush(mousePos)
+  }
+
+  // Carry particle with cursor, holding it still so it doesn't drift away
+  if (flingParticle !== null) {
+    const now = performance.now()
+    if (now > flingTime) {
+      flingVel = flingPos.getDifference(mousePos).getScaled(1000 / (now - flingTime))
     }
+    flingPos = mousePos
+    flingTime = now
 
-    return consumedParticles
+    flingParticle.pos = new Vector(bound(mousePos.x, 0, simulation.pistonPos), bound(mousePos.y, 0, canvas.height))
+    flingParticle.vel = new Vector(0, 0)
   }
+});
 
-  getFwdProducedParticles(reactionLocation: Vector, temperature: number): Particle[] {
-    const producedParticles: Particle[] = []
-
-    for (const molFormula of this.products) {
-      const formula = molFormula.formula;
-      const coeff = molFormula.molCoeff;
+canvas.addEventListener("mouseleave", function () {
+  cursorPos = null
+});
 
-      for (let i = 0; i < coeff; i++) {
-        producedParticles.push(createParticle(formula, reactionLocation, temperature, COOLDOWN_DIST))
-      }
-    }
+// Adds wall, membrane or obstacle dragged out from start to end
+function addDrawnWall(start: Vector, end: Vector): void {
+  if (getDist(start, end) < MIN_WALL_LENGTH) {
+    return
+  }
 
-    return producedParticles
+  if (toolSelect.value === "obstacle") {
+    simulation.addObstacle({
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y),
+    })
+    markSimulationChanged()
+    return
   }
 
-  // Returns list of consumed particles if rxn successful, returns null if unsuccessful
-  getRevConsumedParticles(intersectingParticles: Particle[]): null | Particle[] {
-    const consumedParticles: Particle[] = [];
+  // Membrane passes species listed like "A, B"
+  const permeable = toolSelect.value === "membrane" ? membraneInput.value.split(",").map(function(formula: string) {
+    return formula.trim()
+  }).filter(function(formula: string) {
+    return formula !== ""
+  }) : []
 
-    for (const molFormula of this.products) {
-      const formula = molFormula.formula;
-      const minAmount = molFormula.molCoeff;
+  simulation.addWall({x1: start.x, y1: start.y, x2: end.x, y2: end.y, permeable: permeable})
+  markSimulationChanged()
+}
 
-      // List of particles that are available and has correct formula
-      const matchingParticles = intersectingParticles.filter(function(particle) {
-        return (particle.state === "active" && particle.formula === formula)
-      })
+window.addEventListener("mouseup", function (e) {
+  if (draggingPiston || brushActive || flingParticle !== null) {
+    markSimulationChanged()
+  }
+  draggingPiston = false
+  brushActive = false
 
-      // Return false if not enough of species
-      if (matchingParticles.length < minAmount) {
-        return null
-      }
-      
-      // Consume proper amount of particles
-      consumedParticles.push(...intersectingParticles.splice(0, minAmount))
-    }
+  if (drawStart !== null) {
+    const mousePos = getCursorPosition(e)
+    addDrawnWall(drawStart, new Vector(bound(mousePos.x, 0, canvas.width), bound(mousePos.y, 0, canvas.height)))
+    drawStart = null
+  }
 
-    return consumedParticles
+  // Release dragged particle at cursor velocity, only if cursor was still moving
+  if (flingParticle !== null) {
+    if (performance.now() - flingTime < FLING_HOLD_TIME && flingVel.getMagnitude() > 0) {
+      flingParticle.vel = flingVel.getScaled(Math.min(1, MAX_FLING_SPEED / flingVel.getMagnitude()))
+    }
+    flingParticle = null
+    updateInspector()
   }
+});
 
-  getRevProducedParticles(reactionLocation: Vector, temperature: number): Particle[] {
-    const producedParticles: Particle[] = []
 
-    for (const molFormula of this.reactants) {
-      const formula = molFormula.formula;
-      const coeff = molFormula.molCoeff;
 
-      for (let i = 0; i < coeff; i++) {
-        producedParticles.push(createParticle(formula, reactionLocation, temperature, COOLDOWN_DIST))
-      }
+// ==================================================================================================
+// ==== Testing =====================================================================================
+// ==================================================================================================
+
+
+// ==== TEMPERATURE SLIDER ===============================
+
+const tempSlider: any = document.getElementById("temp-slider");
+const tempDisplay: any = document.getElementById("temp-display");
+
+tempSlider.oninput = function() {
+  const newTemp = Number((this as any).value)
+
+  simulation.changeTemperature(newTemp)
+}
+tempSlider.onchange = markSimulationChanged
+
+// ==== THERMOSTAT ===============================
+
+const thermostatSelect: any = document.getElementById("thermostat-select");
+const couplingSlider: any = document.getElementById("coupling-slider");
+
+thermostatSelect.value = simulation.thermostat
+couplingSlider.value = simulation.thermostatCoupling
+
+thermostatSelect.onchange = function() {
+  simulation.thermostat = thermostatSelect.value
+  markSimulationChanged()
+}
+
+couplingSlider.oninput = function() {
+  simulation.thermostatCoupling = Number(couplingSlider.value)
+}
+couplingSlider.onchange = markSimulationChanged
+
+// ==== VOLUME SLIDER ===============================
+
+const volumeSlider: any = document.getElementById("volume-slider");
+const volumeDisplay: any = document.getElementById("volume-display");
+const pressureDisplay: any = document.getElementById("pressure-display");
+
+// Slider is percent of full canvas width
+volumeSlider.min = MIN_PISTON_POS / canvas.width * 100
+
+volumeSlider.oninput = function() {
+  simulation.setVolume(Number(volumeSlider.value) / 100 * canvas.width * canvas.height / AREA_UNIT)
+}
+volumeSlider.onchange = markSimulationChanged
+
+// ==== CONCENTRATION SLIDERS ===============================
+
+const speciesControls: any = document.getElementById("species-controls");
+
+// Slider and live count elements for each species formula
+const amountSliders: {[key: string]: any} = {};
+const amountLabels: {[key: string]: any} = {};
+
+// Adds slider for every registered species that doesn't have one yet
+function updateSpeciesControls(): void {
+  for (const species of simulation.speciesList) {
+    const formula = species.formula
+
+    if (formula in amountSliders) {
+      continue
     }
 
-    return producedParticles
-  }
+    const amount = simulation.countSpecies(formula)
 
+    const heading = document.createElement("h3")
+    heading.innerText = `Concentration of ${species.label}: `
+    heading.style.color = species.color
 
-  // Attepts both fwd and rev rxns, returns products if successful
-  attemptReaction(intersectingParticles: Particle[], particleCreationQueue: Particle[], temperature: number): boolean {
+    const amountLabel = document.createElement("span")
+    amountLabel.innerText = amount.toString()
+    heading.append(amountLabel)
 
-    // Attempt forward reaction
-    const fwdConsumed = this.getFwdConsumedParticles(intersectingParticles)
-    if (fwdConsumed !== null) {
-      // Remove consumed particles      
-      removeParticles(fwdConsumed)
+    const amountSlider = document.createElement("input")
+    amountSlider.className = "slider"
+    amountSlider.type = "range"
+    amountSlider.min = "0"
+    amountSlider.max = "200"
+    amountSlider.step = "0.1"
+    amountSlider.value = amount.toString()
 
-      // Add produced particles
-      particleCreationQueue.push(...this.getFwdProducedParticles(getAvgPos(fwdConsumed), temperature))
+    amountSlider.oninput = function() {
+      const newAmount = Math.round(Number(amountSlider.value))
 
-      return true
+      simulation.changeConcentration(newAmount, formula)
     }
+    amountSlider.onchange = markSimulationChanged
 
-    // Attempt reverse reaction if reversible (fwd failed)
-    const revConsumed = this.getRevConsumedParticles(intersectingParticles)
-    if (this.reversible && revConsumed !== null) {
-      // Remove consumed particles      
-      removeParticles(revConsumed)
+    // Mass and radius inputs, changes apply to existing particles too
+    const propertyInputs = document.createElement("div")
+    propertyInputs.append(
+      createSpeciesPropertyInput(species, "Mass", "mass", 0.1),
+      createSpeciesPropertyInput(species, "Radius", "radius", 1),
+    )
 
-      // Add produced particles
-      particleCreationQueue.push(...this.getRevProducedParticles(getAvgPos(revConsumed), temperature))
+    speciesControls.append(heading, amountSlider, propertyInputs)
+
+    amountSliders[formula] = amountSlider
+    amountLabels[formula] = amountLabel
+  }
+}
 
-      return true
+function createSpeciesPropertyInput(species: species, name: string, property: "mass" | "radius", step: number): HTMLElement {
+  const label = document.createElement("label")
+  label.className = "property-input"
+  label.innerText = name + " "
+
+  const input = document.createElement("input")
+  input.className = "number-input"
+  input.type = "number"
+  input.min = step.toString()
+  input.step = step.toString()
+  input.value = species[property].toString()
+
+  input.onchange = function() {
+    const value = Number(input.value)
+
+    // Ignore invalid values
+    if (!(value > 0)) {
+      input.value = species[property].toString()
+      return
     }
 
-    return false
+    species[property] = value
+    for (const particle of simulation.particleList.concat(simulation.particleCreationQueue)) {
+      if (particle.formula === species.formula) {
+        particle[property] = value
+      }
+    }
+    markSimulationChanged()
   }
 
+  label.append(input)
+  return label
 }
 
-// ==== MATH FUNCTIONS ==================================
+// Adds chart series for every registered species that doesn't have one yet
+function updateSpeciesDatasets(): void {
+  for (const species of simulation.speciesList) {
+    if (species.formula in measuredDatasets) {
+      continue
+    }
+
+    const dataset = {
+      label: `[${species.label}]`,
+      borderColor: species.color,
+      backgroundColor: species.color,
+      pointRadius: 0,
+      data: [],
+    }
 
-function getDist(pos1: Vector, pos2: Vector): number {
-  return Math.sqrt((pos1.x - pos2.x)**2 + (pos1.y - pos2.y)**2);
+    concentrationChart.data.datasets.push(dataset)
+    measuredDatasets[species.formula] = dataset
+  }
+
+  concentrationChart.update()
 }
 
-function getRandFloat(min: number, max: number) {
-  return Math.random() * (max - min) + min;
+// Makes newly registered species appear in sliders and chart
+function updateSpecies(): void {
+  updateSpeciesControls()
+  updateSpeciesDatasets()
+  updateToolSpeciesSelect()
 }
 
-// Random integer from min to max inclusive
-function getRandInt(min: number, max: number) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+// ==== PAUSE BUTTON ===============================
+
+const pauseButton: any = document.getElementById("pause-button");
+
+pauseButton.onclick = function() {
+  if (containerPaused) {
+    containerPaused = false
+    pauseButton.innerText = "Pause"
+  }
+  else {
+    containerPaused = true
+    pauseButton.innerText = "Unpause"
+  }
 }
 
-function getCursorPosition(event: any): Vector {
-  const x = event.clientX - canvas.getBoundingClientRect().left;
-  const y = event.clientY - canvas.getBoundingClientRect().top;
-  return new Vector(x, y);
+// ==== TIMELINE ===============================
+
+const timelineSlider: any = document.getElementById("timeline-slider");
+const timelineDisplay: any = document.getElementById("timeline-display");
+const liveButton: any = document.getElementById("live-button");
+const branchButton: any = document.getElementById("branch-button");
+const recordIntervalInput: any = document.getElementById("record-interval-input");
+
+let recording = new Recording()
+let liveSimulation: Simulation | null = null // Latest run while viewing the past, null when live
+let simulationChanged = false // Set when the user changes the simulation, cleared by the next step
+
+// Called by every control that changes the simulation, drags only call it once they end so they take one snapshot
+function markSimulationChanged(): void {
+  simulationChanged = true
 }
 
-function bound(value: number, min: number, max: number): number {
-  return Math.max(Math.min(value, max), min)
+recording.record(simulation)
+timelineSlider.step = TIMESTEP
+recordIntervalInput.value = recording.interval
+
+function updateTimeline(): void {
+  const endTime = (liveSimulation === null ? simulation : liveSimulation).time
+
+  timelineSlider.min = recording.getStartTime()
+  timelineSlider.max = endTime
+  timelineSlider.value = simulation.time
+  timelineDisplay.innerText = `${simulation.time.toFixed(2)} s` + (liveSimulation === null ? "" : ` of ${endTime.toFixed(2)} s (replay)`)
 }
 
+// Shows run as it was at time, paused, keeping live run to return to
+function viewTime(time: number): void {
+  if (liveSimulation === null) {
+    liveSimulation = simulation
+  }
+  if (time >= liveSimulation.time - TIMESTEP / 2) {
+    returnToLive()
+    return
+  }
 
-// ==== SIM FUNCTIONS ==================================
+  const pastSimulation = recording.getSimulationAt(time)
+  pastSimulation.copyHistory(liveSimulation, pastSimulation.time)
 
-function getParticleColor(formula: string): string {
-  const COLOR_MAP = formulaColorMap;
-  const DEFAULT = "black";
+  containerPaused = true
+  pauseButton.innerText = "Unpause"
+  showSimulation(pastSimulation)
+}
 
-  if (formula in COLOR_MAP) {
-    return COLOR_MAP[formula];
+function returnToLive(): void {
+  if (liveSimulation === null) {
+    return
   }
-  return DEFAULT;
+
+  const live = liveSimulation
+  liveSimulation = null
+  showSimulation(live)
 }
 
-function getRandPos(dimensions: dimensions): Vector {
-  return new Vector(getRandInt(0, dimensions.width), getRandInt(0, dimensions.height))
+timelineSlider.oninput = function() {
+  try {
+    viewTime(Number(timelineSlider.value))
+  }
+  catch (error: any) {
+    timelineDisplay.innerText = error.message
+  }
 }
 
-function createParticle(formula: string, pos: Vector, temperature: number, cooldownDist: number = 0): Particle {
-  const speedVec = new Vector(temperature, 0)
-  const speedScaler = getRandFloat(1 - MAX_SPEED_SCALER, 1 + MAX_SPEED_SCALER) // Randomize speed
-  const angle = getRandFloat(0, 2*Math.PI)
+liveButton.onclick = returnToLive
 
-  const particle = new Particle(formula, getParticleColor(formula), RADIUS, pos, temperature, speedVec.getScaled(speedScaler).getRotated(angle))
-  if (cooldownDist !== 0) {
-    particle.state = "cooldown"
-    particle.cooldownDist = cooldownDist  
+// Past state becomes the live run, dropping everything recorded after it
+branchButton.onclick = function() {
+  if (liveSimulation === null) {
+    return
   }
 
-  return particle
+  recording.truncate(simulation.time)
+  liveSimulation = null
+  updateTimeline()
 }
 
-// Sets list of particles as "removed" state
-function removeParticles(particles: Particle[]): void {
-  for (const particle of particles) {
-    particle.state = "removed"
-  }
+recordIntervalInput.onchange = function() {
+  recording.interval = Math.max(TIMESTEP, Number(recordIntervalInput.value))
+  recordIntervalInput.value = recording.interval
 }
 
+// ==== STEP BUTTON ===============================
 
-// BUG: VERY INACCURATE, many "removed particles" make it past filter
-function changeConcentration(targetAmount: number, formula: string): void {
-  const speciesParticles = particleList.filter(function(particle) {
-    return (particle.state !== "removed" && particle.formula === formula)
-  })
+const stepButton: any = document.getElementById("step-button");
 
-  // If already have target number of species particles
-  if (speciesParticles.length === targetAmount) {
+// Advances one timestep, only while paused
+stepButton.onclick = function() {
+  if (!containerPaused) {
     return
   }
 
-  // If have more than target number of species particles, remove particles until equal
-  while (speciesParticles.length > targetAmount) {
-    speciesParticles[0].state = "removed"
-    speciesParticles.shift()
-  }
+  stepSimulation()
+  updateUI()
+}
 
-  // If have less than target number of species particles, add particles until equal
-  while (speciesParticles.length < targetAmount) {
-    const particle = createParticle(formula, getRandPos(CANVAS_DIMENSIONS), containerTemperature)
+// ==== SPEED SLIDER ===============================
 
-    // Add new particle to creation queue
-    speciesParticles.push(particle)
-    particleCreationQueue.push(particle)
-  }
+const speedSlider: any = document.getElementById("speed-slider");
+const speedDisplay: any = document.getElementById("speed-display");
+
+// Slider is log10 of speed, so 0.1x to 10x
+speedSlider.oninput = function() {
+  simSpeed = 10 ** Number(speedSlider.value)
+  speedDisplay.innerText = simSpeed.toFixed(1) + "×"
 }
 
-function changeTemperature(particles: Particle[], temperature: number): void {
-  containerTemperature = temperature;
-  for (const particle of particles) {
-    particle.changeTemperature(temperature)
+// ==== CLEAR GRAPH BUTTON ===============================
+
+const clearGraphButton: any = document.getElementById("clear-graph-button");
+
+function clearGraph(): void {
+  for (const dataset of concentrationChart.data.datasets) {
+    dataset.data = []
   }
+  concentrationChart.update()
 }
 
-function getAvgPos(particles: Particle[]): Vector {
-  const length = particles.length
+clearGraphButton.onclick = clearGraph
 
-  // Return zero vector if list has no particles
-  if (length === 0) {
-    return new Vector(0, 0)
-  }
+// ==== COMPARTMENTS ===============================
 
-  let totalX = 0
-  let totalY = 0
+const compartmentSelect: any = document.getElementById("compartment-select");
+const compartmentTable: any = document.getElementById("compartment-table");
 
-  for (const particle of particles) {
-    totalX += particle.pos.x
-    totalY += particle.pos.y
-  }
+// Graph restarts when switching compartment, since history shown so far was of another one
+compartmentSelect.onchange = clearGraph
 
-  return new Vector(totalX / length, totalY / length)
+clearWallsButton.onclick = function() {
+  simulation.clearWalls()
+  markSimulationChanged()
 }
 
-function countSpecies(particles: Particle[], formula: string): number {
-  let count = 0
-  for (const particle of particles) {
-    if (particle.state !== "removed" && particle.formula === formula) {
-      count += 1
+// Compartment choices for chart and table of counts in each, only shown once walls split container
+function updateCompartmentPanel(): void {
+  const total = simulation.getCompartmentTotal()
+
+  // Options are "All" then one per compartment
+  if (compartmentSelect.options.length !== total + 1) {
+    const selected = Number(compartmentSelect.value)
+
+    compartmentSelect.innerHTML = `<option value="-1">All</option>`
+    for (let i = 0; i < total; i++) {
+      compartmentSelect.innerHTML += `<option value="${i}">Compartment ${i + 1}</option>`
     }
+
+    compartmentSelect.value = selected < total ? selected.toString() : "-1"
   }
 
-  return count
+  if (total === 1) {
+    compartmentTable.innerHTML = ""
+    return
+  }
+
+  let rows = "<tr><th>Compartment</th>"
+  for (const species of simulation.speciesList) {
+    rows += `<th>${species.label}</th>`
+  }
+  rows += "</tr>"
+
+  simulation.getCompartmentCounts().forEach(function(counts, i) {
+    rows += `<tr><td>${i + 1}</td>`
+    for (const species of simulation.speciesList) {
+      rows += `<td>${counts[species.formula]}</td>`
+    }
+    rows += "</tr>"
+  })
+
+  compartmentTable.innerHTML = rows
 }
 
-// ==== TESTING FUNCTIONS ==================================
+// ==== PREDICTION BUTTON ===============================
 
-function getAvgSpeed(particles: Particle[]): number {
-  let totalSpeed = 0;
-  for (const particle of particles) {
-    totalSpeed += particle.vel.getMagnitude()
+const predictButton: any = document.getElementById("predict-button");
+
+// Plots rate equation prediction from current counts as dashed lines
+predictButton.onclick = function() {
+  const prediction = simulation.predictCounts(PREDICTION_TIME)
+
+  for (const species of simulation.speciesList) {
+    const formula = species.formula
+
+    if (!(formula in predictedDatasets)) {
+      predictedDatasets[formula] = {
+        label: `[${species.label}] predicted`,
+        borderColor: species.color,
+        backgroundColor: species.color,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        data: [],
+      }
+      concentrationChart.data.datasets.push(predictedDatasets[formula])
+    }
+
+    predictedDatasets[formula].data = prediction.map(function(record) {
+      return {x: record.time, y: record.counts[formula] || 0}
+    })
   }
 
-  return totalSpeed/particles.length
+  concentrationChart.update()
 }
 
 
 
-// ==================================================================================================
-// ==== Main Code ===================================================================================
-// ==================================================================================================
+// ==== REACTION EDITOR ===============================
 
+const reactionInput: any = document.getElementById("reaction-input");
+const fwdEnergyInput: any = document.getElementById("fwd-energy-input");
+const revEnergyInput: any = document.getElementById("rev-energy-input");
+const enthalpyInput: any = document.getElementById("enthalpy-input");
+const mechanismInput: any = document.getElementById("mechanism-input");
+const addReactionButton: any = document.getElementById("add-reaction-button");
+const reactionError: any = document.getElementById("reaction-error");
+const reactionListElement: any = document.getElementById("reaction-list");
+const mechanismListElement: any = document.getElementById("mechanism-list");
 
-const canvas: any = document.getElementById("myCanvas");
-const ctx: any = canvas.getContext("2d");
+function updateReactionList(): void {
+  reactionListElement.innerHTML = ""
 
-const FPS: number = 30;
-const CANVAS_DIMENSIONS: dimensions = canvas.getBoundingClientRect();
-const CHART_DATASET_SIZE = 200;
+  for (const reaction of simulation.reactionList) {
+    const item = document.createElement("li")
+
+    // Enable/disable checkbox
+    const checkbox = document.createElement("input")
+    checkbox.type = "checkbox"
+    checkbox.checked = reaction.enabled
+    checkbox.onchange = function() {
+      reaction.enabled = checkbox.checked
+      markSimulationChanged()
+    }
 
-// ==== CONSTANTS ==================================
+    const label = document.createElement("span")
+    label.innerText = `${reaction.getFormula()}  (Ea: ${reaction.fwdActivationEnergy}` + (reaction.reversible ? ` / ${reaction.revActivationEnergy}` : "") + `, ΔH: ${reaction.enthalpy})`
+      + (reaction.mechanism === "" ? "" : `  [${reaction.mechanism}]`)
 
-const RADIUS = 10;
-const COOLDOWN_DIST = 2*RADIUS;
-const MAX_SPEED_SCALER = 0.5; // Between 0 (0 variation), and 1 (100% variation)
+    // Rate constants for prediction, blank to fit
+    const rateInputs = document.createElement("span")
+    rateInputs.append(createRateConstantInput(reaction, "kf", "fwdRateConstant"))
+    if (reaction.reversible) {
+      rateInputs.append(createRateConstantInput(reaction, "kr", "revRateConstant"))
+    }
+
+    // Half-lives for spontaneous unimolecular directions, blank to react on collision
+    if (reaction.isUnimolecular("forward")) {
+      rateInputs.append(createHalfLifeInput(reaction, "forward"))
+    }
+    if (reaction.reversible && reaction.isUnimolecular("reverse")) {
+      rateInputs.append(createHalfLifeInput(reaction, "reverse"))
+    }
 
-// For color and formula name reference
-const formulaColorMap: {[key: string]: string} = {
-  A: "blue",
-  B: "red",
-  C: "orange"
+    // Delete button
+    const deleteButton = document.createElement("button")
+    deleteButton.className = "button small-button"
+    deleteButton.innerText = "Delete"
+    deleteButton.onclick = function() {
+      simulation.reactionList.splice(simulation.reactionList.indexOf(reaction), 1)
+      markSimulationChanged()
+      updateReactions()
+    }
+
+    item.append(checkbox, label, rateInputs, deleteButton)
+    reactionListElement.append(item)
+  }
 }
 
-// Others
-const particleList: Particle[] = [];
-const particleCreationQueue: Particle[] = []; // Particles waiting to be added
-const reactionList: Reaction[] = [];
+function createRateConstantInput(reaction: Reaction, name: string, property: "fwdRateConstant" | "revRateConstant"): HTMLElement {
+  const label = document.createElement("label")
+  label.className = "property-input"
+  label.innerText = " " + name + " "
+
+  const input = document.createElement("input")
+  input.className = "number-input"
+  input.type = "number"
+  input.min = "0"
+  input.placeholder = "fit"
+  input.value = reaction[property] === null ? "" : String(reaction[property])
+
+  input.onchange = function() {
+    reaction[property] = input.value === "" ? null : Math.max(0, Number(input.value))
+    markSimulationChanged()
+  }
 
-// Simulation container parameters
-let containerPaused: boolean = true // Whether simulation is paused
-let containerTemperature: number = 2 // Avg speed
+  label.append(input)
+  return label
+}
 
+function createHalfLifeInput(reaction: Reaction, direction: reactionDirection): HTMLElement {
+  const label = document.createElement("label")
+  label.className = "property-input"
+  label.innerText = direction === "forward" ? " fwd t½ " : " rev t½ "
+
+  const input = document.createElement("input")
+  input.className = "number-input"
+  input.type = "number"
+  input.min = "0"
+  input.step = "0.1"
+  input.placeholder = "collide"
+
+  const rate = reaction.getSpontaneousRate(direction)
+  input.value = rate === null ? "" : (Math.LN2 / rate).toPrecision(3)
+
+  input.onchange = function() {
+    try {
+      reaction.setSpontaneousRate(direction, input.value === "" ? null : getRateFromHalfLife(Number(input.value)))
+      markSimulationChanged()
+      reactionError.innerText = ""
+    }
+    catch (error: any) {
+      reactionError.innerText = error.message
+    }
+  }
 
-for (let i = 0; i < 10; i++) {
-  particleList.push(createParticle("A", new Vector(400, 400), containerTemperature))
+  label.append(input)
+  return label
 }
 
-reactionList.push(new Reaction("rxn1", [{formula: "A", molCoeff: 2}], [{formula: "B", molCoeff: 2}], true))
+addReactionButton.onclick = function() {
+  try {
+    const reaction = parseReaction(simulation.getUnusedReactionName(), reactionInput.value, Number(fwdEnergyInput.value), Number(revEnergyInput.value), Number(enthalpyInput.value))
+    reaction.mechanism = mechanismInput.value.trim()
 
+    if (simulation.addReaction(reaction)) {
+      updateSpecies()
+    }
+    markSimulationChanged()
 
+    reactionInput.value = ""
+    reactionError.innerText = ""
+  }
+  catch (error: any) {
+    reactionError.innerText = error.message
+  }
 
-// ==== FRAME UPDATE ===============================
+  updateReactions()
+}
 
-function drawFrame(): void {
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+// Overall equation and intermediates of each mechanism
+function updateMechanismList(): void {
+  mechanismListElement.innerHTML = ""
+
+  for (const mechanism of simulation.getMechanismNames()) {
+    const intermediates = simulation.getIntermediates(mechanism)
 
-  // Draw particles
-  for (const particle of particleList) {
-    particle.draw(ctx);
+    const item = document.createElement("li")
+    item.innerText = `${mechanism}: ${simulation.getMechanismEquation(mechanism)}`
+      + (intermediates.length > 0 ? `  (intermediates: ${intermediates.join(", ")})` : "")
+    mechanismListElement.append(item)
   }
 }
 
-function updateUI(): void {
-  const amountA = countSpecies(particleList, "A")
-  const amountB = countSpecies(particleList, "B")
-
-  // Update temperature slider value
-  tempSlider.value = containerTemperature
+// Thickens chart lines of mechanism intermediates
+function updateIntermediateHighlights(): void {
+  const intermediates = simulation.getAllIntermediates()
 
-  // Update concentration slider values (writen weird b/c amounts change too quickly)
-  const diffA = amountSliderA.value - amountA
-  const diffB = amountSliderB.value - amountB
-  const scaler = 0.08
+  for (const species of simulation.speciesList) {
+    const dataset = measuredDatasets[species.formula]
+    const isIntermediate = intermediates.indexOf(species.formula) !== -1
 
-  amountSliderA.value -= bound(diffA, -scaler*Math.abs(diffA), scaler*Math.abs(diffA))
-  amountSliderB.value -= bound(diffB, -scaler*Math.abs(diffB), scaler*Math.abs(diffB))
+    dataset.label = `[${species.label}]` + (isIntermediate ? " (intermediate)" : "")
+    dataset.borderWidth = isIntermediate ? 6 : 3
+  }
 
+  concentrationChart.update()
+}
 
-  // Add chart data
-  const dataX = concentrationChart.data.labels
-  const dataA = concentrationChart.data.datasets[0].data
-  const dataB = concentrationChart.data.datasets[1].data
+// Refreshes everything that depends on reaction list
+function updateReactions(): void {
+  updateReactionList()
+  updateFitReactionSelect()
+  updateMechanismList()
+  updateIntermediateHighlights()
+}
 
-  dataX.push("")
-  dataA.push(amountA)
-  dataB.push(amountB)
 
-  if (dataX.length > CHART_DATASET_SIZE) {
-    const numToRemove = dataX.length - CHART_DATASET_SIZE
 
-    concentrationChart.data.labels = dataX.slice(numToRemove)
-    concentrationChart.data.datasets[0].data = dataA.slice(numToRemove)
-    concentrationChart.data.datasets[1].data = dataB.slice(numToRemove)
-  }
+// ==== RATE PANEL ===============================
 
-  concentrationChart.update()
+const rateTableBody: any = document.getElementById("rate-table-body");
 
+// Formats rate constant, marking it if fitted instead of set
+function formatRateConstant(value: number, setValue: number | null): string {
+  return value.toPrecision(3) + (setValue === null ? " (fit)" : "")
 }
 
-function updateBackgroundProcesses(){
-  // Add queue particles
-  particleList.push(...particleCreationQueue)
-  particleCreationQueue.length = 0 // Clears queue
-  
-  // Update particle states
-  let i = 0;
-  while (i < particleList.length) {
-    const particle = particleList[i];
+// Formats Q and K, which can be huge or tiny, or undefined when every species in them has run out
+function formatQuotient(value: number | null): string {
+  if (value === null || isNaN(value)) {
+    return "—"
+  }
+  if (!isFinite(value)) {
+    return "∞"
+  }
+  return value.toPrecision(3)
+}
 
-    // Delete particle if state is "removed"
-    if (particle.state === "removed") {
-      particleList.splice(i, 1);
-      continue;
-    }
-    i++;
+function updateRatePanel(): void {
+  let rows = ""
+
+  for (const reaction of simulation.reactionList) {
+    const totals = simulation.getReactionTotals(reaction)
+    const rates = simulation.getReactionRates(reaction)
+    const equilibrium = simulation.isAtEquilibrium(reaction)
+    const constants = simulation.getRateConstants(reaction)
+
+    rows += `<tr>
+      <td>${reaction.getFormula()}</td>
+      <td>${totals.forward}</td>
+      <td>${totals.reverse}</td>
+      <td>${rates.forward.toFixed(2)}</td>
+      <td>${rates.reverse.toFixed(2)}</td>
+      <td>${rates.net.toFixed(2)}</td>
+      <td>${formatQuotient(simulation.getReactionQuotient(reaction))}</td>
+      <td>${formatQuotient(simulation.getEquilibriumConstant(reaction))}</td>
+      <td>${reaction.reversible ? (equilibrium ? "Yes" : "No") : "-"}</td>
+      <td>${formatRateConstant(constants.forward, reaction.fwdRateConstant)}</td>
+      <td>${reaction.reversible ? formatRateConstant(constants.reverse, reaction.revRateConstant) : "-"}</td>
+    </tr>`
   }
-  
+
+  rateTableBody.innerHTML = rows
 }
 
-function updateFrame(): void {
 
-  // Updates even when paused
-  drawFrame()
-  updateBackgroundProcesses()
-  
 
-  // Do nothing if simulation is paused
-  if (containerPaused) {
-    return
+// ==== RATE LAW FITTING ===============================
+
+const fitReactionSelect: any = document.getElementById("fit-reaction-select");
+const fitStartInput: any = document.getElementById("fit-start-input");
+const fitEndInput: any = document.getElementById("fit-end-input");
+const fitButton: any = document.getElementById("fit-button");
+const fitError: any = document.getElementById("fit-error");
+const fitTableBody: any = document.getElementById("fit-table-body");
+const fitSummary: any = document.getElementById("fit-summary");
+
+// Keeps reaction choices in sync with reaction list, preserving selection
+function updateFitReactionSelect(): void {
+  const selected = fitReactionSelect.value
+
+  fitReactionSelect.innerHTML = ""
+  for (const reaction of simulation.reactionList) {
+    const option = document.createElement("option")
+    option.value = reaction.name
+    option.innerText = reaction.getFormula()
+    fitReactionSelect.append(option)
   }
 
-  updateUI()
+  if (selected !== "") {
+    fitReactionSelect.value = selected
+  }
+}
 
+// Formats fit R², blank where that plot couldn't be made
+function formatRSquared(value: number): string {
+  return isNaN(value) ? "-" : value.toFixed(3)
+}
 
-  // Update particle movements
-  for (const particle of particleList) {
-    particle.update(canvas)
+// Start of visible chart data, so blank window fits what's on screen
+function getChartStartTime(): number {
+  let start = simulation.time
+  for (const formula in measuredDatasets) {
+    const data = measuredDatasets[formula].data
+    if (data.length > 0) {
+      start = Math.min(start, data[0].x)
+    }
   }
+  return start
+}
 
-  // Check reactable collisions
-  for (const particle1 of particleList) {
+fitButton.onclick = function() {
+  const reaction = simulation.reactionList.filter(function(reaction) {
+    return reaction.name === fitReactionSelect.value
+  })[0]
 
-    // Ignore if not active
-    if (particle1.state !== "active") {
-      continue;
+  try {
+    if (reaction === undefined) {
+      throw new Error("No reaction selected")
     }
 
-    // Find intersecting and available particles
-    const availableParticles = [particle1]
+    const start = fitStartInput.value === "" ? getChartStartTime() : Number(fitStartInput.value)
+    const end = fitEndInput.value === "" ? simulation.time : Number(fitEndInput.value)
+    const analysis = simulation.analyzeWindow(reaction, start, end)
+
+    let rows = ""
+    for (const fit of analysis.reactants) {
+      const species = simulation.getSpecies(fit.formula)
+      rows += `<tr>
+        <td>[${species === null ? fit.formula : species.label}]</td>
+        <td>${formatRSquared(fit.rSquared[0])}</td>
+        <td>${formatRSquared(fit.rSquared[1])}</td>
+        <td>${formatRSquared(fit.rSquared[2])}</td>
+        <td>${fit.order}</td>
+        <td>${fit.rateConstant.toPrecision(3)}</td>
+        <td>${isFinite(fit.halfLife) ? fit.halfLife.toFixed(2) : "∞"}</td>
+        <td>${fit.initialRate.toPrecision(3)}</td>
+      </tr>`
+    }
+    fitTableBody.innerHTML = rows
 
-    for (const particle2 of particleList) {
-      
-      // Ignore if same particle
-      if (particle2 === particle1) {
-        continue;
-      }
+    fitSummary.innerText = `${analysis.points} points from ${analysis.start.toFixed(1)} s to ${analysis.end.toFixed(1)} s, overall order ${analysis.overallOrder}`
+      + (reaction.reversible ? `, K from plateau: ${formatQuotient(analysis.equilibriumConstant)}` : "")
+    fitError.innerText = ""
+  }
+  catch (error: any) {
+    fitTableBody.innerHTML = ""
+    fitSummary.innerText = ""
+    fitError.innerText = error.message
+  }
+}
 
-      // Ignore if not active
-      if (particle2.state !== "active") {
-        continue;
-      }
 
-      // Check if particles overlap
-      if (getDist(particle1.pos, particle2.pos) < particle1.radius + particle2.radius) {
-        availableParticles.push(particle2);
-      }
-    }
 
-    // Check available reactions
-    for (const reaction of reactionList) {
-      const rxnSuccessful = reaction.attemptReaction(availableParticles, particleCreationQueue, containerTemperature)
+// ==== EXPORT AND SCENARIOS ===============================
 
-      if (rxnSuccessful) {
-        console.log("SUCCESSFUL REACTION")
+const exportCsvButton: any = document.getElementById("export-csv-button");
+const exportJsonButton: any = document.getElementById("export-json-button");
+const saveScenarioButton: any = document.getElementById("save-scenario-button");
+const loadScenarioButton: any = document.getElementById("load-scenario-button");
+const loadScenarioInput: any = document.getElementById("load-scenario-input");
+const scenarioError: any = document.getElementById("scenario-error");
 
-        break;
-      }
-    }
+function downloadFile(filename: string, contents: string, type: string): void {
+  const url = URL.createObjectURL(new Blob([contents], {type: type}))
 
-  }
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  link.click()
+
+  URL.revokeObjectURL(url)
 }
 
-// Set frame rate
-setInterval(updateFrame, 1000 / FPS);
+exportCsvButton.onclick = function() {
+  downloadFile("concentrations.csv", simulation.getHistoryCSV(), "text/csv")
+}
 
+exportJsonButton.onclick = function() {
+  const data = {
+    species: simulation.speciesList.map(function(species) {
+      return species.formula
+    }),
+    history: simulation.countHistory,
+    events: simulation.reactionEvents,
+  }
 
-canvas.addEventListener("mousedown", function (e) {
-  const mousePos = getCursorPosition(e);
+  downloadFile("concentrations.json", JSON.stringify(data), "application/json")
+}
 
-  const particle = createParticle("A", mousePos, containerTemperature)
+saveScenarioButton.onclick = function() {
+  downloadFile("scenario.json", JSON.stringify(simulation.getScenario()), "application/json")
+}
 
-  particleList.push(particle)
-});
+loadScenarioButton.onclick = function() {
+  loadScenarioInput.click()
+}
 
+loadScenarioInput.onchange = function() {
+  const file = loadScenarioInput.files[0]
+  if (!file) {
+    return
+  }
 
+  const reader = new FileReader()
+  reader.onload = function() {
+    try {
+      loadSimulation(Simulation.fromScenario(JSON.parse(reader.result as string)))
+      scenarioError.innerText = ""
+    }
+    catch (error: any) {
+      scenarioError.innerText = "Could not load scenario: " + error.message
+    }
+  }
+  reader.readAsText(file)
 
-// ==================================================================================================
-// ==== Testing =====================================================================================
-// ==================================================================================================
+  // Allow loading same file again
+  loadScenarioInput.value = ""
+}
 
+// Replaces simulation and rebuilds the UI that depends on it
+// Starts new run, recording from its current state
+function loadSimulation(newSimulation: Simulation): void {
+  liveSimulation = null
+  recording.clear()
+  showSimulation(newSimulation)
+  recording.record(simulation)
+}
 
-// ==== TEMPERATURE SLIDER ===============================
+// Switches UI to simulation, refilling chart from its history
+function showSimulation(newSimulation: Simulation): void {
+  simulation = newSimulation
+  inspectedParticle = null
+  flingParticle = null
+  drawStart = null
+
+  // Rebuild species sliders and chart series from scratch
+  speciesControls.innerHTML = ""
+  for (const formula in amountSliders) {
+    delete amountSliders[formula]
+    delete amountLabels[formula]
+  }
+  concentrationChart.data.datasets = []
+  for (const formula in measuredDatasets) {
+    delete measuredDatasets[formula]
+  }
+  for (const formula in predictedDatasets) {
+    delete predictedDatasets[formula]
+  }
+  updateSpecies()
 
-const tempSlider: any = document.getElementById("temp-slider");
+  updateReactions()
 
-tempSlider.oninput = function() {
-  const newTemp = (this as any).value
+  thermostatSelect.value = simulation.thermostat
+  couplingSlider.value = simulation.thermostatCoupling
+
+  for (const record of simulation.countHistory.slice(-CHART_DATASET_SIZE)) {
+    addChartData(record)
+  }
 
-  changeTemperature(particleList, newTemp)
-  changeTemperature(particleCreationQueue, newTemp)
+  updateUI()
 }
 
-// ==== CONCENTRATION SLIDER ===============================
 
-const amountSliderA: any = document.getElementById("amount-slider-A");
 
-amountSliderA.oninput = function() {
-  const newAmount = Math.round((this as any).value)
-  const formula = "A"
+// ==== PRESETS AND SHARING ===============================
 
-  changeConcentration(newAmount, formula)
-}
+const SETUP_HASH_PREFIX = "#setup=";
 
-const amountSliderB: any = document.getElementById("amount-slider-B");
+const presetSelect: any = document.getElementById("preset-select");
+const presetDescription: any = document.getElementById("preset-description");
+const shareButton: any = document.getElementById("share-button");
+const shareLinkInput: any = document.getElementById("share-link");
 
-amountSliderB.oninput = function() {
-  const newAmount = Math.round((this as any).value)
-  const formula = "B"
+PRESETS.forEach(function(preset, i) {
+  const option = document.createElement("option")
+  option.value = i.toString()
+  option.innerText = preset.name
+  presetSelect.append(option)
+})
+presetDescription.innerText = PRESETS[0].description
 
-  changeConcentration(newAmount, formula)
-}
+presetSelect.onchange = function() {
+  const preset = PRESETS[Number(presetSelect.value)]
 
-// ==== PAUSE BUTTON ===============================
+  loadSimulation(Simulation.fromSetup(preset, CANVAS_DIMENSIONS))
+  presetDescription.innerText = preset.description
+  scenarioError.innerText = ""
+}
 
-const pauseButton: any = document.getElementById("pause-button");
+// Puts current setup in URL hash, so opening the link starts the same experiment
+shareButton.onclick = function() {
+  const preset = PRESETS[Number(presetSelect.value)]
+  const setup = simulation.getSetup(preset.name, presetDescription.innerText, Date.now())
 
-pauseButton.onclick = function() {
-  if (containerPaused) {
-    containerPaused = false
-    pauseButton.innerText = "Pause"
-  }
-  else {
-    containerPaused = true
-    pauseButton.innerText = "Unpause"
-  }
+  history.replaceState(null, "", SETUP_HASH_PREFIX + encodeURIComponent(JSON.stringify(setup)))
+  shareLinkInput.value = location.href
+  shareLinkInput.select()
 }
 
-// ==== CLEAR GRAPH BUTTON ===============================
+// Loads setup from URL hash if there is one
+function loadSetupFromHash(): void {
+  if (location.hash.indexOf(SETUP_HASH_PREFIX) !== 0) {
+    return
+  }
 
-const clearGraphButton: any = document.getElementById("clear-graph-button");
+  try {
+    const setup: setup = JSON.parse(decodeURIComponent(location.hash.substring(SETUP_HASH_PREFIX.length)))
 
-clearGraphButton.onclick = function() {
-  concentrationChart.data.labels = []
-  concentrationChart.data.datasets[0].data = []
-  concentrationChart.data.datasets[1].data = []
-  concentrationChart.update()
+    loadSimulation(Simulation.fromSetup(setup, CANVAS_DIMENSIONS))
+    presetDescription.innerText = setup.description
+    scenarioError.innerText = ""
+  }
+  catch (error: any) {
+    scenarioError.innerText = "Could not load shared setup: " + error.message
+  }
 }
 
+window.addEventListener("hashchange", loadSetupFromHash)
+
 
 
 // ==================================================================================================
@@ -715,30 +1283,27 @@ clearGraphButton.onclick = function() {
 
 const chartCtx = document.getElementById("concentration-chart");
 
+// Chart series for each species formula, measured and predicted by rate equations
+const measuredDatasets: {[key: string]: any} = {};
+const predictedDatasets: {[key: string]: any} = {};
+
 const config = {
   type: "line",
   data: {
-    labels: [],
-    datasets: [
-      {
-        label: "[A]",
-        borderColor: "rgb(75, 83, 192)",
-        pointRadius: 0,
-        data: [],
-      },
-      {
-        label: "[B]",
-        borderColor: "rgb(192, 75, 75)",
-        pointRadius: 0,
-        data: [],
-      },
-    ],
+    datasets: [],
   },
   options: {
     animation: {
         duration: 0
     },
     scales: {
+      x: {
+        type: "linear",
+        title: {
+          display: true,
+          text: "Time (s)"
+        }
+      },
       y: {
         beginAtZero: true,
         suggestedMax: 300
@@ -747,4 +1312,187 @@ const config = {
 }
 };
 
-const concentrationChart = new Chart(chartCtx, config);
\ No newline at end of file
+const concentrationChart = new Chart(chartCtx, config);
+
+// ==== DISTRIBUTION CHART ===============================
+
+const distributionSelect: any = document.getElementById("distribution-select");
+const distributionCtx = document.getElementById("distribution-chart");
+
+const distributionChart = new Chart(distributionCtx, {
+  type: "line",
+  data: {
+    datasets: [],
+  },
+  options: {
+    animation: {
+      duration: 0
+    },
+    plugins: {
+      legend: {
+        labels: {
+          // Marker lines are unlabelled
+          filter: function(item: any) {
+            return item.text !== ""
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: "linear",
+        min: 0,
+        title: {
+          display: true,
+          text: ""
+        }
+      },
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: "Particles"
+        }
+      }
+    }
+  }
+});
+
+distributionSelect.onchange = updateDistributionChart
+
+// Histogram of each species' energies or speeds, with Maxwell-Boltzmann curve at container temperature
+// In energy mode, each activation energy is marked and the area above it shaded
+function updateDistributionChart(): void {
+  const byEnergy = distributionSelect.value === "energy"
+  const temperature = simulation.temperature
+  const datasets: any[] = []
+
+  // Species with particles, and their values
+  const present: {species: species, values: number[]}[] = []
+  let lightestMass = Infinity
+  for (const species of simulation.speciesList) {
+    const values = byEnergy ? simulation.getKineticEnergies(species.formula) : simulation.getSpeeds(species.formula)
+    if (values.length > 0) {
+      present.push({species: species, values: values})
+      lightestMass = Math.min(lightestMass, species.mass)
+    }
+  }
+
+  // Activation energies of enabled reactions
+  const barriers: {label: string, energy: number}[] = []
+  for (const reaction of simulation.reactionList) {
+    if (!reaction.enabled) {
+      continue
+    }
+
+    // Spontaneous directions don't use their activation energy
+    if (reaction.fwdActivationEnergy > 0 && reaction.getSpontaneousRate("forward") === null) {
+      barriers.push({label: `${reaction.getFormula().trim()} fwd`, energy: reaction.fwdActivationEnergy})
+    }
+    if (reaction.reversible && reaction.revActivationEnergy > 0 && reaction.getSpontaneousRate("reverse") === null) {
+      barriers.push({label: `${reaction.getFormula().trim()} rev`, energy: reaction.revActivationEnergy})
+    }
+  }
+
+  if (present.length === 0 || temperature <= 0) {
+    distributionChart.data.datasets = []
+    distributionChart.update()
+    return
+  }
+
+  // Range covers nearly all particles, and every marked activation energy
+  let range = DISTRIBUTION_RANGE * temperature
+  if (byEnergy) {
+    for (const barrier of barriers) {
+      range = Math.max(range, barrier.energy * 1.2)
+    }
+  }
+  else {
+    range = Math.sqrt(2 * range * BOLTZMANN / lightestMass)
+  }
+  const binWidth = range / DISTRIBUTION_BINS
+
+  for (const entry of present) {
+    datasets.push({
+      label: `[${entry.species.label}]`,
+      borderColor: entry.species.color,
+      backgroundColor: entry.species.color,
+      stepped: "middle",
+      pointRadius: 0,
+      data: getHistogram(entry.values, binWidth, DISTRIBUTION_BINS).map(function(count, i) {
+        return {x: (i + 0.5) * binWidth, y: count}
+      }),
+    })
+  }
+
+  // Expected particles per bin, summed over species
+  const getExpected = function(x: number): number {
+    let expected = 0
+    for (const entry of present) {
+      const density = byEnergy ? getEnergyDensity(x, temperature) : getSpeedDensity(x, entry.species.mass, temperature)
+      expected += entry.values.length * binWidth * density
+    }
+    return expected
+  }
+
+  const curve: {x: number, y: number}[] = []
+  for (let i = 0; i <= CURVE_POINTS; i++) {
+    const x = i * range / CURVE_POINTS
+    curve.push({x: x, y: getExpected(x)})
+  }
+
+  datasets.push({
+    label: `Maxwell-Boltzmann (T = ${temperature.toFixed(2)})`,
+    borderColor: "black",
+    backgroundColor: "black",
+    borderWidth: 2,
+    pointRadius: 0,
+    data: curve,
+  })
+
+  if (byEnergy) {
+    const energies = simulation.getKineticEnergies()
+    let peak = 0
+    for (const point of curve) {
+      peak = Math.max(peak, point.y)
+    }
+
+    for (const barrier of barriers) {
+      const measured = energies.filter(function(energy) {
+        return energy >= barrier.energy
+      }).length / energies.length
+      const expected = getFractionAboveEnergy(barrier.energy, temperature)
+
+      // Shade under curve past barrier
+      const tail = [{x: barrier.energy, y: getExpected(barrier.energy)}].concat(curve.filter(function(point) {
+        return point.x > barrier.energy
+      }))
+
+      datasets.push({
+        label: `${barrier.label} Ea ${barrier.energy}: ${(measured * 100).toFixed(1)}% above (theory ${(expected * 100).toFixed(1)}%)`,
+        borderColor: "rgba(220, 0, 0, 0.6)",
+        backgroundColor: "rgba(220, 0, 0, 0.15)",
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: "origin",
+        data: tail,
+      })
+      datasets.push({
+        label: "",
+        borderColor: "rgba(220, 0, 0, 0.8)",
+        borderDash: [4, 4],
+        pointRadius: 0,
+        data: [{x: barrier.energy, y: 0}, {x: barrier.energy, y: peak}],
+      })
+    }
+  }
+
+  distributionChart.options.scales.x.max = range
+  distributionChart.options.scales.x.title.text = byEnergy ? "Kinetic energy (temperature units)" : "Speed (px/s)"
+  distributionChart.data.datasets = datasets
+  distributionChart.update()
+}
+
+updateSpecies()
+updateReactions()
+loadSetupFromHash()
\ No newline at end of file
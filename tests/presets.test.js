@@ -0,0 +1,48 @@
+// Run with: node tests/presets.test.js (after compiling engine.ts)
+const assert = require("assert")
+const {Simulation, PRESETS} = require("../engine.js")
+
+const DIMENSIONS = {width: 800, height: 600}
+
+function getPreset(name) {
+  for (const preset of PRESETS) {
+    if (preset.name === name) {
+      return preset
+    }
+  }
+  throw new Error(`No preset named ${name}`)
+}
+
+// Every preset builds and runs
+for (const preset of PRESETS) {
+  const simulation = Simulation.fromSetup(preset, DIMENSIONS)
+  for (let i = 0; i < 30; i++) {
+    simulation.step()
+  }
+}
+
+// Both paths react on collision, and the catalyzed one is clearly faster whatever the particles' start
+for (let seed = 1; seed <= 5; seed++) {
+  const simulation = Simulation.fromSetup({...getPreset("Catalyzed vs uncatalyzed"), seed: seed}, DIMENSIONS)
+  assert.strictEqual(simulation.reactionList[0].fwdSpontaneousRate, null)
+  for (let i = 0; i < 300; i++) {
+    simulation.step()
+  }
+
+  const uncatalyzed = simulation.getReactionTotals(simulation.reactionList[0]).forward
+  const catalyzed = simulation.getReactionTotals(simulation.reactionList[1]).forward
+  assert.ok(catalyzed > 2 * uncatalyzed, `seed ${seed}: catalyzed ${catalyzed} events vs uncatalyzed ${uncatalyzed}`)
+}
+
+// Malformed setups (e.g. edited share links) are rejected on load rather than failing in step
+{
+  const preset = getPreset("Simple equilibrium")
+  assert.throws(function() {
+    Simulation.fromSetup({...preset, walls: [{x1: 100, y1: 0, x2: 100, y2: 600}]}, DIMENSIONS)
+  }, /permeable/)
+  assert.throws(function() {
+    Simulation.fromSetup({...preset, counts: {A: "many"}}, DIMENSIONS)
+  }, /Count of A/)
+}
+
+console.log("preset tests passed")
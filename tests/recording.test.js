@@ -0,0 +1,66 @@
+// Run with: node tests/recording.test.js (after compiling engine.ts)
+const assert = require("assert")
+const {Simulation, Recording, PRESETS} = require("../engine.js")
+
+function createSimulation() {
+  return Simulation.fromSetup(PRESETS[0], {width: 800, height: 600})
+}
+
+// Replay between snapshots must include a change made mid-interval
+{
+  const simulation = createSimulation()
+  const recording = new Recording()
+  recording.record(simulation)
+
+  for (let i = 0; i < 45; i++) {
+    if (i === 40) {
+      simulation.changeTemperature(8)
+      recording.record(simulation, true)
+    }
+    simulation.step()
+    recording.record(simulation)
+  }
+
+  const replay = recording.getSimulationAt(simulation.time)
+  assert.deepStrictEqual(replay.getCounts(), simulation.getCounts())
+  assert.strictEqual(replay.temperature, simulation.temperature)
+  assert.strictEqual(replay.getKineticTemperature(), simulation.getKineticTemperature())
+}
+
+// A forced snapshot at the time of the last one replaces it
+{
+  const simulation = createSimulation()
+  const recording = new Recording()
+  recording.record(simulation)
+  simulation.changeConcentration(50, "A")
+  recording.record(simulation, true)
+
+  assert.strictEqual(recording.snapshots.length, 1)
+  assert.deepStrictEqual(recording.getSimulationAt(0).getCounts(), simulation.getCounts())
+}
+
+// Replay far behind the live run still has its rates, totals and K estimate
+{
+  const simulation = createSimulation()
+  const recording = new Recording()
+  recording.record(simulation)
+  while (simulation.time < 40) {
+    simulation.step()
+    recording.record(simulation)
+  }
+
+  const fresh = createSimulation()
+  while (fresh.time < 20 - 1 / 60) {
+    fresh.step()
+  }
+
+  const replay = recording.getSimulationAt(fresh.time)
+  replay.copyHistory(simulation, replay.time)
+
+  const reaction = replay.reactionList[0]
+  assert.deepStrictEqual(replay.getReactionRates(reaction), fresh.getReactionRates(fresh.reactionList[0]))
+  assert.deepStrictEqual(replay.getReactionTotals(reaction), fresh.getReactionTotals(fresh.reactionList[0]))
+  assert.strictEqual(replay.getEquilibriumConstant(reaction), fresh.getEquilibriumConstant(fresh.reactionList[0]))
+}
+
+console.log("recording tests passed")
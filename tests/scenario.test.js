@@ -0,0 +1,49 @@
+// Run with: node tests/scenario.test.js (after compiling engine.ts)
+const assert = require("assert")
+const {Simulation, PRESETS} = require("../engine.js")
+
+function createScenario() {
+  const simulation = Simulation.fromSetup(PRESETS[0], {width: 800, height: 600})
+  for (let i = 0; i < 10; i++) {
+    simulation.step()
+  }
+  return JSON.parse(JSON.stringify(simulation.getScenario()))
+}
+
+// Saved scenario loads and runs
+{
+  const simulation = Simulation.fromScenario(createScenario())
+  simulation.step()
+}
+
+// Malformed saved scenarios are rejected on load rather than failing in step
+{
+  const scenario = createScenario()
+  delete scenario.particles[0].vx
+  assert.throws(function() {
+    Simulation.fromScenario(scenario)
+  }, /vx/)
+}
+{
+  const scenario = createScenario()
+  scenario.particles[0].state = "asleep"
+  assert.throws(function() {
+    Simulation.fromScenario(scenario)
+  }, /particle state/)
+}
+{
+  const scenario = createScenario()
+  scenario.randomState = [1, 2]
+  assert.throws(function() {
+    Simulation.fromScenario(scenario)
+  }, /random state/)
+}
+{
+  const scenario = createScenario()
+  scenario.species[0].radius = -5
+  assert.throws(function() {
+    Simulation.fromScenario(scenario)
+  }, /positive radius/)
+}
+
+console.log("scenario tests passed")
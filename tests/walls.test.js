@@ -0,0 +1,44 @@
+// Run with: node tests/walls.test.js (after compiling engine.ts)
+const assert = require("assert")
+const {Simulation, Vector, parseReaction} = require("../engine.js")
+
+// Pairs of A and B touching across a wall at x = 400, A sitting on the wall so only a wall A can pass keeps them apart
+function createSimulation(permeable) {
+  const simulation = new Simulation({
+    dimensions: {width: 800, height: 600},
+    species: [{formula: "A"}, {formula: "B"}, {formula: "C"}],
+    reactions: [parseReaction("rxn1", "A + B -> C")],
+    walls: [{x1: 400, y1: 0, x2: 400, y2: 600, permeable: permeable}],
+  })
+  simulation.thermostat = "adiabatic"
+
+  for (let y = 50; y < 600; y += 50) {
+    for (const [formula, x] of [["A", 398], ["B", 412]]) {
+      const particle = simulation.createParticle(formula, new Vector(x, y))
+      particle.vel = new Vector(0, 0)
+      simulation.particleCreationQueue.push(particle)
+    }
+  }
+
+  simulation.step()
+  return simulation
+}
+
+// Wall that doesn't let both through keeps particles from reacting or bouncing off each other
+{
+  const simulation = createSimulation(["A"])
+  assert.strictEqual(simulation.getReactionTotals(simulation.reactionList[0]).forward, 0)
+
+  // Overlapping particles that collided would have been pushed apart
+  for (const particle of simulation.particleList) {
+    assert.strictEqual(particle.pos.x, particle.formula === "A" ? 398 : 412)
+  }
+}
+
+// Wall both can pass doesn't get in the way
+{
+  const simulation = createSimulation(["A", "B"])
+  assert.ok(simulation.getReactionTotals(simulation.reactionList[0]).forward > 0)
+}
+
+console.log("wall tests passed")